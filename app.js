@@ -6,7 +6,6 @@
  * - Blockly workspace initialization
  * - Code generation
  * - Code execution
- * - Console output
  * - Event handling
  */
 
@@ -15,7 +14,9 @@
 // ================================
 
 let workspace = null;
-let generatedCode = '';
+let generatedCode = '';   // JavaScript that Run executes
+let displayedCode = '';   // Code shown in the Generated Code panel, in codeLanguage
+let codeLanguage = 'javascript';
 let appInitialized = false;  // Guard to prevent double initialization
 
 // ================================
@@ -39,21 +40,16 @@ function initializeApp() {
     
     console.log('✅ Blockly library loaded');
     
-    // Get toolbox element
-    const toolboxElement = document.getElementById('toolbox');
-    if (!toolboxElement) {
-        console.error('❌ Toolbox element not found');
-        return;
-    }
-    
-    console.log('✅ Toolbox element found');
+    // Build the toolbox from the registered blocks (built-in, custom and block packs)
+    const toolbox = buildToolbox();
+    console.log(`✅ Toolbox built (${toolbox.contents.length} categories)`);
     
     // Initialize Blockly Workspace
     const blocklyDiv = document.getElementById('blocklyDiv');
     
     try {
         workspace = Blockly.inject(blocklyDiv, {
-            toolbox: toolboxElement,
+            toolbox: toolbox,
             media: 'https://cdn.jsdelivr.net/npm/blockly@10.2.0/media/',
             grid: {
                 spacing: 25,
@@ -70,7 +66,10 @@ function initializeApp() {
                 scaleSpeed: 1.2
             },
             trashcan: true,
-            sounds: true
+            sounds: true,
+            plugins: {
+                connectionChecker: 'workflowConnectionChecker'
+            }
         });
         
         console.log('✅ Blockly workspace initialized');
@@ -91,8 +90,52 @@ function initializeApp() {
         console.warn('Could not initialize Blockly.JavaScript generator now:', e);
     }
 
+    // Blocks registered from now on (custom blocks, block packs loaded later) join the toolbox
+    onBlockRegistryChanged(() => workspace.updateToolbox(buildToolbox()));
+
+    // Restore the last auto-saved workspace
+    let autoSaveEnabled = true;
+    try {
+        if (restoreWorkspaceFromStorage(workspace)) {
+            console.log('✅ Workspace restored from localStorage');
+        }
+    } catch (e) {
+        console.warn('Could not restore saved workspace:', e);
+        logConsole(`⚠️ Could not restore saved workspace: ${e.message}`, 'warning');
+        if (e.backedUp) {
+            logConsole(`💾 It was kept in localStorage under "${STORAGE_BACKUP_KEY}"; editing here will not overwrite it`, 'info');
+        } else {
+            // Nowhere to keep it: auto-save would overwrite the only copy
+            autoSaveEnabled = false;
+            logConsole('⚠️ Auto-save is off until the page is reloaded, so the saved workspace is not overwritten', 'warning');
+        }
+    }
+
+    // Auto-save on every non-UI change
+    const autoSave = debounce(() => saveWorkspaceToStorage(workspace), 500);
+    workspace.addChangeListener(event => {
+        if (!event.isUiEvent && autoSaveEnabled) {
+            autoSave();
+        }
+    });
+
+    // Keep variable types in sync and explain refused connections
+    workspace.addChangeListener(handleTypeEvents);
+
     // Event Listeners
     setupEventListeners();
+    setupExampleGallery();
+    setupDebugger(workspace);
+    setupConsole(selectBlock);
+    setupWorkflowInputs();
+    setupCodeView(workspace, selectBlock);
+    setupHistory(workspace);
+    setupBlockFactory(workspace);
+    setupLiveRegeneration();
+    liveRegenerate();
+
+    // A share link opens its workflow (asking first when one was restored)
+    openSharedWorkflow();
     
     // Mark initialization as complete
     appInitialized = true;
@@ -107,12 +150,44 @@ function initializeApp() {
 function setupEventListeners() {
     document.getElementById('generateCodeBtn').addEventListener('click', generateCode);
     document.getElementById('runCodeBtn').addEventListener('click', runCode);
+    document.getElementById('stopCodeBtn').addEventListener('click', stopCode);
+    document.getElementById('debugCodeBtn').addEventListener('click', debugCode);
+    document.getElementById('stepBtn').addEventListener('click', stepDebugger);
+    document.getElementById('continueBtn').addEventListener('click', continueDebugger);
+    document.getElementById('pauseBtn').addEventListener('click', pauseDebugger);
     document.getElementById('clearWorkspaceBtn').addEventListener('click', clearWorkspace);
     document.getElementById('clearConsoleBtn').addEventListener('click', clearConsole);
     document.getElementById('copyCodeBtn').addEventListener('click', copyCode);
-    
-    // Note: Auto-generate disabled to prevent initialization errors
-    // Code generation now only happens on button click
+    document.getElementById('codeLanguageSelect').addEventListener('change', changeCodeLanguage);
+    document.getElementById('exportWorkspaceBtn').addEventListener('click', exportWorkspace);
+    document.getElementById('importWorkspaceBtn').addEventListener('click', () => {
+        document.getElementById('importFileInput').click();
+    });
+    document.getElementById('importFileInput').addEventListener('change', importWorkspace);
+    document.getElementById('shareBtn').addEventListener('click', shareWorkspace);
+    window.addEventListener('hashchange', openSharedWorkflow);
+}
+
+// ================================
+// Type Checking Events
+// ================================
+
+function handleTypeEvents(event) {
+    if (event.type === Blockly.Events.BLOCK_DRAG) {
+        if (event.isStart) {
+            clearConnectionRejections();
+            return;
+        }
+        const block = workspace.getBlockById(event.blockId);
+        if (block && !block.getParent()) {
+            takeConnectionRejections(block).forEach(message => logConsole(message, 'warning'));
+        }
+        return;
+    }
+
+    if (!event.isUiEvent && !workspace.isDragging()) {
+        updateVariableTypes(workspace).forEach(message => logConsole(message, 'warning'));
+    }
 }
 
 // ================================
@@ -130,53 +205,25 @@ function generateCode() {
             return;
         }
         
+        // Static checks: mark offending blocks and list problems in the console
+        // (a missing START WORKFLOW block is reported here too)
+        runValidation();
+
         // Check if START WORKFLOW block exists
         const hasStartBlock = topBlocks.some(block => block.type === 'start_workflow');
         if (!hasStartBlock) {
-            logConsole('❌ Error: Add a "START WORKFLOW" block to begin', 'error');
-            displayCode('// Error: Missing START WORKFLOW block\n// All workflows must start with a START WORKFLOW block');
-            return;
-        }
-        
-        // Ensure Blockly's JavaScript generator is initialized for this workspace
-        if (!Blockly || !Blockly.JavaScript) {
-            logConsole('❌ Error: Blockly JavaScript generator not available', 'error');
+            showCodeError('Missing START WORKFLOW block');
             return;
         }
 
         try {
-            Blockly.JavaScript.init(workspace);
-        } catch (e) {
-            // Some Blockly builds may throw if init expects different args - ignore and continue
-            console.warn('Blockly.JavaScript.init() warning:', e && e.message ? e.message : e);
-        }
-
-        // Generate code from the whole workspace (start block will be included)
-        let code = '';
-        try {
-            code = Blockly.JavaScript.workspaceToCode(workspace);
-        } catch (e) {
-            logConsole('❌ Error while converting workspace to code: ' + (e.message || e), 'error');
-            console.error(e);
+            regenerateCode();
+        } catch (error) {
+            showCodeError(error.message);
+            logConsole(`❌ Error while converting workspace to code: ${error.message}`, 'error');
+            console.error(error);
             return;
         }
-
-        // Finalize generator (adds definitions, imports, etc.)
-        try {
-            if (typeof Blockly.JavaScript.finish === 'function') {
-                code = Blockly.JavaScript.finish(code);
-            }
-        } catch (e) {
-            console.warn('Blockly.JavaScript.finish() warning:', e && e.message ? e.message : e);
-        }
-
-        generatedCode = code;
-        
-        // Format code
-        generatedCode = formatCode(generatedCode);
-        
-        // Display code
-        displayCode(generatedCode);
         
         logConsole('✅ Code generated successfully!', 'success');
         
@@ -186,180 +233,431 @@ function generateCode() {
     }
 }
 
+/**
+ * Regenerates the Run code and the code panel from the current workspace.
+ * Throws if the workflow can't be generated, leaving the last valid output
+ * (and generatedCode) untouched.
+ */
+function regenerateCode() {
+    if (!workspace.getTopBlocks(false).some(block => block.type === 'start_workflow')) {
+        throw new Error('Add a "START WORKFLOW" block to begin');
+    }
+
+    // Ensure Blockly's JavaScript generator is initialized for this workspace
+    if (!Blockly || !Blockly.JavaScript) {
+        throw new Error('Blockly JavaScript generator not available');
+    }
+
+    try {
+        Blockly.JavaScript.init(workspace);
+    } catch (e) {
+        // Some Blockly builds may throw if init expects different args - ignore and continue
+        console.warn('Blockly.JavaScript.init() warning:', e && e.message ? e.message : e);
+    }
+
+    // Generate code from the whole workspace (start block will be included)
+    let code = withBlockMarkers(Blockly.JavaScript, () => Blockly.JavaScript.workspaceToCode(workspace));
+
+    // Finalize generator (adds definitions, imports, etc.)
+    try {
+        if (typeof Blockly.JavaScript.finish === 'function') {
+            code = Blockly.JavaScript.finish(code);
+        }
+    } catch (e) {
+        console.warn('Blockly.JavaScript.finish() warning:', e && e.message ? e.message : e);
+    }
+
+    // Format code; Run gets block tracking calls in place of the markers
+    const runnableCode = toRunnableCode(formatCode(code));
+
+    // Display code in the selected language
+    showGeneratedCode();
+
+    generatedCode = runnableCode;
+    hideCodeError();
+}
+
+// ================================
+// Live Regeneration
+// ================================
+
+const LIVE_REGENERATION_DELAY_MS = 300;
+
+// Events that can change the generated code: UI events (selection, scrolling,
+// dragging) and moves that don't connect or disconnect a block can't
+function isCodeChangingEvent(event) {
+    if (event.isUiEvent) {
+        return false;
+    }
+    switch (event.type) {
+        case Blockly.Events.BLOCK_CREATE:
+        case Blockly.Events.BLOCK_DELETE:
+        case Blockly.Events.VAR_RENAME:
+            return true;
+        case Blockly.Events.BLOCK_MOVE:
+            return event.newParentId !== event.oldParentId || event.newInputName !== event.oldInputName;
+        case Blockly.Events.BLOCK_CHANGE:
+            // Fields, mutator edits (JOIN / LIST items) and enabling or disabling a block
+            return ['field', 'mutation', 'disabled'].includes(event.element);
+        default:
+            return false;
+    }
+}
+
+function setupLiveRegeneration() {
+    const regenerate = debounce(liveRegenerate, LIVE_REGENERATION_DELAY_MS);
+    workspace.addChangeListener(event => {
+        if (isCodeChangingEvent(event)) {
+            regenerate();
+        }
+    });
+}
+
+// Quiet counterpart of generateCode: failures only show the error banner
+function liveRegenerate() {
+    if (workspace.getTopBlocks(false).length === 0) {
+        generatedCode = '';
+        displayedCode = '';
+        hideCodeError();
+        displayCode('// No blocks added to workspace yet\n// Start by adding a "START WORKFLOW" block');
+        return;
+    }
+
+    try {
+        regenerateCode();
+    } catch (error) {
+        showCodeError(error.message);
+        return;
+    }
+
+    const autoRun = document.getElementById('autoRunCheckbox');
+    if (autoRun && autoRun.checked && !isExecuting()) {
+        runCode({ askInputs: false });
+    }
+}
+
+// Banner above the code panel; the last successfully generated code stays visible
+function showCodeError(message) {
+    const banner = document.getElementById('codeErrorBanner');
+    banner.textContent = generatedCode
+        ? `⚠️ ${message} - showing the last code that generated successfully`
+        : `⚠️ ${message}`;
+    banner.hidden = false;
+}
+
+function hideCodeError() {
+    document.getElementById('codeErrorBanner').hidden = true;
+}
+
+// ================================
+// Validate Workspace
+// ================================
+
+function runValidation() {
+    const result = validateWorkspace(workspace);
+    applyValidationWarnings(workspace, result.problems);
+
+    result.problems.forEach(problem => {
+        const icon = problem.severity === 'error' ? '❌' : '⚠️';
+        logConsole(`${icon} ${problem.message}`, problem.severity, { blockId: problem.blockId });
+    });
+
+    if (result.problems.length > 0) {
+        logConsole(`🔎 Validation: ${result.errors} error(s), ${result.warnings} warning(s)`, result.errors > 0 ? 'error' : 'warning');
+    }
+    return result;
+}
+
+function selectBlock(blockId) {
+    const block = workspace && workspace.getBlockById(blockId);
+    if (!block) {
+        logConsole('ℹ️ That block no longer exists', 'info');
+        return;
+    }
+    block.select();
+    workspace.centerOnBlock(blockId);
+}
+
 // ================================
 // Execute Generated Code
 // ================================
 
-function runCode() {
+// Asks for the workflow's inputs, then runs it; `askInputs: false` (Auto-run)
+// reuses the last values entered instead of showing the form
+function runCode(options = {}) {
+    if (isExecuting()) {
+        logConsole('⚠️ A workflow is already running. Stop it first!', 'warning');
+        return;
+    }
+    if (options.askInputs === false) {
+        startRun();
+    } else {
+        requestWorkflowInputs(getWorkflowInputs(workspace), '▶️ Run', startRun);
+    }
+}
+
+function startRun() {
     try {
-        if (!generatedCode || generatedCode.trim() === '') {
-            logConsole('⚠️ No code to run. Generate code first!', 'warning');
+        if (isExecuting()) {
+            logConsole('⚠️ A workflow is already running. Stop it first!', 'warning');
+            return;
+        }
+
+        // Everything this run logs goes into its own console group
+        startConsoleRun('Run');
+
+        // Refuse to run while the validator reports errors (warnings are fine)
+        const validation = runValidation();
+        if (validation.errors > 0) {
+            logConsole(`❌ Fix ${validation.errors} error(s) before running`, 'error');
+            endConsoleRun('failed');
             return;
         }
 
-        // Ensure Blockly JavaScript generator is initialized before running
+        // Always run the blocks as they are now, never stale code
         try {
-            if (Blockly && Blockly.JavaScript) {
-                try { Blockly.JavaScript.init(workspace); } catch (e) { console.warn('Blockly.JavaScript.init() warning:', e && e.message ? e.message : e); }
-                try {
-                    if (typeof Blockly.JavaScript.finish === 'function') {
-                        generatedCode = Blockly.JavaScript.finish(generatedCode);
-                    }
-                } catch (e) { console.warn('Blockly.JavaScript.finish() warning:', e && e.message ? e.message : e); }
-            }
-        } catch (e) {
-            console.warn('Generator availability check failed:', e);
+            regenerateCode();
+        } catch (error) {
+            showCodeError(error.message);
+            logConsole(`❌ Could not generate code: ${error.message}`, 'error');
+            endConsoleRun('failed');
+            return;
+        }
+
+        const inputs = prepareWorkflowInputs();
+        if (!inputs) {
+            endConsoleRun('failed');
+            return;
         }
 
-        clearConsole();
         logConsole('⏳ Running code...', 'info');
-        
-        // Execute code in isolated scope
-        const result = executeCode(generatedCode);
-        
-        if (result) {
-            const output = result.split('\n');
-            output.forEach(line => {
+        setRunningState(true);
+
+        // Execute code in a sandbox, streaming output as it is printed
+        executeCode(generatedCode, {
+            timeBudget: getTimeBudget(),
+            inputs: inputs,
+            onLog: (line, details) => {
                 if (line.trim()) {
-                    logConsole(line);
+                    logWorkflowOutput(line, details);
                 }
-            });
-        }
-        
-        logConsole('✅ Code executed successfully!', 'success');
-        
+            },
+            onAsk: askInConsole
+        }).then(() => {
+            logConsole('✅ Code executed successfully!', 'success');
+            endConsoleRun('passed');
+        }).catch(error => {
+            reportRuntimeError(error);
+            endConsoleRun(error.stopped ? 'stopped' : 'failed');
+            console.error('Execution error:', error);
+        }).finally(() => {
+            setRunningState(false);
+        });
+
     } catch (error) {
+        setRunningState(false);
         logConsole(`❌ Runtime Error: ${error.message}`, 'error');
+        endConsoleRun('failed');
         console.error('Execution error:', error);
     }
 }
 
-// ================================
-// Execute Code Safely
-// ================================
-
-function executeCode(code) {
-    // Create isolated execution context
-    const isolatedContext = {
-        console: {
-            log: function(...args) {
-                return args.map(arg => {
-                    if (typeof arg === 'object') {
-                        return JSON.stringify(arg, null, 2);
-                    }
-                    return String(arg);
-                }).join(' ');
-            }
-        },
-        Math: Math,
-        parseFloat: parseFloat,
-        parseInt: parseInt
-    };
-    
+// Values of the workflow's inputs, logged for the run; null (after logging
+// why) when one is invalid
+function prepareWorkflowInputs() {
+    let inputs;
     try {
-        // Execute code with timeout to prevent infinite loops
-        const result = executeWithTimeout(() => {
-            return new Function(...Object.keys(isolatedContext), code)
-                (...Object.values(isolatedContext));
-        }, 5000);
-        
-        return result || '';
-        
+        inputs = getWorkflowInputValues(getWorkflowInputs(workspace));
     } catch (error) {
-        throw new Error(`${error.message}`);
+        logConsole(`❌ ${error.message}`, 'error');
+        return null;
+    }
+
+    const names = Object.keys(inputs);
+    if (names.length > 0) {
+        logConsole(`📥 Inputs: ${names.map(name => `${name} = ${JSON.stringify(inputs[name])}`).join(', ')}`, 'info');
+    }
+    return inputs;
+}
+
+// Logs a runtime error and, when the executor knows it, selects the failing block
+function reportRuntimeError(error) {
+    const blockId = error.blockId && workspace.getBlockById(error.blockId) ? error.blockId : null;
+    logConsole(`❌ Runtime Error: ${error.message}`, 'error', { blockId: blockId });
+    if (blockId) {
+        selectBlock(blockId);
     }
 }
 
 // ================================
-// Execute with Timeout
+// Debug Generated Code
 // ================================
 
-function executeWithTimeout(fn, timeout) {
-    let isTimeout = false;
-    let result = null;
-    let error = null;
-    
-    const timer = setTimeout(() => {
-        isTimeout = true;
-    }, timeout);
-    
+function debugCode() {
+    if (isExecuting()) {
+        logConsole('⚠️ A workflow is already running. Stop it first!', 'warning');
+        return;
+    }
+    requestWorkflowInputs(getWorkflowInputs(workspace), '🐞 Debug', startDebug);
+}
+
+function startDebug() {
     try {
-        result = fn();
-        
-        if (isTimeout) {
-            throw new Error('Code execution timeout - possible infinite loop');
+        if (isExecuting()) {
+            logConsole('⚠️ A workflow is already running. Stop it first!', 'warning');
+            return;
         }
-    } catch (err) {
-        error = err;
-    } finally {
-        clearTimeout(timer);
-    }
-    
-    if (error) {
-        throw error;
+
+        startConsoleRun('Debug');
+
+        const validation = runValidation();
+        if (validation.errors > 0) {
+            logConsole(`❌ Fix ${validation.errors} error(s) before debugging`, 'error');
+            endConsoleRun('failed');
+            return;
+        }
+
+        const inputs = prepareWorkflowInputs();
+        if (!inputs) {
+            endConsoleRun('failed');
+            return;
+        }
+
+        // Debug code is always generated fresh so block IDs match the workspace
+        const code = Blockly.JavaScript.workspaceToDebugCode(workspace);
+
+        logConsole('🐞 Debugging: paused before the first block. Use Step or Continue.', 'info');
+        setRunningState(true);
+        startDebugSession();
+
+        executeCode(code, {
+            inputs: inputs,
+            onLog: (line, details) => {
+                if (line.trim()) {
+                    logWorkflowOutput(line, details);
+                }
+            },
+            onAsk: askInConsole,
+            debug: {
+                breakpoints: getBreakpoints(),
+                onStep: showDebugStep
+            }
+        }).then(() => {
+            logConsole('✅ Debug session finished', 'success');
+            endConsoleRun('passed');
+        }).catch(error => {
+            reportRuntimeError(error);
+            endConsoleRun(error.stopped ? 'stopped' : 'failed');
+            console.error('Execution error:', error);
+        }).finally(() => {
+            setRunningState(false);
+            endDebugSession();
+        });
+
+    } catch (error) {
+        setRunningState(false);
+        endDebugSession();
+        logConsole(`❌ Debug Error: ${error.message}`, 'error');
+        endConsoleRun('failed');
+        console.error('Debug error:', error);
     }
-    
-    return result;
 }
 
 // ================================
-// Format Generated Code
+// Stop Running Code
 // ================================
 
-function formatCode(code) {
-    // Remove extra whitespace
-    code = code.trim();
-    
-    // Add syntax highlighting hints
-    code = code.replace(/\/\//g, '//');
-    
-    return code;
+function stopCode() {
+    if (!stopExecution()) {
+        logConsole('ℹ️ Nothing is running', 'info');
+    }
+}
+
+function setRunningState(running) {
+    document.getElementById('runCodeBtn').disabled = running;
+    document.getElementById('debugCodeBtn').disabled = running;
+    document.getElementById('stopCodeBtn').disabled = !running;
 }
 
 // ================================
-// Display Generated Code
+// Execution Time Budget
 // ================================
 
-function displayCode(code) {
-    const codeOutput = document.getElementById('codeOutput');
-    
-    if (code.trim() === '') {
-        codeOutput.textContent = '// No code generated';
-    } else {
-        codeOutput.textContent = code;
-    }
+function getTimeBudget() {
+    const input = document.getElementById('timeBudgetInput');
+    const value = input ? parseInt(input.value, 10) : NaN;
+    return value > 0 ? value : DEFAULT_TIME_BUDGET_MS;
 }
 
 // ================================
-// Console Logging
-// ================================
+// Code Language
+// ================================
+
+// Generator and highlighting for each entry of #codeLanguageSelect
+const CODE_LANGUAGES = {
+    javascript: {
+        highlight: 'javascript',
+        generator: () => Blockly.JavaScript,
+        generate: gen => gen.workspaceToCode(workspace)
+    },
+    'javascript-export': {
+        highlight: 'javascript',
+        generator: () => Blockly.JavaScript,
+        generate: gen => gen.workspaceToExportCode(workspace)
+    },
+    python: {
+        highlight: 'python',
+        generator: () => Blockly.Python,
+        generate: gen => gen.workspaceToCode(workspace)
+    },
+    pseudocode: {
+        highlight: 'pseudocode',
+        generator: () => Blockly.Pseudocode,
+        generate: gen => gen.workspaceToCode(workspace)
+    }
+};
+
+// Shows the workflow in codeLanguage, mapped line by line to its blocks. Run
+// always uses the JavaScript in generatedCode; the panel is for reading and copying.
+function showGeneratedCode() {
+    const language = CODE_LANGUAGES[codeLanguage];
+    const generator = language.generator();
+    if (!generator) {
+        throw new Error(`The ${codeLanguage} generator is not available`);
+    }
 
-function logConsole(message, type = 'log') {
-    const consoleOutput = document.getElementById('consoleOutput');
-    
-    // Clear info message on first log
-    const infoEl = consoleOutput.querySelector('.console-info');
-    if (infoEl) {
-        infoEl.remove();
+    const map = extractBlockMap(formatCode(withBlockMarkers(generator, () => language.generate(generator))));
+    displayedCode = map.code;
+    displayCode(displayedCode, language.highlight, map);
+    highlightBlockCode(Blockly.getSelected());
+}
+
+function changeCodeLanguage(event) {
+    codeLanguage = event.target.value;
+    if (!generatedCode) {
+        return;
+    }
+    try {
+        showGeneratedCode();
+    } catch (error) {
+        displayedCode = '';
+        displayCode(`// Could not generate ${codeLanguage}`);
+        logConsole(`❌ Error while generating ${codeLanguage}: ${error.message}`, 'error');
+        console.error('Generation error:', error);
     }
-    
-    const logEntry = document.createElement('p');
-    logEntry.className = type;
-    
-    const timestamp = new Date().toLocaleTimeString();
-    logEntry.textContent = `[${timestamp}] ${message}`;
-    
-    consoleOutput.appendChild(logEntry);
-    consoleOutput.scrollTop = consoleOutput.scrollHeight;
 }
 
 // ================================
-// Clear Console
+// Display Generated Code
 // ================================
 
-function clearConsole() {
-    const consoleOutput = document.getElementById('consoleOutput');
-    consoleOutput.innerHTML = '<p class="console-info">Console cleared</p>';
+// `map` (from extractBlockMap) links lines to blocks; messages are shown without one
+function displayCode(code, language = 'javascript', map = null) {
+    if (code.trim() === '') {
+        renderCode('// No code generated');
+    } else {
+        renderCode(code, language, map);
+    }
 }
 
 // ================================
@@ -372,6 +670,8 @@ function clearWorkspace() {
     if (confirmed && workspace) {
         workspace.clear();
         generatedCode = '';
+        displayedCode = '';
+        hideCodeError();
         displayCode('// Workspace cleared');
         clearConsole();
         logConsole('🔄 Workspace cleared', 'success');
@@ -383,12 +683,12 @@ function clearWorkspace() {
 // ================================
 
 function copyCode() {
-    if (!generatedCode || generatedCode.trim() === '') {
+    if (!displayedCode || displayedCode.trim() === '') {
         logConsole('⚠️ No code to copy', 'warning');
         return;
     }
     
-    navigator.clipboard.writeText(generatedCode).then(() => {
+    navigator.clipboard.writeText(displayedCode).then(() => {
         logConsole('📋 Code copied to clipboard!', 'success');
     }).catch(err => {
         logConsole('❌ Failed to copy code', 'error');
@@ -397,49 +697,168 @@ function copyCode() {
 }
 
 // ================================
-// Load Demo Workflow
-// ================================
-
-function loadDemoWorkflow() {
-    // Define a simple demo workflow in XML
-    const demoXml = `
-        <xml xmlns="https://developers.google.com/blockly/xml">
-            <block type="start_workflow" x="20" y="20">
-                <statement name="DO">
-                    <block type="set_variable">
-                        <field name="VAR_NAME">x</field>
-                        <value name="VALUE">
-                            <block type="math_number">
-                                <field name="NUM">5</field>
-                            </block>
-                        </value>
-                        <next>
-                            <block type="set_variable">
-                                <field name="VAR_NAME">y</field>
-                                <value name="VALUE">
-                                    <block type="math_number">
-                                        <field name="NUM">3</field>
-                                    </block>
-                                </value>
-                                <next>
-                                    <block type="print_output">
-                                        <value name="TEXT">
-                                            <block type="text_block">
-                                                <field name="TEXT">Result:</field>
-                                            </block>
-                                        </value>
-                                    </block>
-                                </next>
-                            </block>
-                        </next>
-                    </block>
-                </statement>
-            </block>
-        </xml>
-    `;
-    
-    // Demo loading disabled to prevent initialization errors
-    // Users can build their own blocks instead
+// Export / Import Workspace
+// ================================
+
+function exportWorkspace() {
+    if (!workspace || workspace.getTopBlocks(false).length === 0) {
+        logConsole('⚠️ Nothing to export. Add some blocks first!', 'warning');
+        return;
+    }
+
+    try {
+        const fileName = exportWorkspaceFile(workspace);
+        logConsole(`💾 Workspace exported as ${fileName}`, 'success');
+    } catch (error) {
+        logConsole(`❌ Export failed: ${error.message}`, 'error');
+        console.error('Export error:', error);
+    }
+}
+
+// Asks before a workflow from a file or share link registers custom blocks:
+// their code templates run like the workflow's own code
+function confirmCustomBlocks(changes) {
+    const lines = changes.map(change => `  • ${change.definition.type}` +
+        (change.replaces ? ' (replaces your custom block of that type)' : ''));
+    return confirm('This workflow comes with custom blocks that run their own code:\n' + lines.join('\n') +
+        '\n\nOnly add them if you trust where the workflow came from. Add them?');
+}
+
+function importWorkspace(event) {
+    const input = event.target;
+    const file = input.files && input.files[0];
+    if (!file) {
+        return;
+    }
+
+    importWorkspaceFile(workspace, file, { confirmCustomBlocks: confirmCustomBlocks }).then(loaded => {
+        if (loaded) {
+            logConsole(`📂 Imported ${file.name}`, 'success');
+        } else {
+            logConsole(`ℹ️ ${file.name} not imported; your workspace is unchanged`, 'info');
+        }
+    }).catch(error => {
+        if (error.unknownTypes) {
+            logConsole(`❌ Cannot import ${file.name}: it uses blocks this builder does not know`, 'error');
+            error.unknownTypes.forEach(type => logConsole(`   • ${type}`, 'error'));
+        } else {
+            logConsole(`❌ Import failed: ${error.message}`, 'error');
+        }
+        console.error('Import error:', error);
+    }).finally(() => {
+        input.value = '';  // Allow re-importing the same file
+    });
+}
+
+// ================================
+// Share Links
+// ================================
+
+function shareWorkspace() {
+    if (!workspace || workspace.getTopBlocks(false).length === 0) {
+        logConsole('⚠️ Nothing to share. Add some blocks first!', 'warning');
+        return;
+    }
+
+    createShareLink(workspace, window.location.href).then(link => {
+        if (isShareLinkTooLong(link)) {
+            logConsole(`⚠️ The link is ${link.length} characters long; some apps cut links over ${SHARE_LINK_WARN_LENGTH}. ` +
+                'If it does not open, share an exported .workflow.json file instead.', 'warning');
+        }
+        return navigator.clipboard.writeText(link).then(() => {
+            logConsole(`🔗 Share link copied to clipboard (${link.length} characters)`, 'success');
+        }, () => {
+            logConsole('🔗 Copy this link to share the workflow:', 'info');
+            logConsole(link, 'info');
+        });
+    }).catch(error => {
+        logConsole(`❌ Could not create a share link: ${error.message}`, 'error');
+        console.error('Share error:', error);
+    });
+}
+
+// Loads the workflow of a share link in the page's URL, then removes it from
+// the address bar so reloading keeps later edits
+function openSharedWorkflow() {
+    const hash = window.location.hash;
+    if (!isShareLinkHash(hash)) {
+        return;
+    }
+
+    decodeShareLink(hash).then(doc => {
+        if (workspace.getTopBlocks(false).length > 0) {
+            const confirmed = confirm('Replace your current workspace with the shared workflow? (Undo brings yours back)');
+            if (!confirmed) {
+                logConsole('ℹ️ Shared workflow not opened; your workspace is unchanged', 'info');
+                return;
+            }
+        }
+        if (!loadWorkflowDocument(workspace, doc, { recordUndo: true, confirmCustomBlocks: confirmCustomBlocks })) {
+            logConsole('ℹ️ Shared workflow not opened; your workspace is unchanged', 'info');
+            return;
+        }
+        window.history.replaceState(null, '', window.location.pathname + window.location.search);
+        logConsole('🔗 Opened the shared workflow', 'success');
+    }).catch(error => {
+        if (error.unknownTypes) {
+            logConsole('❌ Cannot open the shared workflow: it uses blocks this builder does not know', 'error');
+            error.unknownTypes.forEach(type => logConsole(`   • ${type}`, 'error'));
+        } else {
+            logConsole(`❌ Cannot open the shared workflow: ${error.message}`, 'error');
+        }
+        console.error('Share link error:', error);
+    });
+}
+
+// ================================
+// Example Gallery
+// ================================
+
+function setupExampleGallery() {
+    const select = document.getElementById('exampleSelect');
+
+    WORKFLOW_EXAMPLES.forEach(example => {
+        const option = document.createElement('option');
+        option.value = example.id;
+        option.textContent = example.name;
+        option.title = example.description;
+        select.appendChild(option);
+    });
+
+    select.addEventListener('change', () => {
+        if (select.value) {
+            loadExample(select.value);
+        }
+        select.value = '';
+    });
+}
+
+function loadExample(id) {
+    const example = getExample(id);
+    if (!example || !workspace) {
+        return;
+    }
+
+    if (workspace.getTopBlocks(false).length > 0) {
+        const confirmed = confirm(`Replace the current workspace with the "${example.name}" example?`);
+        if (!confirmed) {
+            return;
+        }
+    }
+
+    try {
+        workspace.clear();
+        loadWorkflowDocument(workspace, example.workspace);
+    } catch (error) {
+        logConsole(`❌ Could not load example: ${error.message}`, 'error');
+        console.error('Example load error:', error);
+        return;
+    }
+
+    clearConsole();
+    logConsole(`📘 ${example.name}: ${example.description}`, 'info');
+    logConsole('Expected output:', 'info');
+    example.expectedOutput.forEach(line => logConsole(`   ${line}`, 'info'));
 }
 
 // ================================
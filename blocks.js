@@ -2,13 +2,46 @@
  * blocks.js
  * Custom Block Definitions for Workflow Builder
  * 
- * Defines all custom blocks:
+ * Registers the toolbox categories and every built-in block with
+ * registerBlock() (registry.js); their generators are in generator.js,
+ * python.js and pseudocode.js. The blocks:
  * 1. Start Workflow (entry block)
  * 2. Set Variable (name + value)
  * 3. Add Numbers
  * 4. Multiply Numbers
- * 5. If Condition (>, <, ==)
- * 6. Print Output
+ * 5. If Condition (>, <, ==, >=, <=, !=, is true)
+ * 6. Print Output (info / warning / error)
+ * 7. Repeat N Times
+ * 8. While Condition
+ * 9. For Each Item in List
+ * 10. Subtract Numbers
+ * 11. Divide Numbers
+ * 12. Modulo Numbers
+ * 13. Power Numbers
+ * 14. Min / Max
+ * 15. Round / Floor / Ceil
+ * 16. Compare Values
+ * 17. AND / OR / NOT
+ * 18. Define Sub-workflow
+ * 19. Call Sub-workflow (statement and value)
+ * 20. Join Text (any number of items)
+ * 21. Text Length
+ * 22. Upper / Lower Case
+ * 23. Text Contains
+ * 24. Substring
+ * 25. Replace Text
+ * 26. Format Number as Text
+ * 27. Create List (any number of items)
+ * 28. Add to List
+ * 29. Remove from List
+ * 30. Get List Item
+ * 31. List Length
+ * 32. Create Record
+ * 33. Set Record Field
+ * 34. Get Record Field
+ * 35. Workflow Input (name, type, default)
+ * 36. Wait Seconds
+ * 37. Ask User
  */
 
 console.log('🔄 Loading custom blocks...');
@@ -28,186 +61,1479 @@ const BLOCK_COLORS = {
     workflow: 25,      // Blue (0-360 hue)
     math: 30,          // Orange
     logic: 120,        // Green
+    loops: 200,        // Teal
+    subworkflow: 260,  // Purple
+    text: 160,         // Cyan
+    data: 340,         // Red
     io: 290            // Pink
 };
 
+// ================================
+// Value Types
+// ================================
+
+// Connection check names used by value inputs and outputs. A value block with
+// an output check can only be plugged into inputs that accept that type.
+const WORKFLOW_TYPES = {
+    NUMBER: 'Number',
+    STRING: 'String',
+    BOOLEAN: 'Boolean',
+    LIST: 'Array',
+    RECORD: 'Record'
+};
+
+// Values that can be compared with >, <, == ...
+const COMPARABLE_TYPES = [WORKFLOW_TYPES.NUMBER, WORKFLOW_TYPES.STRING];
+
+// Left side of IF / WHILE: a comparable value, or a Boolean for "is true"
+const CONDITION_TYPES = [WORKFLOW_TYPES.NUMBER, WORKFLOW_TYPES.STRING, WORKFLOW_TYPES.BOOLEAN];
+
+// Values FOR EACH can loop over (text loops over its characters)
+const ITERABLE_TYPES = [WORKFLOW_TYPES.LIST, WORKFLOW_TYPES.STRING];
+
+// ================================
+// Comparison Operators
+// ================================
+
+// Comparison operators shared by IF, WHILE and COMPARE
+const COMPARISON_OPERATORS = [
+    [">", "GREATER"],
+    ["<", "LESS"],
+    ["==", "EQUAL"],
+    [">=", "GREATER_EQUAL"],
+    ["<=", "LESS_EQUAL"],
+    ["!=", "NOT_EQUAL"]
+];
+
+// IF and WHILE can also test a single boolean value (e.g. from AND / OR / NOT);
+// with "is true" the right-hand socket is ignored
+const CONDITION_OPERATORS = COMPARISON_OPERATORS.concat([
+    ["is true", "IS_TRUE"]
+]);
+
+// ================================
+// Toolbox Categories
+// ================================
+
+// Every block below is registered with registerBlock() (registry.js), which
+// also lists it in its toolbox category. math_number and variables_get
+// replace Blockly's own blocks of those types, which saved workflows already
+// use.
+registerToolboxCategory({ id: 'workflow', name: 'Workflow', colour: BLOCK_COLORS.workflow });
+registerToolboxCategory({ id: 'math', name: 'Math', colour: BLOCK_COLORS.math });
+registerToolboxCategory({ id: 'logic', name: 'Logic', colour: BLOCK_COLORS.logic });
+registerToolboxCategory({ id: 'loops', name: 'Loops', colour: BLOCK_COLORS.loops });
+registerToolboxCategory({ id: 'subworkflows', name: 'Sub-workflows', colour: BLOCK_COLORS.subworkflow });
+registerToolboxCategory({ id: 'text', name: 'Text', colour: BLOCK_COLORS.text });
+registerToolboxCategory({ id: 'lists', name: 'Lists & Records', colour: BLOCK_COLORS.data });
+
+// Toolbox entry inputs holding a number block each, e.g. { TIMES: 3 }
+function toolboxNumbers(values) {
+    const inputs = {};
+    Object.keys(values).forEach(name => {
+        inputs[name] = { block: { type: 'math_number', fields: { NUM: values[name] } } };
+    });
+    return { inputs: inputs };
+}
+
+// ================================
+// Number and Text Blocks
+// ================================
+
+// Number block (value input)
+registerBlock({
+    type: 'math_number',
+    category: 'math',
+    overridesBuiltin: true,
+    definition: {
+        init: function() {
+            this.appendDummyInput()
+                .appendField(new Blockly.FieldNumber(0), "NUM");
+            this.setOutput(true, WORKFLOW_TYPES.NUMBER);
+            this.setColour(BLOCK_COLORS.math);
+            this.setTooltip("A number.");
+            this.setHelpUrl("");
+        }
+    }
+});
+
+// Text block (string input)
+registerBlock({
+    type: 'text_block',
+    category: 'text',
+    definition: {
+        init: function() {
+            this.appendDummyInput()
+                .appendField('"')
+                .appendField(new Blockly.FieldTextInput(""), "TEXT")
+                .appendField('"');
+            this.setOutput(true, WORKFLOW_TYPES.STRING);
+            this.setColour(140);
+            this.setTooltip("A text string.");
+            this.setHelpUrl("");
+        }
+    }
+});
+
 // ================================
 // 1. START WORKFLOW BLOCK
 // ================================
 
-Blockly.Blocks['start_workflow'] = {
-    init: function() {
-        this.appendDummyInput()
-            .appendField("▶️ START WORKFLOW");
-        
-        this.appendStatementInput("DO")
-            .setCheck(null)
-            .appendField("do");
-        
-        this.setColour(BLOCK_COLORS.workflow);
-        this.setTooltip("Entry point for your workflow. All blocks must connect from here.");
-        this.setHelpUrl("");
+registerBlock({
+    type: 'start_workflow',
+    category: 'workflow',
+    definition: {
+        init: function() {
+            this.appendDummyInput()
+                .appendField("▶️ START WORKFLOW");
+
+            this.appendStatementInput("DO")
+                .setCheck(null)
+                .appendField("do");
+
+            this.setColour(BLOCK_COLORS.workflow);
+            this.suppressPrefixSuffix = true;  // Debugger step hooks belong inside the workflow, not before it
+            this.setTooltip("Entry point for your workflow. All blocks must connect from here.");
+            this.setHelpUrl("");
+        }
     }
-};
+});
 
 // ================================
 // 2. SET VARIABLE BLOCK
 // ================================
 
-Blockly.Blocks['set_variable'] = {
-    init: function() {
-        this.appendDummyInput()
-            .appendField("📝 SET VARIABLE")
-            .appendField(new Blockly.FieldVariable("item"), "VAR_NAME");
-        
-        this.appendValueInput("VALUE")
-            .setCheck(null)
-            .appendField("to");
-        
-        this.setPreviousStatement(true, null);
-        this.setNextStatement(true, null);
-        this.setColour(BLOCK_COLORS.workflow);
-        this.setTooltip("Assign a value to a variable.");
-        this.setHelpUrl("");
+registerBlock({
+    type: 'set_variable',
+    category: 'workflow',
+    definition: {
+        init: function() {
+            this.appendDummyInput()
+                .appendField("📝 SET VARIABLE")
+                .appendField(new Blockly.FieldVariable("item"), "VAR_NAME");
+
+            this.appendValueInput("VALUE")
+                .setCheck(null)
+                .appendField("to");
+
+            this.setPreviousStatement(true, null);
+            this.setNextStatement(true, null);
+            this.setColour(BLOCK_COLORS.workflow);
+            this.setTooltip("Assign a value to a variable.");
+            this.setHelpUrl("");
+        }
     }
-};
+});
+
+// Get variable block
+registerBlock({
+    type: 'variables_get',
+    category: 'workflow',
+    overridesBuiltin: true,
+    definition: {
+        init: function() {
+            this.appendDummyInput()
+                .appendField(new Blockly.FieldVariable("item"), "VAR");
+            this.setOutput(true, null);
+            this.setColour(BLOCK_COLORS.workflow);
+            this.setTooltip("Returns the value of the variable.");
+            this.setHelpUrl("");
+        }
+    }
+});
 
 // ================================
 // 3. ADD NUMBERS BLOCK
 // ================================
 
-Blockly.Blocks['add_numbers'] = {
-    init: function() {
-        this.appendValueInput("NUM1")
-            .setCheck(null)
-            .appendField("➕ ADD");
-        
-        this.appendValueInput("NUM2")
-            .setCheck(null)
-            .appendField("and");
-        
-        this.setOutput(true, null);
-        this.setColour(BLOCK_COLORS.math);
-        this.setTooltip("Add two numbers together.");
-        this.setHelpUrl("");
+registerBlock({
+    type: 'add_numbers',
+    category: 'math',
+    definition: {
+        init: function() {
+            this.appendValueInput("NUM1")
+                .setCheck(WORKFLOW_TYPES.NUMBER)
+                .appendField("➕ ADD");
+
+            this.appendValueInput("NUM2")
+                .setCheck(WORKFLOW_TYPES.NUMBER)
+                .appendField("and");
+
+            this.setOutput(true, WORKFLOW_TYPES.NUMBER);
+            this.setColour(BLOCK_COLORS.math);
+            this.setTooltip("Add two numbers together.");
+            this.setHelpUrl("");
+        }
     }
-};
+});
 
 // ================================
 // 4. MULTIPLY NUMBERS BLOCK
 // ================================
 
-Blockly.Blocks['multiply_numbers'] = {
-    init: function() {
-        this.appendValueInput("NUM1")
-            .setCheck(null)
-            .appendField("✖️ MULTIPLY");
-        
-        this.appendValueInput("NUM2")
-            .setCheck(null)
-            .appendField("by");
-        
-        this.setOutput(true, null);
-        this.setColour(BLOCK_COLORS.math);
-        this.setTooltip("Multiply two numbers together.");
-        this.setHelpUrl("");
+registerBlock({
+    type: 'multiply_numbers',
+    category: 'math',
+    definition: {
+        init: function() {
+            this.appendValueInput("NUM1")
+                .setCheck(WORKFLOW_TYPES.NUMBER)
+                .appendField("✖️ MULTIPLY");
+
+            this.appendValueInput("NUM2")
+                .setCheck(WORKFLOW_TYPES.NUMBER)
+                .appendField("by");
+
+            this.setOutput(true, WORKFLOW_TYPES.NUMBER);
+            this.setColour(BLOCK_COLORS.math);
+            this.setTooltip("Multiply two numbers together.");
+            this.setHelpUrl("");
+        }
     }
-};
+});
 
 // ================================
 // 5. IF CONDITION BLOCK
 // ================================
 
-Blockly.Blocks['if_condition'] = {
-    init: function() {
-        this.appendValueInput("CONDITION_LEFT")
-            .setCheck(null)
-            .appendField("❓ IF");
-        
-        this.appendDummyInput()
-            .appendField(new Blockly.FieldDropdown([
-                [">", "GREATER"],
-                ["<", "LESS"],
-                ["==", "EQUAL"]
-            ]), "OPERATOR");
-        
-        this.appendValueInput("CONDITION_RIGHT")
-            .setCheck(null);
-        
-        this.appendStatementInput("DO_TRUE")
-            .setCheck(null)
-            .appendField("then");
-        
-        this.appendStatementInput("DO_FALSE")
-            .setCheck(null)
-            .appendField("else");
-        
-        this.setPreviousStatement(true, null);
-        this.setNextStatement(true, null);
-        this.setColour(BLOCK_COLORS.logic);
-        this.setTooltip("Conditional execution: if a condition is true, execute one block, otherwise execute another.");
-        this.setHelpUrl("");
+registerBlock({
+    type: 'if_condition',
+    category: 'logic',
+    definition: {
+        init: function() {
+            this.appendValueInput("CONDITION_LEFT")
+                .setCheck(CONDITION_TYPES)
+                .appendField("❓ IF");
+
+            this.appendDummyInput()
+                .appendField(new Blockly.FieldDropdown(CONDITION_OPERATORS), "OPERATOR");
+
+            this.appendValueInput("CONDITION_RIGHT")
+                .setCheck(COMPARABLE_TYPES);
+
+            this.appendStatementInput("DO_TRUE")
+                .setCheck(null)
+                .appendField("then");
+
+            this.appendStatementInput("DO_FALSE")
+                .setCheck(null)
+                .appendField("else");
+
+            this.setPreviousStatement(true, null);
+            this.setNextStatement(true, null);
+            this.setColour(BLOCK_COLORS.logic);
+            this.setTooltip("Conditional execution: if a condition is true, execute one block, otherwise execute another. Choose \"is true\" to test a single AND / OR / NOT or COMPARE value.");
+            this.setHelpUrl("");
+        }
     }
-};
+});
 
 // ================================
 // 6. PRINT OUTPUT BLOCK
 // ================================
 
-Blockly.Blocks['print_output'] = {
+registerBlock({
+    type: 'print_output',
+    category: 'workflow',
+    definition: {
+        init: function() {
+            this.appendValueInput("TEXT")
+                .setCheck(null)
+                .appendField("🖨️ PRINT OUTPUT")
+                .appendField(new Blockly.FieldDropdown([
+                    ["info", "INFO"],
+                    ["warning", "WARN"],
+                    ["error", "ERROR"]
+                ]), "LEVEL");
+
+            this.setPreviousStatement(true, null);
+            this.setNextStatement(true, null);
+            this.setColour(BLOCK_COLORS.io);
+            this.setTooltip("Display text or value in the console output, as information, a warning or an error. Printing an error does not stop the workflow.");
+            this.setHelpUrl("");
+        }
+    }
+});
+
+// ================================
+// 7. REPEAT N TIMES BLOCK
+// ================================
+
+registerBlock({
+    type: 'repeat_times',
+    category: 'loops',
+    toolbox: toolboxNumbers({ TIMES: 3 }),
+    definition: {
+        init: function() {
+            this.appendValueInput("TIMES")
+                .setCheck(WORKFLOW_TYPES.NUMBER)
+                .appendField("🔁 REPEAT");
+
+            this.appendDummyInput()
+                .appendField("times");
+
+            this.appendStatementInput("DO")
+                .setCheck(null)
+                .appendField("do");
+
+            this.setInputsInline(true);
+            this.setPreviousStatement(true, null);
+            this.setNextStatement(true, null);
+            this.setColour(BLOCK_COLORS.loops);
+            this.setTooltip("Run the enclosed blocks a fixed number of times.");
+            this.setHelpUrl("");
+        }
+    }
+});
+
+// ================================
+// 8. WHILE CONDITION BLOCK
+// ================================
+
+registerBlock({
+    type: 'while_condition',
+    category: 'loops',
+    definition: {
+        init: function() {
+            this.appendValueInput("CONDITION_LEFT")
+                .setCheck(CONDITION_TYPES)
+                .appendField("🔄 WHILE");
+
+            this.appendDummyInput()
+                .appendField(new Blockly.FieldDropdown(CONDITION_OPERATORS), "OPERATOR");
+
+            this.appendValueInput("CONDITION_RIGHT")
+                .setCheck(COMPARABLE_TYPES);
+
+            this.appendStatementInput("DO")
+                .setCheck(null)
+                .appendField("do");
+
+            this.setPreviousStatement(true, null);
+            this.setNextStatement(true, null);
+            this.setColour(BLOCK_COLORS.loops);
+            this.setTooltip("Keep running the enclosed blocks as long as the comparison is true. Choose \"is true\" to test a single AND / OR / NOT or COMPARE value.");
+            this.setHelpUrl("");
+        }
+    }
+});
+
+// ================================
+// 9. FOR EACH ITEM BLOCK
+// ================================
+
+registerBlock({
+    type: 'for_each',
+    category: 'loops',
+    definition: {
+        init: function() {
+            this.appendValueInput("LIST")
+                .setCheck(ITERABLE_TYPES)
+                .appendField("🔂 FOR EACH")
+                .appendField(new Blockly.FieldVariable("item"), "VAR")
+                .appendField("in");
+
+            this.appendStatementInput("DO")
+                .setCheck(null)
+                .appendField("do");
+
+            this.setPreviousStatement(true, null);
+            this.setNextStatement(true, null);
+            this.setColour(BLOCK_COLORS.loops);
+            this.setTooltip("Run the enclosed blocks once for every item in a list (or every character in a text), storing the item in a variable.");
+            this.setHelpUrl("");
+        }
+    }
+});
+
+// ================================
+// 10. SUBTRACT NUMBERS BLOCK
+// ================================
+
+registerBlock({
+    type: 'subtract_numbers',
+    category: 'math',
+    definition: {
+        init: function() {
+            this.appendValueInput("NUM1")
+                .setCheck(WORKFLOW_TYPES.NUMBER)
+                .appendField("➖ SUBTRACT");
+
+            this.appendValueInput("NUM2")
+                .setCheck(WORKFLOW_TYPES.NUMBER)
+                .appendField("minus");
+
+            this.setOutput(true, WORKFLOW_TYPES.NUMBER);
+            this.setColour(BLOCK_COLORS.math);
+            this.setTooltip("Subtract the second number from the first.");
+            this.setHelpUrl("");
+        }
+    }
+});
+
+// ================================
+// 11. DIVIDE NUMBERS BLOCK
+// ================================
+
+registerBlock({
+    type: 'divide_numbers',
+    category: 'math',
+    definition: {
+        init: function() {
+            this.appendValueInput("NUM1")
+                .setCheck(WORKFLOW_TYPES.NUMBER)
+                .appendField("➗ DIVIDE");
+
+            this.appendValueInput("NUM2")
+                .setCheck(WORKFLOW_TYPES.NUMBER)
+                .appendField("by");
+
+            this.setOutput(true, WORKFLOW_TYPES.NUMBER);
+            this.setColour(BLOCK_COLORS.math);
+            this.setTooltip("Divide the first number by the second. Dividing by zero stops the workflow with an error.");
+            this.setHelpUrl("");
+        }
+    }
+});
+
+// ================================
+// 12. MODULO NUMBERS BLOCK
+// ================================
+
+registerBlock({
+    type: 'modulo_numbers',
+    category: 'math',
+    definition: {
+        init: function() {
+            this.appendValueInput("NUM1")
+                .setCheck(WORKFLOW_TYPES.NUMBER)
+                .appendField("🔢 REMAINDER OF");
+
+            this.appendValueInput("NUM2")
+                .setCheck(WORKFLOW_TYPES.NUMBER)
+                .appendField("divided by");
+
+            this.setOutput(true, WORKFLOW_TYPES.NUMBER);
+            this.setColour(BLOCK_COLORS.math);
+            this.setTooltip("Remainder after dividing the first number by the second. Dividing by zero stops the workflow with an error.");
+            this.setHelpUrl("");
+        }
+    }
+});
+
+// ================================
+// 13. POWER NUMBERS BLOCK
+// ================================
+
+registerBlock({
+    type: 'power_numbers',
+    category: 'math',
+    definition: {
+        init: function() {
+            this.appendValueInput("NUM1")
+                .setCheck(WORKFLOW_TYPES.NUMBER)
+                .appendField("📈 RAISE");
+
+            this.appendValueInput("NUM2")
+                .setCheck(WORKFLOW_TYPES.NUMBER)
+                .appendField("to the power of");
+
+            this.setOutput(true, WORKFLOW_TYPES.NUMBER);
+            this.setColour(BLOCK_COLORS.math);
+            this.setTooltip("Raise the first number to the power of the second.");
+            this.setHelpUrl("");
+        }
+    }
+});
+
+// ================================
+// 14. MIN / MAX BLOCK
+// ================================
+
+registerBlock({
+    type: 'min_max_numbers',
+    category: 'math',
+    definition: {
+        init: function() {
+            this.appendValueInput("NUM1")
+                .setCheck(WORKFLOW_TYPES.NUMBER)
+                .appendField(new Blockly.FieldDropdown([
+                    ["⬇️ MIN", "MIN"],
+                    ["⬆️ MAX", "MAX"]
+                ]), "MODE")
+                .appendField("of");
+
+            this.appendValueInput("NUM2")
+                .setCheck(WORKFLOW_TYPES.NUMBER)
+                .appendField("and");
+
+            this.setOutput(true, WORKFLOW_TYPES.NUMBER);
+            this.setColour(BLOCK_COLORS.math);
+            this.setTooltip("The smaller (MIN) or larger (MAX) of two numbers.");
+            this.setHelpUrl("");
+        }
+    }
+});
+
+// ================================
+// 15. ROUND / FLOOR / CEIL BLOCK
+// ================================
+
+registerBlock({
+    type: 'round_number',
+    category: 'math',
+    definition: {
+        init: function() {
+            this.appendValueInput("NUM")
+                .setCheck(WORKFLOW_TYPES.NUMBER)
+                .appendField(new Blockly.FieldDropdown([
+                    ["🎯 ROUND", "ROUND"],
+                    ["⬇️ ROUND DOWN", "FLOOR"],
+                    ["⬆️ ROUND UP", "CEIL"]
+                ]), "MODE");
+
+            this.setOutput(true, WORKFLOW_TYPES.NUMBER);
+            this.setColour(BLOCK_COLORS.math);
+            this.setTooltip("Round a number to the nearest whole number, down (floor) or up (ceil).");
+            this.setHelpUrl("");
+        }
+    }
+});
+
+// ================================
+// 16. COMPARE VALUES BLOCK
+// ================================
+
+registerBlock({
+    type: 'compare_values',
+    category: 'logic',
+    definition: {
+        init: function() {
+            this.appendValueInput("LEFT")
+                .setCheck(COMPARABLE_TYPES);
+
+            this.appendDummyInput()
+                .appendField(new Blockly.FieldDropdown(COMPARISON_OPERATORS), "OPERATOR");
+
+            this.appendValueInput("RIGHT")
+                .setCheck(COMPARABLE_TYPES);
+
+            this.setInputsInline(true);
+            this.setOutput(true, WORKFLOW_TYPES.BOOLEAN);
+            this.setColour(BLOCK_COLORS.logic);
+            this.setTooltip("True when the comparison holds, otherwise false.");
+            this.setHelpUrl("");
+        }
+    }
+});
+
+// ================================
+// 17. AND / OR / NOT BLOCKS
+// ================================
+
+registerBlock({
+    type: 'boolean_and_or',
+    category: 'logic',
+    definition: {
+        init: function() {
+            this.appendValueInput("LEFT")
+                .setCheck(WORKFLOW_TYPES.BOOLEAN);
+
+            this.appendValueInput("RIGHT")
+                .setCheck(WORKFLOW_TYPES.BOOLEAN)
+                .appendField(new Blockly.FieldDropdown([
+                    ["AND", "AND"],
+                    ["OR", "OR"]
+                ]), "OPERATOR");
+
+            this.setInputsInline(true);
+            this.setOutput(true, WORKFLOW_TYPES.BOOLEAN);
+            this.setColour(BLOCK_COLORS.logic);
+            this.setTooltip("AND: true when both sides are true. OR: true when at least one side is true.");
+            this.setHelpUrl("");
+        }
+    }
+});
+
+registerBlock({
+    type: 'boolean_not',
+    category: 'logic',
+    definition: {
+        init: function() {
+            this.appendValueInput("VALUE")
+                .setCheck(WORKFLOW_TYPES.BOOLEAN)
+                .appendField("NOT");
+
+            this.setOutput(true, WORKFLOW_TYPES.BOOLEAN);
+            this.setColour(BLOCK_COLORS.logic);
+            this.setTooltip("True when the input is false, and false when it is true.");
+            this.setHelpUrl("");
+        }
+    }
+});
+
+// ================================
+// 18. DEFINE SUB-WORKFLOW BLOCK
+// ================================
+
+// Parses the comma-separated parameter list of a DEFINE SUB-WORKFLOW block
+function parseSubworkflowParams(text) {
+    const params = [];
+    String(text || '').split(',').forEach(param => {
+        const name = param.trim();
+        if (name && !params.includes(name)) {
+            params.push(name);
+        }
+    });
+    return params;
+}
+
+function getSubworkflowDefinitions(ws) {
+    return ws ? ws.getBlocksByType('define_subworkflow', false) : [];
+}
+
+function findSubworkflowDefinition(ws, name) {
+    return getSubworkflowDefinitions(ws).find(block => block.getFieldValue('NAME') === name) || null;
+}
+
+// Variables a sub-workflow assigns (SET VARIABLE, FOR EACH) other than its
+// inputs, as a Map of variable ID to name. They are local to the sub-workflow,
+// which reads the workflow's value until it assigns its own.
+function getSubworkflowLocalVariables(def) {
+    const params = parseSubworkflowParams(def.getFieldValue('PARAMS'));
+    const locals = new Map();
+    def.getDescendants(false).forEach(block => {
+        const field = { set_variable: 'VAR_NAME', for_each: 'VAR' }[block.type];
+        const variable = field && block.isEnabled() ? def.workspace.getVariableById(block.getFieldValue(field)) : null;
+        if (variable && !params.includes(variable.name)) {
+            locals.set(variable.getId(), variable.name);
+        }
+    });
+    return locals;
+}
+
+registerBlock({
+    type: 'define_subworkflow',
+    category: 'subworkflows',
+    definition: {
+        init: function() {
+            this.appendDummyInput()
+                .appendField("🧩 SUB-WORKFLOW")
+                .appendField(new Blockly.FieldTextInput("do something", function(name) {
+                    return name.trim() || null;
+                }), "NAME");
+
+            this.appendDummyInput()
+                .appendField("with inputs")
+                .appendField(new Blockly.FieldTextInput(""), "PARAMS");
+
+            this.appendStatementInput("STACK")
+                .setCheck(null)
+                .appendField("do");
+
+            this.appendValueInput("RETURN")
+                .setCheck(null)
+                .setAlign(Blockly.inputs ? Blockly.inputs.Align.RIGHT : Blockly.ALIGN_RIGHT)
+                .appendField("return");
+
+            this.setColour(BLOCK_COLORS.subworkflow);
+            this.setTooltip("A reusable group of blocks. List its inputs separated by commas; inside, read them with variable blocks of the same name. Variables set inside stay local. The return value is optional.");
+            this.setHelpUrl("");
+        }
+    }
+});
+
+// ================================
+// 19. CALL SUB-WORKFLOW BLOCKS
+// ================================
+
+// Shared by the statement and value versions of the call block. The callee's
+// name and inputs are kept in extra state so a call can be loaded before its
+// definition, and are kept in sync when the definition is renamed or edited.
+const CALL_SUBWORKFLOW_MIXIN = {
     init: function() {
-        this.appendValueInput("TEXT")
-            .setCheck(null)
-            .appendField("🖨️ PRINT OUTPUT");
-        
-        this.setPreviousStatement(true, null);
-        this.setNextStatement(true, null);
-        this.setColour(BLOCK_COLORS.io);
-        this.setTooltip("Display text or value in the console output.");
+        this.subworkflowName_ = '';
+        this.params_ = [];
+
+        const block = this;
+        this.appendDummyInput("HEADER")
+            .appendField("🧩 RUN")
+            .appendField(new Blockly.FieldDropdown(function() {
+                return block.getSubworkflowOptions_();
+            }, function(name) {
+                block.subworkflowName_ = name;
+                block.syncWithDefinition_();
+                return name;
+            }), "NAME");
+
+        this.setColour(BLOCK_COLORS.subworkflow);
         this.setHelpUrl("");
+    },
+
+    getSubworkflowOptions_: function() {
+        const names = getSubworkflowDefinitions(this.workspace).map(def => def.getFieldValue('NAME'));
+        if (this.subworkflowName_ && !names.includes(this.subworkflowName_)) {
+            names.push(this.subworkflowName_);
+        }
+        if (names.length === 0) {
+            return [["(no sub-workflows)", ""]];
+        }
+        return names.map(name => [name, name]);
+    },
+
+    saveExtraState: function() {
+        return { name: this.subworkflowName_, params: this.params_.slice() };
+    },
+
+    loadExtraState: function(state) {
+        this.subworkflowName_ = state.name || '';
+        this.updateArguments_(state.params || []);
+    },
+
+    // Adds, removes and relabels the ARG inputs to match `params`
+    updateArguments_: function(params) {
+        params.forEach((param, i) => {
+            if (!this.getInput('ARG' + i)) {
+                this.appendValueInput('ARG' + i)
+                    .setCheck(null)
+                    .setAlign(Blockly.inputs ? Blockly.inputs.Align.RIGHT : Blockly.ALIGN_RIGHT)
+                    .appendField(param, 'ARG_LABEL' + i);
+            } else {
+                this.setFieldValue(param, 'ARG_LABEL' + i);
+            }
+        });
+        for (let i = params.length; this.getInput('ARG' + i); i++) {
+            this.removeInput('ARG' + i);
+        }
+        this.params_ = params.slice();
+    },
+
+    syncWithDefinition_: function() {
+        if (!this.workspace || this.isInFlyout) {
+            return;
+        }
+        const definition = findSubworkflowDefinition(this.workspace, this.subworkflowName_);
+        if (!definition) {
+            this.setWarningText(this.subworkflowName_
+                ? `No sub-workflow named "${this.subworkflowName_}" exists.`
+                : 'Add a SUB-WORKFLOW block to call it here.');
+            return;
+        }
+        this.setWarningText(null);
+
+        const params = parseSubworkflowParams(definition.getFieldValue('PARAMS'));
+        if (params.join(',') !== this.params_.join(',')) {
+            this.updateArguments_(params);
+        }
+    },
+
+    onchange: function(event) {
+        if (!this.workspace || this.isInFlyout || event.isUiEvent) {
+            return;
+        }
+
+        // Follow renames of the definition this block calls
+        if (event.type === Blockly.Events.BLOCK_CHANGE && event.element === 'field' && event.name === 'NAME') {
+            const changed = this.workspace.getBlockById(event.blockId);
+            if (changed && changed.type === 'define_subworkflow' && event.oldValue === this.subworkflowName_) {
+                this.subworkflowName_ = event.newValue;
+                this.getField('NAME').getOptions(false);  // Refresh the cached options first
+                this.setFieldValue(event.newValue, 'NAME');
+            }
+        }
+
+        this.syncWithDefinition_();
     }
 };
 
+registerBlock({
+    type: 'call_subworkflow',
+    category: 'subworkflows',
+    definition: Object.assign({}, CALL_SUBWORKFLOW_MIXIN, {
+        init: function() {
+            CALL_SUBWORKFLOW_MIXIN.init.call(this);
+            this.setPreviousStatement(true, null);
+            this.setNextStatement(true, null);
+            this.setTooltip("Run a sub-workflow, passing a value for each of its inputs.");
+        }
+    })
+});
+
+registerBlock({
+    type: 'call_subworkflow_value',
+    category: 'subworkflows',
+    definition: Object.assign({}, CALL_SUBWORKFLOW_MIXIN, {
+        init: function() {
+            CALL_SUBWORKFLOW_MIXIN.init.call(this);
+            this.setOutput(true, null);
+            this.setTooltip("Run a sub-workflow and use the value it returns.");
+        }
+    })
+});
+
 // ================================
-// Additional Blocks for Better UX
+// 20. JOIN TEXT BLOCK
 // ================================
 
-// Number block (value input)
-Blockly.Blocks['math_number'] = {
+// Blocks shown inside the mutator of blocks with a variable number of value
+// inputs (JOIN, LIST): stack ITEM blocks in the container to add, remove or
+// reorder the inputs
+Blockly.Blocks['item_inputs_container'] = {
     init: function() {
         this.appendDummyInput()
-            .appendField(new Blockly.FieldNumber(0), "NUM");
-        this.setOutput(true, null);
-        this.setColour(BLOCK_COLORS.math);
-        this.setTooltip("A number.");
-        this.setHelpUrl("");
+            .appendField("items");
+        this.appendStatementInput("STACK");
+        this.setColour(BLOCK_COLORS.text);
+        this.setTooltip("Add, remove or reorder items.");
+        this.contextMenu = false;
     }
 };
 
-// Text block (string input)
-Blockly.Blocks['text_block'] = {
+Blockly.Blocks['item_inputs_item'] = {
     init: function() {
         this.appendDummyInput()
-            .appendField('"')
-            .appendField(new Blockly.FieldTextInput(""), "TEXT")
-            .appendField('"');
-        this.setOutput(true, null);
-        this.setColour(140);
-        this.setTooltip("A text string.");
-        this.setHelpUrl("");
+            .appendField("item");
+        this.setPreviousStatement(true, null);
+        this.setNextStatement(true, null);
+        this.setColour(BLOCK_COLORS.text);
+        this.setTooltip("One item.");
+        this.contextMenu = false;
     }
 };
 
-// Get variable block
-Blockly.Blocks['variables_get'] = {
-    init: function() {
-        this.appendDummyInput()
-            .appendField(new Blockly.FieldVariable("item"), "VAR");
-        this.setOutput(true, null);
-        this.setColour(BLOCK_COLORS.workflow);
-        this.setTooltip("Returns the value of the variable.");
-        this.setHelpUrl("");
+// Shared by blocks with inputs ADD0, ADD1, ... whose count (`itemCount_`) is
+// kept in extra state and edited with the mutator. The first input is
+// labelled with `itemsTitle_`.
+const ITEM_INPUTS_MUTATOR_MIXIN = {
+    initItemInputs_: function(title, itemCount) {
+        this.itemsTitle_ = title;
+        this.itemCount_ = itemCount;
+        this.updateShape_();
+        this.setMutator(new Blockly.icons.MutatorIcon(['item_inputs_item'], this));
+    },
+
+    saveExtraState: function() {
+        return { itemCount: this.itemCount_ };
+    },
+
+    loadExtraState: function(state) {
+        this.itemCount_ = Math.max(0, parseInt(state.itemCount, 10) || 0);
+        this.updateShape_();
+    },
+
+    decompose: function(workspace) {
+        const container = workspace.newBlock('item_inputs_container');
+        container.setColour(this.getColour());
+        container.initSvg();
+        let connection = container.getInput('STACK').connection;
+        for (let i = 0; i < this.itemCount_; i++) {
+            const item = workspace.newBlock('item_inputs_item');
+            item.setColour(this.getColour());
+            item.initSvg();
+            connection.connect(item.previousConnection);
+            connection = item.nextConnection;
+        }
+        return container;
+    },
+
+    // Rebuilds the ADD inputs from the mutator's items, keeping each item's value
+    compose: function(container) {
+        const connections = [];
+        for (let item = container.getInputTargetBlock('STACK'); item; item = item.getNextBlock()) {
+            if (!item.isInsertionMarker()) {
+                connections.push(item.valueConnection_);
+            }
+        }
+
+        // Unplug values whose item was removed
+        for (let i = 0; i < this.itemCount_; i++) {
+            const connection = this.getInput('ADD' + i).connection.targetConnection;
+            if (connection && !connections.includes(connection)) {
+                connection.disconnect();
+            }
+        }
+
+        this.itemCount_ = connections.length;
+        this.updateShape_();
+        connections.forEach((connection, i) => {
+            if (connection) {
+                connection.reconnect(this, 'ADD' + i);
+            }
+        });
+    },
+
+    // Remembers which value is plugged into each item, so compose can move it
+    saveConnections: function(container) {
+        let i = 0;
+        for (let item = container.getInputTargetBlock('STACK'); item; item = item.getNextBlock()) {
+            if (item.isInsertionMarker()) {
+                continue;
+            }
+            const input = this.getInput('ADD' + i);
+            item.valueConnection_ = input ? input.connection.targetConnection : null;
+            i++;
+        }
+    },
+
+    // Adds or removes ADD inputs to match itemCount_
+    updateShape_: function() {
+        if (this.itemCount_ > 0 && this.getInput('EMPTY')) {
+            this.removeInput('EMPTY');
+        } else if (this.itemCount_ === 0 && !this.getInput('EMPTY')) {
+            this.appendDummyInput('EMPTY')
+                .appendField(`${this.itemsTitle_} (no items)`);
+        }
+
+        for (let i = 0; i < this.itemCount_; i++) {
+            if (!this.getInput('ADD' + i)) {
+                const input = this.appendValueInput('ADD' + i)
+                    .setCheck(null)
+                    .setAlign(Blockly.inputs ? Blockly.inputs.Align.RIGHT : Blockly.ALIGN_RIGHT);
+                if (i === 0) {
+                    input.appendField(this.itemsTitle_);
+                }
+            }
+        }
+        for (let i = this.itemCount_; this.getInput('ADD' + i); i++) {
+            this.removeInput('ADD' + i);
+        }
+    }
+};
+
+registerBlock({
+    type: 'text_concat',
+    category: 'text',
+    definition: Object.assign({}, ITEM_INPUTS_MUTATOR_MIXIN, {
+        init: function() {
+            this.initItemInputs_("🔗 JOIN", 2);
+            this.setOutput(true, WORKFLOW_TYPES.STRING);
+            this.setColour(BLOCK_COLORS.text);
+            this.setTooltip("Join values into one text, e.g. a label and a number. Click the gear to add or remove items.");
+            this.setHelpUrl("");
+        }
+    })
+});
+
+// ================================
+// 21. TEXT LENGTH BLOCK
+// ================================
+
+registerBlock({
+    type: 'text_char_count',
+    category: 'text',
+    definition: {
+        init: function() {
+            this.appendValueInput("TEXT")
+                .setCheck(WORKFLOW_TYPES.STRING)
+                .appendField("📏 LENGTH OF");
+
+            this.setOutput(true, WORKFLOW_TYPES.NUMBER);
+            this.setColour(BLOCK_COLORS.text);
+            this.setTooltip("The number of characters in a text.");
+            this.setHelpUrl("");
+        }
+    }
+});
+
+// ================================
+// 22. UPPER / LOWER CASE BLOCK
+// ================================
+
+registerBlock({
+    type: 'text_case',
+    category: 'text',
+    definition: {
+        init: function() {
+            this.appendValueInput("TEXT")
+                .setCheck(WORKFLOW_TYPES.STRING)
+                .appendField(new Blockly.FieldDropdown([
+                    ["🔠 UPPER CASE", "UPPER"],
+                    ["🔡 lower case", "LOWER"]
+                ]), "CASE");
+
+            this.setOutput(true, WORKFLOW_TYPES.STRING);
+            this.setColour(BLOCK_COLORS.text);
+            this.setTooltip("A copy of the text in upper or lower case.");
+            this.setHelpUrl("");
+        }
+    }
+});
+
+// ================================
+// 23. TEXT CONTAINS BLOCK
+// ================================
+
+registerBlock({
+    type: 'text_contains',
+    category: 'text',
+    definition: {
+        init: function() {
+            this.appendValueInput("TEXT")
+                .setCheck(WORKFLOW_TYPES.STRING)
+                .appendField("🔍 TEXT");
+
+            this.appendValueInput("SEARCH")
+                .setCheck(WORKFLOW_TYPES.STRING)
+                .appendField("contains");
+
+            this.setInputsInline(true);
+            this.setOutput(true, WORKFLOW_TYPES.BOOLEAN);
+            this.setColour(BLOCK_COLORS.text);
+            this.setTooltip("True when the text contains the second text (case-sensitive).");
+            this.setHelpUrl("");
+        }
+    }
+});
+
+// ================================
+// 24. SUBSTRING BLOCK
+// ================================
+
+registerBlock({
+    type: 'text_substring',
+    category: 'text',
+    toolbox: toolboxNumbers({ FROM: 1, TO: 3 }),
+    definition: {
+        init: function() {
+            this.appendValueInput("TEXT")
+                .setCheck(WORKFLOW_TYPES.STRING)
+                .appendField("✂️ IN TEXT");
+
+            this.appendValueInput("FROM")
+                .setCheck(WORKFLOW_TYPES.NUMBER)
+                .appendField("get characters from #");
+
+            this.appendValueInput("TO")
+                .setCheck(WORKFLOW_TYPES.NUMBER)
+                .appendField("to #");
+
+            this.setOutput(true, WORKFLOW_TYPES.STRING);
+            this.setColour(BLOCK_COLORS.text);
+            this.setTooltip("The part of the text between two positions. The first character is #1 and both ends are included.");
+            this.setHelpUrl("");
+        }
+    }
+});
+
+// ================================
+// 25. REPLACE TEXT BLOCK
+// ================================
+
+registerBlock({
+    type: 'text_replace_all',
+    category: 'text',
+    definition: {
+        init: function() {
+            this.appendValueInput("TEXT")
+                .setCheck(WORKFLOW_TYPES.STRING)
+                .appendField("✏️ IN TEXT");
+
+            this.appendValueInput("FIND")
+                .setCheck(WORKFLOW_TYPES.STRING)
+                .appendField("replace");
+
+            this.appendValueInput("REPLACEMENT")
+                .setCheck(WORKFLOW_TYPES.STRING)
+                .appendField("with");
+
+            this.setOutput(true, WORKFLOW_TYPES.STRING);
+            this.setColour(BLOCK_COLORS.text);
+            this.setTooltip("A copy of the text with every occurrence of the second text replaced by the third.");
+            this.setHelpUrl("");
+        }
+    }
+});
+
+// ================================
+// 26. FORMAT NUMBER AS TEXT BLOCK
+// ================================
+
+registerBlock({
+    type: 'number_to_text',
+    category: 'text',
+    definition: {
+        init: function() {
+            this.appendValueInput("NUM")
+                .setCheck(WORKFLOW_TYPES.NUMBER)
+                .appendField("🏷️ FORMAT");
+
+            this.appendDummyInput()
+                .appendField("with")
+                .appendField(new Blockly.FieldNumber(2, 0, 20, 1), "DECIMALS")
+                .appendField("decimals");
+
+            this.setInputsInline(true);
+            this.setOutput(true, WORKFLOW_TYPES.STRING);
+            this.setColour(BLOCK_COLORS.text);
+            this.setTooltip("The number as text, rounded to a fixed number of decimals (e.g. 3.5 with 2 decimals is \"3.50\").");
+            this.setHelpUrl("");
+        }
+    }
+});
+
+// ================================
+// 27. CREATE LIST BLOCK
+// ================================
+
+registerBlock({
+    type: 'list_create',
+    category: 'lists',
+    definition: Object.assign({}, ITEM_INPUTS_MUTATOR_MIXIN, {
+        init: function() {
+            this.initItemInputs_("📋 LIST", 3);
+            this.setOutput(true, WORKFLOW_TYPES.LIST);
+            this.setColour(BLOCK_COLORS.data);
+            this.setTooltip("A new list of values. Click the gear to add or remove items; with no items the list starts empty.");
+            this.setHelpUrl("");
+        }
+    })
+});
+
+// ================================
+// 28. ADD TO LIST BLOCK
+// ================================
+
+registerBlock({
+    type: 'list_append',
+    category: 'lists',
+    definition: {
+        init: function() {
+            this.appendValueInput("ITEM")
+                .setCheck(null)
+                .appendField("➕ ADD");
+
+            this.appendValueInput("LIST")
+                .setCheck(WORKFLOW_TYPES.LIST)
+                .appendField("to end of list");
+
+            this.setInputsInline(true);
+            this.setPreviousStatement(true, null);
+            this.setNextStatement(true, null);
+            this.setColour(BLOCK_COLORS.data);
+            this.setTooltip("Add a value to the end of a list (usually a variable holding a list).");
+            this.setHelpUrl("");
+        }
+    }
+});
+
+// ================================
+// 29. REMOVE FROM LIST BLOCK
+// ================================
+
+registerBlock({
+    type: 'list_remove',
+    category: 'lists',
+    toolbox: toolboxNumbers({ INDEX: 1 }),
+    definition: {
+        init: function() {
+            this.appendValueInput("INDEX")
+                .setCheck(WORKFLOW_TYPES.NUMBER)
+                .appendField("➖ REMOVE ITEM #");
+
+            this.appendValueInput("LIST")
+                .setCheck(WORKFLOW_TYPES.LIST)
+                .appendField("from list");
+
+            this.setInputsInline(true);
+            this.setPreviousStatement(true, null);
+            this.setNextStatement(true, null);
+            this.setColour(BLOCK_COLORS.data);
+            this.setTooltip("Remove the item at a position from a list. The first item is #1; later items move up.");
+            this.setHelpUrl("");
+        }
+    }
+});
+
+// ================================
+// 30. GET LIST ITEM BLOCK
+// ================================
+
+registerBlock({
+    type: 'list_get',
+    category: 'lists',
+    toolbox: toolboxNumbers({ INDEX: 1 }),
+    definition: {
+        init: function() {
+            this.appendValueInput("INDEX")
+                .setCheck(WORKFLOW_TYPES.NUMBER)
+                .appendField("🔢 ITEM #");
+
+            this.appendValueInput("LIST")
+                .setCheck(WORKFLOW_TYPES.LIST)
+                .appendField("of list");
+
+            this.setInputsInline(true);
+            this.setOutput(true, null);
+            this.setColour(BLOCK_COLORS.data);
+            this.setTooltip("The item at a position in a list. The first item is #1.");
+            this.setHelpUrl("");
+        }
+    }
+});
+
+// ================================
+// 31. LIST LENGTH BLOCK
+// ================================
+
+registerBlock({
+    type: 'list_length',
+    category: 'lists',
+    definition: {
+        init: function() {
+            this.appendValueInput("LIST")
+                .setCheck(WORKFLOW_TYPES.LIST)
+                .appendField("📏 NUMBER OF ITEMS IN");
+
+            this.setOutput(true, WORKFLOW_TYPES.NUMBER);
+            this.setColour(BLOCK_COLORS.data);
+            this.setTooltip("How many items a list has.");
+            this.setHelpUrl("");
+        }
+    }
+});
+
+// ================================
+// 32. CREATE RECORD BLOCK
+// ================================
+
+registerBlock({
+    type: 'record_create',
+    category: 'lists',
+    definition: {
+        init: function() {
+            this.appendDummyInput()
+                .appendField("🗂️ EMPTY RECORD");
+
+            this.setOutput(true, WORKFLOW_TYPES.RECORD);
+            this.setColour(BLOCK_COLORS.data);
+            this.setTooltip("A new record with no fields. Store it in a variable, then fill it with SET FIELD.");
+            this.setHelpUrl("");
+        }
+    }
+});
+
+// ================================
+// 33. SET RECORD FIELD BLOCK
+// ================================
+
+registerBlock({
+    type: 'record_set',
+    category: 'lists',
+    definition: {
+        init: function() {
+            this.appendValueInput("RECORD")
+                .setCheck(WORKFLOW_TYPES.RECORD)
+                .appendField("🖊️ SET FIELD")
+                .appendField(new Blockly.FieldTextInput("name"), "KEY")
+                .appendField("of record");
+
+            this.appendValueInput("VALUE")
+                .setCheck(null)
+                .appendField("to");
+
+            this.setInputsInline(true);
+            this.setPreviousStatement(true, null);
+            this.setNextStatement(true, null);
+            this.setColour(BLOCK_COLORS.data);
+            this.setTooltip("Add a field to a record, or change the value of an existing field.");
+            this.setHelpUrl("");
+        }
+    }
+});
+
+// ================================
+// 34. GET RECORD FIELD BLOCK
+// ================================
+
+registerBlock({
+    type: 'record_get',
+    category: 'lists',
+    definition: {
+        init: function() {
+            this.appendValueInput("RECORD")
+                .setCheck(WORKFLOW_TYPES.RECORD)
+                .appendField("🔑 FIELD")
+                .appendField(new Blockly.FieldTextInput("name"), "KEY")
+                .appendField("of record");
+
+            this.setOutput(true, null);
+            this.setColour(BLOCK_COLORS.data);
+            this.setTooltip("The value of a field of a record (nothing when the record has no such field).");
+            this.setHelpUrl("");
+        }
     }
+});
+
+// ================================
+// 35. WORKFLOW INPUT BLOCK
+// ================================
+
+// Types a workflow input can have: the label shown on the block and its output check
+const WORKFLOW_INPUT_TYPES = {
+    NUMBER: { label: 'number', check: WORKFLOW_TYPES.NUMBER },
+    TEXT: { label: 'text', check: WORKFLOW_TYPES.STRING },
+    BOOLEAN: { label: 'true / false', check: WORKFLOW_TYPES.BOOLEAN }
 };
 
+/**
+ * The inputs the workflow declares, in workspace order: one entry per name
+ * (the first INPUT block wins), from enabled INPUT blocks connected to the
+ * workflow or to a sub-workflow.
+ * @returns {Array<{name: string, type: string, defaultValue: string, blockId: string}>}
+ */
+function getWorkflowInputs(ws) {
+    const inputs = [];
+    (ws ? ws.getBlocksByType('workflow_input', true) : []).forEach(block => {
+        const root = block.getRootBlock().type;
+        if (!block.isEnabled() || (root !== 'start_workflow' && root !== 'define_subworkflow')) {
+            return;
+        }
+        const name = block.getField('NAME').getText();
+        if (name && !inputs.some(input => input.name === name)) {
+            inputs.push({
+                name: name,
+                type: block.getFieldValue('TYPE'),
+                defaultValue: block.getFieldValue('DEFAULT'),
+                blockId: block.id
+            });
+        }
+    });
+    return inputs;
+}
+
+// Converts text typed for an input (block default, form, URL, command line)
+// to a value of the input's type; throws when it is not a valid value
+function parseWorkflowInputValue(type, text) {
+    const raw = String(text);
+    if (type === 'NUMBER') {
+        const number = Number(raw.trim());
+        if (raw.trim() === '' || !isFinite(number)) {
+            throw new Error(`"${raw}" is not a number`);
+        }
+        return number;
+    }
+    if (type === 'BOOLEAN') {
+        const word = raw.trim().toLowerCase();
+        if (['true', 'yes', '1', 'on'].includes(word)) {
+            return true;
+        }
+        if (['false', 'no', '0', 'off', ''].includes(word)) {
+            return false;
+        }
+        throw new Error(`"${raw}" is not true or false`);
+    }
+    return raw;
+}
+
+/**
+ * Values to run the workflow with: `rawValues[name]` (text) for each declared
+ * input that has one, its default otherwise. Names that are not declared
+ * inputs are ignored. Throws with the input's name when a value is invalid.
+ */
+function resolveWorkflowInputs(declarations, rawValues = {}) {
+    const values = Object.create(null);  // Any input name, __proto__ included, is a plain key
+    declarations.forEach(input => {
+        const given = Object.prototype.hasOwnProperty.call(rawValues, input.name);
+        try {
+            values[input.name] = parseWorkflowInputValue(input.type, given ? rawValues[input.name] : input.defaultValue);
+        } catch (error) {
+            throw new Error(`Input "${input.name}": ${error.message}${given ? '' : ' (default value)'}`);
+        }
+    });
+    return values;
+}
+
+registerBlock({
+    type: 'workflow_input',
+    category: 'workflow',
+    definition: {
+        init: function() {
+            const block = this;
+            this.appendDummyInput()
+                .appendField("📥 INPUT")
+                .appendField(new Blockly.FieldVariable("input"), "NAME")
+                .appendField("as")
+                .appendField(new Blockly.FieldDropdown(
+                    Object.keys(WORKFLOW_INPUT_TYPES).map(type => [WORKFLOW_INPUT_TYPES[type].label, type]),
+                    function(type) {
+                        block.updateOutputType_(type);
+                        return type;
+                    }), "TYPE")
+                .appendField("default")
+                .appendField(new Blockly.FieldTextInput("0"), "DEFAULT");
+
+            this.setOutput(true, WORKFLOW_INPUT_TYPES.NUMBER.check);
+            this.setColour(BLOCK_COLORS.workflow);
+            this.setTooltip("A value given when the workflow is run (in the form shown by Run, a URL parameter or the command line), or the default when none is given.");
+            this.setHelpUrl("");
+        },
+
+        updateOutputType_: function(type) {
+            const inputType = WORKFLOW_INPUT_TYPES[type] || WORKFLOW_INPUT_TYPES.NUMBER;
+            if (this.outputConnection) {
+                this.setOutput(true, inputType.check);
+            }
+        }
+    }
+});
+
+// ================================
+// 36. WAIT SECONDS BLOCK
+// ================================
+
+registerBlock({
+    type: 'wait_seconds',
+    category: 'workflow',
+    toolbox: toolboxNumbers({ SECONDS: 1 }),
+    definition: {
+        init: function() {
+            this.appendValueInput("SECONDS")
+                .setCheck(WORKFLOW_TYPES.NUMBER)
+                .appendField("⏱️ WAIT");
+
+            this.appendDummyInput()
+                .appendField("seconds");
+
+            this.setInputsInline(true);
+            this.setPreviousStatement(true, null);
+            this.setNextStatement(true, null);
+            this.setColour(BLOCK_COLORS.io);
+            this.setTooltip("Pause the workflow for a number of seconds. Waiting counts towards the Run time limit; Stop ends the wait.");
+            this.setHelpUrl("");
+        }
+    }
+});
+
+// ================================
+// 37. ASK USER BLOCK
+// ================================
+
+registerBlock({
+    type: 'ask_user',
+    category: 'workflow',
+    toolbox: {
+        inputs: { QUESTION: { block: { type: 'text_block', fields: { TEXT: 'What is your name?' } } } }
+    },
+    definition: {
+        init: function() {
+            this.appendValueInput("QUESTION")
+                .setCheck(null)
+                .appendField("❓ ASK");
+
+            this.setOutput(true, WORKFLOW_TYPES.STRING);
+            this.setColour(BLOCK_COLORS.io);
+            this.setTooltip("Ask a question in the console and wait for the answer, as text. Time spent waiting for the answer does not count towards the Run time limit.");
+            this.setHelpUrl("");
+        }
+    }
+});
+
+// ================================
+// Registered Block Types
+// ================================
+
+// The built-in block types, in registration order. Custom blocks and block packs
+// register theirs later; isRegisteredBlockType() covers every registered type.
+const WORKFLOW_BLOCK_TYPES = getRegisteredBlockTypes();
+
 console.log("✅ Custom blocks loaded successfully!");
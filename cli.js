@@ -0,0 +1,329 @@
+#!/usr/bin/env node
+/**
+ * cli.js
+ * Command-line Entry Point for Workflow Builder
+ *
+ * Loads the same block definitions, generators, validator and execution
+ * engine as the page, on a headless Blockly workspace, so saved
+ * `.workflow.json` files can be used from scripts and CI:
+ *
+ *   node cli.js generate <file> [--export]   Print the generated JavaScript
+ *   node cli.js run <file> [--timeout <ms>] [--input name=value ...]
+ *                                            Run the workflow, printing its output
+ *                                            (ASK blocks read their answers from stdin)
+ *   node cli.js validate <file>              Report validation problems
+ *
+ * Every command takes `--pack <script>` (repeatable) to load a block pack
+ * first, for workflows using its blocks (see registry.js).
+ *
+ * Exit codes: 0 on success, 1 when the workflow fails (invalid, runtime error,
+ * timeout), 2 for usage errors and unreadable files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const vm = require('vm');
+
+// ================================
+// Headless Blockly
+// ================================
+
+// The page's scripts, in index.html order (those that only drive the page are left out)
+const WORKFLOW_SCRIPTS = [
+    'registry.js',
+    'blocks.js',
+    'generator.js',
+    'customblocks.js',
+    'types.js',
+    'validator.js',
+    'executor.js',
+    'codeview.js',
+    'storage.js'
+];
+
+/**
+ * Defines the page's globals (blocks, generators, validator, executor, ...) in
+ * this Node.js process. `files` defaults to WORKFLOW_SCRIPTS.
+ */
+function loadWorkflowScripts(files = WORKFLOW_SCRIPTS) {
+    global.Blockly = require('blockly');
+    Blockly.JavaScript = require('blockly/javascript').javascriptGenerator;
+    runScripts(files.map(file => path.join(__dirname, file)));
+}
+
+/**
+ * Runs block pack scripts (paths relative to the working directory) after
+ * loadWorkflowScripts(). Throws a UsageError when one cannot be read or fails.
+ */
+function loadBlockPacks(files) {
+    files.forEach(file => {
+        try {
+            runScripts([path.resolve(file)]);
+        } catch (error) {
+            throw new UsageError(`Could not load block pack ${file}: ${error.message}`);
+        }
+    });
+}
+
+function runScripts(filenames) {
+    // The scripts announce themselves on the console; keep stdout for results
+    const log = console.log;
+    console.log = function() {};
+    try {
+        filenames.forEach(filename => {
+            vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename: filename });
+        });
+    } finally {
+        console.log = log;
+    }
+}
+
+// ================================
+// Workflow Files
+// ================================
+
+class UsageError extends Error {}
+
+function loadWorkflowFile(file) {
+    let doc;
+    try {
+        doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new UsageError(`Could not read ${file}: ${error.message}`);
+    }
+
+    const ws = new Blockly.Workspace();
+    try {
+        loadWorkflowDocument(ws, doc);
+    } catch (error) {
+        ws.dispose();
+        throw new UsageError(`Could not load ${file}: ${error.message}`);
+    }
+    return ws;
+}
+
+// Same steps as regenerateCode() in app.js: formatted code with block markers
+function generateMarkedCode(ws) {
+    Blockly.JavaScript.init(ws);
+    const code = withBlockMarkers(Blockly.JavaScript, () => Blockly.JavaScript.workspaceToCode(ws));
+    return formatCode(Blockly.JavaScript.finish(code));
+}
+
+function describeBlockById(ws, blockId) {
+    const block = blockId ? ws.getBlockById(blockId) : null;
+    return block ? `${describeBlock(block)} (block ${block.id})` : null;
+}
+
+// Prints the validator's problems to stderr; returns the validation result
+function reportProblems(ws) {
+    const result = validateWorkspace(ws);
+    result.problems.forEach(problem => {
+        const icon = problem.severity === 'error' ? '❌' : '⚠️';
+        console.error(`${icon} ${problem.message}${problem.blockId ? ` (block ${problem.blockId})` : ''}`);
+    });
+    return result;
+}
+
+// ================================
+// Questions
+// ================================
+
+// Answers ASK blocks with lines read from stdin, one per question (empty ones
+// once stdin has ended). Questions go to stderr so stdout stays the output.
+function createTerminalAsker() {
+    let reader = null;
+    let ended = false;
+    const lines = [];
+    const waiting = [];
+
+    function ask(question) {
+        if (!reader) {
+            reader = readline.createInterface({ input: process.stdin, terminal: false });
+            reader.on('line', line => (waiting.length > 0 ? waiting.shift()(line) : lines.push(line)));
+            reader.on('close', () => {
+                ended = true;
+                waiting.splice(0).forEach(resolve => resolve(''));
+            });
+        }
+        process.stderr.write(`❓ ${question} `);
+        if (lines.length > 0 || ended) {
+            return Promise.resolve(lines.length > 0 ? lines.shift() : '');
+        }
+        return new Promise(resolve => waiting.push(resolve));
+    }
+
+    function close() {
+        if (reader) {
+            reader.close();
+        }
+    }
+
+    return { ask, close };
+}
+
+// ================================
+// Commands
+// ================================
+
+function generateCommand(ws, options) {
+    if (!ws.getTopBlocks(false).some(block => block.type === 'start_workflow')) {
+        console.error('❌ Add a "START WORKFLOW" block to begin');
+        return 1;
+    }
+    const code = options.export
+        ? formatCode(Blockly.JavaScript.workspaceToExportCode(ws))
+        : extractBlockMap(generateMarkedCode(ws)).code;
+    console.log(code);
+    return 0;
+}
+
+// Values for the workflow's INPUT blocks from the --input options
+function resolveInputOptions(ws, rawInputs) {
+    const declarations = getWorkflowInputs(ws);
+    Object.keys(rawInputs).forEach(name => {
+        if (!declarations.some(input => input.name === name)) {
+            const declared = declarations.map(input => input.name).join(', ') || 'none';
+            throw new UsageError(`The workflow has no input named "${name}" (inputs: ${declared})`);
+        }
+    });
+    try {
+        return resolveWorkflowInputs(declarations, rawInputs);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+}
+
+function runCommand(ws, options) {
+    const result = reportProblems(ws);
+    if (result.errors > 0) {
+        console.error(`🔎 Validation: ${result.errors} error(s), ${result.warnings} warning(s)`);
+        return Promise.resolve(1);
+    }
+
+    let inputs;
+    try {
+        inputs = resolveInputOptions(ws, options.inputs);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        return Promise.resolve(2);
+    }
+
+    const asker = createTerminalAsker();
+    return executeCode(toRunnableCode(generateMarkedCode(ws)), {
+        timeBudget: options.timeout,
+        inputs: inputs,
+        // Printed warnings and errors go to stderr, like Python's print(..., file=sys.stderr)
+        onLog: (line, details) => (details.level === 'info' ? console.log : console.error)(line),
+        onAsk: asker.ask
+    }).then(() => 0, error => {
+        const where = describeBlockById(ws, error.blockId);
+        console.error(`❌ Runtime Error: ${error.message}${where ? ` - in ${where}` : ''}`);
+        return 1;
+    }).finally(asker.close);
+}
+
+function validateCommand(ws) {
+    const result = reportProblems(ws);
+    if (result.problems.length === 0) {
+        console.log('✅ No problems found');
+    } else {
+        console.log(`🔎 Validation: ${result.errors} error(s), ${result.warnings} warning(s)`);
+    }
+    return result.errors > 0 ? 1 : 0;
+}
+
+const COMMANDS = {
+    generate: generateCommand,
+    run: runCommand,
+    validate: validateCommand
+};
+
+const USAGE = `Usage:
+  node cli.js generate <file.workflow.json> [--export] [--pack <script> ...]
+  node cli.js run <file.workflow.json> [--timeout <ms>] [--input name=value ...] [--pack <script> ...]
+  node cli.js validate <file.workflow.json> [--pack <script> ...]`;
+
+// ================================
+// Argument Parsing
+// ================================
+
+function parseArgs(argv) {
+    const options = { command: argv[0], file: null, export: false, timeout: undefined, inputs: Object.create(null), packs: [] };
+
+    for (let i = 1; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--export') {
+            options.export = true;
+        } else if (arg === '--timeout') {
+            const timeout = parseInt(argv[++i], 10);
+            if (!(timeout > 0)) {
+                throw new UsageError('--timeout needs a number of milliseconds');
+            }
+            options.timeout = timeout;
+        } else if (arg === '--input') {
+            const assignment = argv[++i] || '';
+            const separator = assignment.indexOf('=');
+            if (separator < 1) {
+                throw new UsageError('--input needs name=value');
+            }
+            options.inputs[assignment.slice(0, separator)] = assignment.slice(separator + 1);
+        } else if (arg === '--pack') {
+            if (!argv[i + 1]) {
+                throw new UsageError('--pack needs a script file');
+            }
+            options.packs.push(argv[++i]);
+        } else if (arg.startsWith('--')) {
+            throw new UsageError(`Unknown option: ${arg}`);
+        } else if (options.file === null) {
+            options.file = arg;
+        } else {
+            throw new UsageError(`Unexpected argument: ${arg}`);
+        }
+    }
+
+    if (!COMMANDS[options.command]) {
+        throw new UsageError(options.command ? `Unknown command: ${options.command}` : 'Missing command');
+    }
+    if (!options.file) {
+        throw new UsageError('Missing workflow file');
+    }
+    return options;
+}
+
+function main(argv) {
+    if (argv.length === 0 || argv.includes('--help') || argv.includes('-h')) {
+        console.log(USAGE);
+        return Promise.resolve(argv.length === 0 ? 2 : 0);
+    }
+
+    let options;
+    let ws;
+    try {
+        options = parseArgs(argv);
+        loadWorkflowScripts();
+        loadBlockPacks(options.packs);
+        ws = loadWorkflowFile(options.file);
+    } catch (error) {
+        if (!(error instanceof UsageError)) {
+            throw error;
+        }
+        console.error(`❌ ${error.message}`);
+        console.error(USAGE);
+        return Promise.resolve(2);
+    }
+
+    return Promise.resolve(COMMANDS[options.command](ws, options)).finally(() => ws.dispose());
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    }, error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+// For the test suite (test/harness.js)
+module.exports = { WORKFLOW_SCRIPTS, loadWorkflowScripts, loadBlockPacks, generateMarkedCode };
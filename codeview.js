@@ -0,0 +1,284 @@
+/**
+ * codeview.js
+ * Generated Code Panel for Workflow Builder
+ *
+ * Handles:
+ * - Marking the lines each statement block generates, and turning those
+ *   marks into a line ↔ block map
+ * - Token highlighting and line numbers in the `codeOutput` panel
+ * - Cross-highlighting: selecting a block highlights its lines, clicking a
+ *   line selects the block that produced it
+ *
+ * Works with every generator (JavaScript, Python, pseudocode), since the
+ * markers are injected through Blockly's STATEMENT_PREFIX / STATEMENT_SUFFIX.
+ */
+
+console.log('🔄 Loading code view...');
+
+// ================================
+// Block Markers
+// ================================
+
+// Marker lines wrapped around each statement block's code while generating.
+// Blockly injects the block ID (quoted) for %1. They never reach the user:
+// display strips them, and Run turns them into __enterBlock / __exitBlock calls.
+const BLOCK_START_MARKER = '\u0003>';
+const BLOCK_END_MARKER = '\u0003<';
+
+let codeMap = { lineBlocks: [], blockRanges: {} };  // Map for the code on display
+let onCodeLineClick = null;
+
+/**
+ * Runs `generate` with block markers enabled on `generator` and returns its
+ * result (code containing marker lines).
+ */
+function withBlockMarkers(generator, generate) {
+    const previousPrefix = generator.STATEMENT_PREFIX;
+    const previousSuffix = generator.STATEMENT_SUFFIX;
+    generator.STATEMENT_PREFIX = BLOCK_START_MARKER + '%1\n';
+    generator.STATEMENT_SUFFIX = BLOCK_END_MARKER + '%1\n';
+    try {
+        return generate();
+    } finally {
+        generator.STATEMENT_PREFIX = previousPrefix;
+        generator.STATEMENT_SUFFIX = previousSuffix;
+    }
+}
+
+// { start: boolean, blockId } for a marker line, null for a line of code
+function parseBlockMarker(line) {
+    const text = line.trim();
+    const isStart = text.startsWith(BLOCK_START_MARKER);
+    if (!isStart && !text.startsWith(BLOCK_END_MARKER)) {
+        return null;
+    }
+    // Strip the marker and the quotes Blockly put around the ID
+    return { start: isStart, blockId: text.slice(BLOCK_START_MARKER.length + 1, -1) };
+}
+
+/**
+ * Removes the marker lines from `markedCode`.
+ * @returns {{code: string, lineBlocks: Array<?string>,
+ *            blockRanges: Object<string, {start: number, end: number}>}}
+ *     `lineBlocks[i]` is the innermost block that produced line i, and
+ *     `blockRanges[id]` the first and last line of each block (0-based).
+ */
+function extractBlockMap(markedCode) {
+    const lines = [];
+    const lineBlocks = [];
+    const blockRanges = {};
+    const stack = [];
+
+    markedCode.split('\n').forEach(line => {
+        const marker = parseBlockMarker(line);
+        if (!marker) {
+            // Blank lines on either side of a marker would otherwise pile up
+            if (line.trim() === '') {
+                if (lines.length > 0 && lines[lines.length - 1] !== '') {
+                    lines.push('');
+                    lineBlocks.push(null);
+                }
+                return;
+            }
+            lines.push(line);
+            lineBlocks.push(stack.length > 0 ? stack[stack.length - 1] : null);
+            return;
+        }
+        if (marker.start) {
+            stack.push(marker.blockId);
+            blockRanges[marker.blockId] = { start: lines.length, end: lines.length - 1 };
+        } else {
+            stack.pop();
+            if (blockRanges[marker.blockId]) {
+                blockRanges[marker.blockId].end = lines.length - 1;
+            }
+        }
+    });
+
+    if (lines[lines.length - 1] === '') {
+        lines.pop();
+        lineBlocks.pop();
+    }
+    return { code: lines.join('\n'), lineBlocks: lineBlocks, blockRanges: blockRanges };
+}
+
+function formatCode(code) {
+    // Remove extra whitespace: trailing spaces, runs of blank lines and the
+    // blank lines generators leave around empty definitions
+    return code
+        .replace(/[ \t]+$/gm, '')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Turns marked JavaScript into code for Run: each marker becomes a call that
+ * lets the executor report which block was running when an error was thrown.
+ */
+function toRunnableCode(markedCode) {
+    return markedCode.split('\n').map(line => {
+        const marker = parseBlockMarker(line);
+        if (!marker) {
+            return line;
+        }
+        const indent = line.slice(0, line.length - line.trimStart().length);
+        return marker.start
+            ? `${indent}__enterBlock(${JSON.stringify(marker.blockId)});`
+            : `${indent}__exitBlock();`;
+    }).join('\n');
+}
+
+// ================================
+// Syntax Highlighting
+// ================================
+
+const CODE_KEYWORDS = {
+    javascript: ['async', 'await', 'const', 'else', 'export', 'false', 'for', 'function', 'if', 'let', 'new',
+        'null', 'of', 'return', 'throw', 'true', 'typeof', 'undefined', 'var', 'while'],
+    python: ['and', 'def', 'elif', 'else', 'False', 'for', 'if', 'import', 'in', 'None', 'not', 'or', 'pass',
+        'return', 'True', 'while'],
+    pseudocode: ['and', 'For', 'each', 'If', 'in', 'not', 'or', 'Otherwise', 'Print', 'Repeat', 'Return',
+        'Run', 'Set', 'then', 'times', 'to', 'Wait', 'while']
+};
+
+const TOKEN_PATTERNS = {
+    javascript: /(\/\/.*$)|("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|`(?:\\.|[^`\\])*`)|(\b\d+(?:\.\d+)?\b)|([A-Za-z_$][\w$]*)/g,
+    python: /(#.*$)|("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*')|(\b\d+(?:\.\d+)?\b)|([A-Za-z_][\w]*)/g,
+    pseudocode: /(^\s*(?:\d+\.)+)|("(?:\\.|[^"\\])*")|(\b\d+(?:\.\d+)?\b)|([A-Za-z_][\w]*)/g
+};
+
+// Splits one line into [text, className] pieces; className is null for plain text
+function tokenizeLine(line, language) {
+    const pattern = new RegExp(TOKEN_PATTERNS[language] || TOKEN_PATTERNS.javascript);
+    const keywords = CODE_KEYWORDS[language] || CODE_KEYWORDS.javascript;
+    const tokens = [];
+    let last = 0;
+    let match;
+
+    while ((match = pattern.exec(line)) !== null) {
+        if (match[0] === '') {
+            pattern.lastIndex++;
+            continue;
+        }
+        let className = null;
+        if (match[1]) {
+            className = language === 'pseudocode' ? 'tok-step' : 'tok-comment';
+        } else if (match[2]) {
+            className = 'tok-string';
+        } else if (match[3]) {
+            className = 'tok-number';
+        } else if (keywords.includes(match[4])) {
+            className = 'tok-keyword';
+        }
+        if (!className) {
+            continue;
+        }
+        if (match.index > last) {
+            tokens.push([line.slice(last, match.index), null]);
+        }
+        tokens.push([match[0], className]);
+        last = match.index + match[0].length;
+    }
+    if (last < line.length) {
+        tokens.push([line.slice(last), null]);
+    }
+    return tokens;
+}
+
+// ================================
+// Rendering
+// ================================
+
+/**
+ * Renders `code` into the code panel with line numbers and highlighting.
+ * `map` (from extractBlockMap) makes lines clickable; omit it for messages.
+ */
+function renderCode(code, language = 'javascript', map = null) {
+    const codeOutput = document.getElementById('codeOutput');
+    codeMap = map || { lineBlocks: [], blockRanges: {} };
+    codeOutput.innerHTML = '';
+
+    code.split('\n').forEach((line, i) => {
+        const row = document.createElement('div');
+        row.className = 'code-line';
+        const blockId = codeMap.lineBlocks[i];
+        if (blockId) {
+            row.dataset.blockId = blockId;
+            row.title = 'Click to select the block';
+        }
+
+        const number = document.createElement('span');
+        number.className = 'line-number';
+        number.textContent = String(i + 1);
+        row.appendChild(number);
+
+        const text = document.createElement('span');
+        text.className = 'line-text';
+        tokenizeLine(line, language).forEach(([piece, className]) => {
+            if (className) {
+                const span = document.createElement('span');
+                span.className = className;
+                span.textContent = piece;
+                text.appendChild(span);
+            } else {
+                text.appendChild(document.createTextNode(piece));
+            }
+        });
+        row.appendChild(text);
+
+        codeOutput.appendChild(row);
+    });
+}
+
+// ================================
+// Cross-highlighting
+// ================================
+
+/**
+ * Highlights the lines generated by `block` (or by the nearest enclosing
+ * statement block, for value blocks). Clears the highlight when `block` is null.
+ */
+function highlightBlockCode(block) {
+    const codeOutput = document.getElementById('codeOutput');
+    codeOutput.querySelectorAll('.code-line.highlighted').forEach(row => row.classList.remove('highlighted'));
+
+    let current = block;
+    while (current && !codeMap.blockRanges[current.id]) {
+        current = current.getParent();
+    }
+    const range = current ? codeMap.blockRanges[current.id] : null;
+    if (!range || range.end < range.start) {
+        return;
+    }
+
+    const rows = codeOutput.querySelectorAll('.code-line');
+    for (let i = range.start; i <= range.end && i < rows.length; i++) {
+        rows[i].classList.add('highlighted');
+    }
+    if (rows[range.start]) {
+        rows[range.start].scrollIntoView({ block: 'nearest' });
+    }
+}
+
+/**
+ * Wires the panel to `ws`: selecting a block highlights its code, and clicking
+ * a line calls `onLineClick(blockId)`.
+ */
+function setupCodeView(ws, onLineClick) {
+    onCodeLineClick = onLineClick;
+
+    ws.addChangeListener(event => {
+        if (event.type === Blockly.Events.SELECTED) {
+            highlightBlockCode(event.newElementId ? ws.getBlockById(event.newElementId) : null);
+        }
+    });
+
+    document.getElementById('codeOutput').addEventListener('click', event => {
+        const row = event.target.closest('.code-line');
+        if (row && row.dataset.blockId && onCodeLineClick) {
+            onCodeLineClick(row.dataset.blockId);
+        }
+    });
+}
+
+console.log('✅ Code view loaded');
@@ -0,0 +1,357 @@
+/**
+ * console.js
+ * Structured Console Output for Workflow Builder
+ *
+ * Handles:
+ * - Console entries with a level (info / warn / error), a timestamp, the run
+ *   they belong to and, for the workflow's own output, the block that printed
+ *   them (click the entry to select it)
+ * - One collapsible group per Run / Debug session; earlier runs stay in the
+ *   console, collapsed, until it is cleared
+ * - Level filter toggles and a search box
+ * - Exporting a run's entries as text or JSON
+ * - Inline answer forms for the workflow's ASK blocks
+ */
+
+console.log('🔄 Loading console...');
+
+// ================================
+// Configuration
+// ================================
+
+// Level of each logConsole type (the type picks the entry's colour)
+const CONSOLE_TYPE_LEVELS = {
+    log: 'info',
+    info: 'info',
+    success: 'info',
+    warning: 'warn',
+    error: 'error'
+};
+
+// logConsole type for each level of the workflow's own output
+const OUTPUT_LEVEL_TYPES = {
+    info: 'log',
+    warn: 'warning',
+    error: 'error'
+};
+
+// Summary text for each run status
+const RUN_STATUS_TEXT = {
+    running: '⏳ running',
+    passed: '✅ passed',
+    failed: '❌ failed',
+    stopped: '⏹️ stopped'
+};
+
+let consoleRuns = [];           // Runs shown in the console, oldest first
+let currentConsoleRun = null;   // Run that new entries are added to, if one is in progress
+let consoleRunCount = 0;        // Keeps counting across Clear, so exported run numbers stay unique
+let consoleSelectBlock = null;  // Called with a block ID when a block's entry is clicked
+let pendingQuestionForm = null; // Answer form shown while an ASK block waits
+
+const consoleFilters = {
+    levels: new Set(['info', 'warn', 'error']),
+    search: ''
+};
+
+// ================================
+// Setup
+// ================================
+
+function setupConsole(onSelectBlock) {
+    consoleSelectBlock = onSelectBlock;
+
+    document.querySelectorAll('.console-level-filter').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                consoleFilters.levels.add(checkbox.value);
+            } else {
+                consoleFilters.levels.delete(checkbox.value);
+            }
+            applyConsoleFilters();
+        });
+    });
+    document.getElementById('consoleSearchInput').addEventListener('input', event => {
+        consoleFilters.search = event.target.value.trim().toLowerCase();
+        applyConsoleFilters();
+    });
+}
+
+// ================================
+// Entries
+// ================================
+
+/**
+ * Adds an entry to the console (inside the current run, if any) and returns
+ * its element. `type` is one of log, info, success, warning or error;
+ * `details.blockId` links the entry to a block.
+ */
+function logConsole(message, type = 'log', details = {}) {
+    const consoleOutput = document.getElementById('consoleOutput');
+
+    // Clear info message on first log
+    const infoEl = consoleOutput.querySelector('.console-info');
+    if (infoEl) {
+        infoEl.remove();
+    }
+
+    const entry = {
+        timestamp: Date.now(),
+        level: CONSOLE_TYPE_LEVELS[type] || 'info',
+        message: String(message),
+        blockId: details.blockId || null,
+        run: currentConsoleRun ? currentConsoleRun.number : null
+    };
+
+    const logEntry = document.createElement('p');
+    logEntry.className = type;
+    logEntry.dataset.level = entry.level;
+    logEntry.textContent = `[${new Date(entry.timestamp).toLocaleTimeString()}] ${entry.message}`;
+
+    if (entry.blockId && consoleSelectBlock) {
+        logEntry.classList.add('clickable');
+        logEntry.title = 'Click to select the block';
+        logEntry.addEventListener('click', () => consoleSelectBlock(entry.blockId));
+    }
+
+    if (currentConsoleRun) {
+        currentConsoleRun.entries.push(entry);
+        currentConsoleRun.element.querySelector('.console-run-entries').appendChild(logEntry);
+    } else {
+        consoleOutput.appendChild(logEntry);
+    }
+    logEntry.hidden = !matchesConsoleFilters(logEntry);
+    consoleOutput.scrollTop = consoleOutput.scrollHeight;
+
+    return logEntry;
+}
+
+// Logs a line printed by the workflow, with the details reported by executeCode's onLog
+function logWorkflowOutput(line, details = {}) {
+    return logConsole(line, OUTPUT_LEVEL_TYPES[details.level] || OUTPUT_LEVEL_TYPES.info, details);
+}
+
+function clearConsole() {
+    const consoleOutput = document.getElementById('consoleOutput');
+    consoleOutput.innerHTML = '<p class="console-info">Console cleared</p>';
+
+    // A run in progress keeps its group, emptied, for the lines still to come
+    // (and the question it is waiting on)
+    consoleRuns = [];
+    if (currentConsoleRun) {
+        currentConsoleRun.entries = [];
+        const entries = currentConsoleRun.element.querySelector('.console-run-entries');
+        entries.innerHTML = '';
+        if (pendingQuestionForm) {
+            entries.appendChild(pendingQuestionForm);
+        }
+        consoleRuns.push(currentConsoleRun);
+        consoleOutput.appendChild(currentConsoleRun.element);
+    }
+}
+
+// ================================
+// Runs
+// ================================
+
+/**
+ * Starts a new collapsible group that collects every entry until
+ * endConsoleRun(); earlier groups are collapsed. `label` names the kind of
+ * run (e.g. "Run", "Debug").
+ */
+function startConsoleRun(label) {
+    consoleRuns.forEach(run => {
+        run.element.open = false;
+    });
+
+    const run = {
+        number: ++consoleRunCount,
+        label: label,
+        startedAt: Date.now(),
+        finishedAt: null,
+        status: 'running',
+        entries: [],
+        element: null
+    };
+    createRunElement(run);
+
+    const consoleOutput = document.getElementById('consoleOutput');
+    const infoEl = consoleOutput.querySelector('.console-info');
+    if (infoEl) {
+        infoEl.remove();
+    }
+    consoleOutput.appendChild(run.element);
+    consoleOutput.scrollTop = consoleOutput.scrollHeight;
+
+    consoleRuns.push(run);
+    currentConsoleRun = run;
+    return run;
+}
+
+// Closes the current run; `status` is 'passed', 'failed' or 'stopped'
+function endConsoleRun(status) {
+    const run = currentConsoleRun;
+    if (!run) {
+        return;
+    }
+    cancelConsoleQuestion();
+    run.finishedAt = Date.now();
+    run.status = status;
+    currentConsoleRun = null;
+    updateRunSummary(run);
+}
+
+function createRunElement(run) {
+    const group = document.createElement('details');
+    group.className = 'console-run';
+    group.open = true;
+
+    const summary = document.createElement('summary');
+    const title = document.createElement('span');
+    title.className = 'console-run-title';
+    const status = document.createElement('span');
+    status.className = 'console-run-status';
+    summary.append(title, status);
+
+    [['txt', '⬇️ TXT', 'Download this run\'s log as text'], ['json', '⬇️ JSON', 'Download this run\'s log as JSON']]
+        .forEach(([format, text, tooltip]) => {
+            const button = document.createElement('button');
+            button.className = 'btn btn-small console-run-export';
+            button.textContent = text;
+            button.title = tooltip;
+            button.addEventListener('click', event => {
+                event.preventDefault();  // Don't toggle the group
+                exportConsoleRun(run, format);
+            });
+            summary.appendChild(button);
+        });
+
+    const entries = document.createElement('div');
+    entries.className = 'console-run-entries';
+    group.append(summary, entries);
+
+    run.element = group;
+    updateRunSummary(run);
+    return group;
+}
+
+function updateRunSummary(run) {
+    run.element.querySelector('.console-run-title').textContent =
+        `${run.label} #${run.number} · ${new Date(run.startedAt).toLocaleTimeString()}`;
+    const duration = run.finishedAt !== null ? ` in ${run.finishedAt - run.startedAt} ms` : '';
+    run.element.querySelector('.console-run-status').textContent = `${RUN_STATUS_TEXT[run.status] || run.status}${duration}`;
+}
+
+// ================================
+// Questions
+// ================================
+
+/**
+ * Shows `question` with an answer box in the console (in the current run) and
+ * resolves with the text entered. Matches executeCode's `onAsk` option; the
+ * question and answer are logged as one entry once answered.
+ */
+function askInConsole(question, details = {}) {
+    cancelConsoleQuestion();
+
+    const form = document.createElement('form');
+    form.className = 'console-question';
+    const label = document.createElement('label');
+    const text = document.createElement('span');
+    text.textContent = `❓ ${question}`;
+    const answer = document.createElement('input');
+    answer.type = 'text';
+    answer.placeholder = 'Type your answer';
+    label.append(text, answer);
+    const button = document.createElement('button');
+    button.type = 'submit';
+    button.className = 'btn btn-small';
+    button.textContent = 'Answer';
+    form.append(label, button);
+
+    return new Promise(resolve => {
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            const value = answer.value;
+            cancelConsoleQuestion();
+            logConsole(`❓ ${question} → ${value}`, 'info', details);
+            resolve(value);
+        });
+        pendingQuestionForm = form;
+
+        const consoleOutput = document.getElementById('consoleOutput');
+        const container = currentConsoleRun
+            ? currentConsoleRun.element.querySelector('.console-run-entries')
+            : consoleOutput;
+        container.appendChild(form);
+        consoleOutput.scrollTop = consoleOutput.scrollHeight;
+        answer.focus();
+    });
+}
+
+// Removes the question waiting for an answer, if any (its run has ended)
+function cancelConsoleQuestion() {
+    if (pendingQuestionForm) {
+        pendingQuestionForm.remove();
+        pendingQuestionForm = null;
+    }
+}
+
+// ================================
+// Filtering
+// ================================
+
+function matchesConsoleFilters(entryEl) {
+    if (entryEl.dataset.level && !consoleFilters.levels.has(entryEl.dataset.level)) {
+        return false;
+    }
+    return !consoleFilters.search || entryEl.textContent.toLowerCase().includes(consoleFilters.search);
+}
+
+function applyConsoleFilters() {
+    document.querySelectorAll('#consoleOutput p[data-level]').forEach(entryEl => {
+        entryEl.hidden = !matchesConsoleFilters(entryEl);
+    });
+}
+
+// ================================
+// Export
+// ================================
+
+// Plain-data copy of a run (what the JSON export contains)
+function consoleRunToJSON(run) {
+    return {
+        run: run.number,
+        label: run.label,
+        status: run.status,
+        startedAt: new Date(run.startedAt).toISOString(),
+        finishedAt: run.finishedAt !== null ? new Date(run.finishedAt).toISOString() : null,
+        entries: run.entries.map(entry => ({
+            timestamp: new Date(entry.timestamp).toISOString(),
+            level: entry.level,
+            message: entry.message,
+            blockId: entry.blockId
+        }))
+    };
+}
+
+// One line per entry: "<time> <LEVEL> <message> (block <id>)"
+function consoleRunToText(run) {
+    const data = consoleRunToJSON(run);
+    const header = `${data.label} #${data.run} - ${data.status} - started ${data.startedAt}`;
+    const lines = data.entries.map(entry =>
+        `${entry.timestamp} ${entry.level.toUpperCase().padEnd(5)} ${entry.message}` +
+        (entry.blockId ? ` (block ${entry.blockId})` : ''));
+    return [header, ...lines].join('\n') + '\n';
+}
+
+function exportConsoleRun(run, format) {
+    const name = `workflow-${run.label.toLowerCase()}-${run.number}`;
+    if (format === 'json') {
+        downloadFile(`${name}.json`, JSON.stringify(consoleRunToJSON(run), null, 2), 'application/json');
+    } else {
+        downloadFile(`${name}.log`, consoleRunToText(run), 'text/plain');
+    }
+}
+
+console.log('✅ Console loaded');
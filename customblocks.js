@@ -0,0 +1,309 @@
+/**
+ * customblocks.js
+ * Team-defined Custom Blocks for Workflow Builder
+ *
+ * Handles:
+ * - Checking block definitions made in the Block Factory (factory.js): a
+ *   label, value / statement inputs, dropdown and text fields, a colour from
+ *   BLOCK_COLORS and a JavaScript code template
+ * - Registering them at runtime with registerBlock() (registry.js), which
+ *   installs them with their JavaScript, Python and plain-English generators
+ *   and lists them in the toolbox's Custom category
+ * - Keeping the defined blocks: serializeWorkspace() saves them with the
+ *   workspace and loadWorkflowDocument() registers them again (asking first,
+ *   when the caller wants to, about new ones and ones replacing a local block)
+ *
+ * In a code template, {NAME} stands for the input or field called NAME: the
+ * code of the block in a value socket, the statements in a statement input,
+ * or a field's value as a string literal.
+ */
+
+console.log('🔄 Loading team-defined blocks...');
+
+// ================================
+// Configuration
+// ================================
+
+const CUSTOM_BLOCK_TYPE_PATTERN = /^custom_[a-z0-9_]+$/;
+const CUSTOM_INPUT_NAME_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+const CUSTOM_INPUT_KINDS = ['value', 'statement', 'dropdown', 'text'];
+const CUSTOM_TEMPLATE_PLACEHOLDER = /\{([A-Z][A-Z0-9_]*)\}/g;
+const CUSTOM_BLOCK_PREVIEW_TYPE = 'custom__factory_preview';  // Reserved: the Block Factory previews blocks as this type
+
+const customBlockDefinitions = new Map();  // Registered definitions, by block type
+const customBlockListeners = [];           // Called after a block is registered or removed
+
+registerToolboxCategory({ id: 'custom', name: 'Custom' });
+
+// ================================
+// Definitions
+// ================================
+
+/**
+ * Checks a custom block definition and returns a clean copy of it. Throws an
+ * Error explaining the first problem found.
+ * @returns {{type: string, label: string, shape: string, output: string,
+ *     colour: string, tooltip: string, inputs: Array<Object>, template: string}}
+ */
+function normalizeCustomBlockDefinition(def) {
+    if (!def || typeof def !== 'object') {
+        throw new Error('A custom block definition must be an object');
+    }
+    const text = value => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '');
+    const types = Object.values(WORKFLOW_TYPES);
+
+    const type = text(def.type);
+    if (!CUSTOM_BLOCK_TYPE_PATTERN.test(type)) {
+        throw new Error(`Block type "${type}" must be "custom_" followed by lowercase letters, digits or _`);
+    }
+    const fail = message => {
+        throw new Error(`Custom block "${type}": ${message}`);
+    };
+
+    const definition = {
+        type: type,
+        label: text(def.label),
+        shape: def.shape === 'value' ? 'value' : 'statement',
+        output: def.shape === 'value' ? text(def.output) : '',
+        colour: text(def.colour) || 'workflow',
+        tooltip: text(def.tooltip),
+        inputs: [],
+        template: typeof def.template === 'string' ? def.template.replace(/\s+$/, '') : ''
+    };
+    if (!definition.label) {
+        fail('the label is empty');
+    }
+    if (definition.output && !types.includes(definition.output)) {
+        fail(`unknown output type "${definition.output}"`);
+    }
+    if (!Object.prototype.hasOwnProperty.call(BLOCK_COLORS, definition.colour)) {
+        fail(`unknown colour "${definition.colour}" (one of ${Object.keys(BLOCK_COLORS).join(', ')})`);
+    }
+
+    (Array.isArray(def.inputs) ? def.inputs : []).forEach(item => {
+        const input = { kind: item && item.kind, name: text(item && item.name), label: text(item && item.label) };
+        if (!CUSTOM_INPUT_KINDS.includes(input.kind)) {
+            fail(`unknown input kind "${input.kind}"`);
+        }
+        if (!CUSTOM_INPUT_NAME_PATTERN.test(input.name)) {
+            fail(`input name "${input.name}" must be capital letters, digits or _`);
+        }
+        if (definition.inputs.some(other => other.name === input.name)) {
+            fail(`two inputs are called ${input.name}`);
+        }
+        if (input.kind === 'value') {
+            input.check = text(item.check);
+            if (input.check && !types.includes(input.check)) {
+                fail(`input ${input.name} accepts an unknown type "${input.check}"`);
+            }
+        } else if (input.kind === 'statement' && definition.shape === 'value') {
+            fail(`a value block cannot have a statement input (${input.name})`);
+        } else if (input.kind === 'dropdown') {
+            input.options = [...new Set((Array.isArray(item.options) ? item.options : []).map(text).filter(Boolean))];
+            if (input.options.length === 0) {
+                fail(`dropdown ${input.name} has no options`);
+            }
+        } else if (input.kind === 'text') {
+            input.value = typeof item.value === 'string' ? item.value : '';
+        }
+        definition.inputs.push(input);
+    });
+
+    if (!definition.template.trim()) {
+        fail('the code template is empty');
+    }
+    for (const match of definition.template.matchAll(CUSTOM_TEMPLATE_PLACEHOLDER)) {
+        if (!definition.inputs.some(input => input.name === match[1])) {
+            fail(`the code template uses {${match[1]}}, which is not one of its inputs`);
+        }
+    }
+    return definition;
+}
+
+// ================================
+// Blockly Integration
+// ================================
+
+function buildCustomBlock(block, def) {
+    block.appendDummyInput().appendField(def.label);
+    def.inputs.forEach(input => {
+        let row;
+        if (input.kind === 'value') {
+            row = block.appendValueInput(input.name).setCheck(input.check || null);
+        } else if (input.kind === 'statement') {
+            row = block.appendStatementInput(input.name);
+        } else {
+            row = block.appendDummyInput();
+        }
+        if (input.label) {
+            row.appendField(input.label);
+        }
+        if (input.kind === 'dropdown') {
+            row.appendField(new Blockly.FieldDropdown(input.options.map(option => [option, option])), input.name);
+        } else if (input.kind === 'text') {
+            row.appendField(new Blockly.FieldTextInput(input.value), input.name);
+        }
+    });
+
+    block.setInputsInline(!def.inputs.some(input => input.kind === 'statement'));
+    if (def.shape === 'value') {
+        block.setOutput(true, def.output || null);
+    } else {
+        block.setPreviousStatement(true, null);
+        block.setNextStatement(true, null);
+    }
+    block.setColour(BLOCK_COLORS[def.colour]);
+    block.setTooltip(def.tooltip || `Custom block (${def.type}).`);
+    block.setHelpUrl('');
+}
+
+// JavaScript: the template with each {NAME} filled in. The template's operators
+// are unknown, so value code is parenthesised unless it is atomic
+function customBlockCode(block, def) {
+    const jsGen = Blockly.JavaScript;
+    const code = def.template.replace(CUSTOM_TEMPLATE_PLACEHOLDER, (match, name) => {
+        const input = def.inputs.find(item => item.name === name);
+        if (input.kind === 'value') {
+            return jsGen.valueToCode(block, name, jsGen.ORDER_ATOMIC) || 'undefined';
+        }
+        if (input.kind === 'statement') {
+            return jsGen.statementToCode(block, name);
+        }
+        return JSON.stringify(String(block.getFieldValue(name)));
+    });
+    if (def.shape === 'value') {
+        return [code, jsGen.ORDER_NONE];
+    }
+    return code.endsWith('\n') ? code : code + '\n';
+}
+
+// Python: templates are JavaScript, so the block is only named
+function customBlockPython(block, def) {
+    if (def.shape === 'value') {
+        return ['None', Blockly.Python.ORDER_ATOMIC];
+    }
+    return `pass  # ${def.label}: custom blocks only generate JavaScript\n`;
+}
+
+// Plain English: the label, with the value of each input and field
+function customBlockPseudocode(block, def) {
+    const pseudoGen = Blockly.Pseudocode;
+    const details = def.inputs.filter(input => input.kind !== 'statement').map(input => {
+        const value = input.kind === 'value'
+            ? pseudoGen.valueToCode(block, input.name, pseudoGen.ORDER_NONE) || '(empty)'
+            : JSON.stringify(block.getFieldValue(input.name));
+        return `${input.label || input.name.toLowerCase()} ${value}`;
+    });
+    const text = details.length > 0 ? `${def.label} (${details.join(', ')})` : def.label;
+    if (def.shape === 'value') {
+        return [text, pseudoGen.ORDER_COMPOUND];
+    }
+    return text + '\n' + def.inputs
+        .filter(input => input.kind === 'statement')
+        .map(input => pseudoGen.statementToCode(block, input.name))
+        .join('');
+}
+
+// The registerBlock() options of a checked definition
+function customBlockRegistration(def) {
+    return {
+        type: def.type,
+        category: 'custom',
+        definition: {
+            init: function() {
+                buildCustomBlock(this, def);
+            }
+        },
+        generator: block => customBlockCode(block, def),
+        python: block => customBlockPython(block, def),
+        pseudocode: block => customBlockPseudocode(block, def)
+    };
+}
+
+/**
+ * Installs a checked definition (see normalizeCustomBlockDefinition) into
+ * Blockly.Blocks and the generators, without registering it; the Block
+ * Factory previews blocks this way.
+ */
+function defineCustomBlock(def) {
+    defineBlock(customBlockRegistration(def));
+}
+
+// ================================
+// Registry
+// ================================
+
+// A checked definition whose type is free for a custom block
+function checkCustomBlockDefinition(def) {
+    const definition = normalizeCustomBlockDefinition(def);
+    if (definition.type === CUSTOM_BLOCK_PREVIEW_TYPE) {
+        throw new Error(`Block type "${definition.type}" is reserved for the Block Factory preview`);
+    }
+    if (isRegisteredBlockType(definition.type) && !customBlockDefinitions.has(definition.type)) {
+        throw new Error(`Block type "${definition.type}" is already taken by another block`);
+    }
+    return definition;
+}
+
+/**
+ * Checks and registers a custom block, replacing an earlier custom block of
+ * the same type. Returns the registered definition; throws when it is invalid
+ * or its type is reserved or belongs to another block.
+ */
+function registerCustomBlock(def) {
+    const definition = checkCustomBlockDefinition(def);
+    unregisterBlock(definition.type);
+    registerBlock(customBlockRegistration(definition));
+    customBlockDefinitions.set(definition.type, definition);
+    notifyCustomBlockListeners();
+    return definition;
+}
+
+/**
+ * Checks the definitions in `defs` (e.g. those saved with a workflow) without
+ * registering any. Returns the checked definitions that registering them
+ * would change: `{ definition, replaces }` for each one that is new, or that
+ * differs from the registered custom block it would replace (`replaces`
+ * true). Throws like registerCustomBlock() when one is invalid.
+ */
+function findCustomBlockChanges(defs) {
+    const changes = new Map();
+    defs.map(checkCustomBlockDefinition).forEach(definition => {
+        const registered = customBlockDefinitions.get(definition.type);
+        if (registered && JSON.stringify(registered) === JSON.stringify(definition)) {
+            changes.delete(definition.type);
+        } else {
+            changes.set(definition.type, { definition: definition, replaces: !!registered });
+        }
+    });
+    return [...changes.values()];
+}
+
+function unregisterCustomBlock(type) {
+    if (!customBlockDefinitions.has(type)) {
+        return false;
+    }
+    unregisterBlock(type);
+    customBlockDefinitions.delete(type);
+    notifyCustomBlockListeners();
+    return true;
+}
+
+function isCustomBlockType(type) {
+    return customBlockDefinitions.has(type);
+}
+
+// Copies of the registered definitions, in registration order
+function getCustomBlockDefinitions() {
+    return [...customBlockDefinitions.values()].map(def => JSON.parse(JSON.stringify(def)));
+}
+
+function onCustomBlocksChanged(listener) {
+    customBlockListeners.push(listener);
+}
+
+function notifyCustomBlockListeners() {
+    customBlockListeners.forEach(listener => listener());
+}
+
+console.log('✅ Team-defined blocks loaded');
@@ -0,0 +1,164 @@
+/**
+ * debugger.js
+ * Step-through Debugger for Workflow Builder
+ *
+ * Handles:
+ * - Breakpoints toggled from the block context menu
+ * - Highlighting the block that is about to execute
+ * - The live variables inspector
+ * - Enabling Step / Continue / Pause for the current debug session
+ *
+ * Debug sessions are started by `debugCode` in app.js and executed by
+ * executor.js, which calls back into `showDebugStep` whenever it pauses.
+ */
+
+console.log('🔄 Loading debugger...');
+
+// ================================
+// Debugger State
+// ================================
+
+const breakpoints = new Set();  // IDs of statement blocks to pause at
+let debugWorkspace = null;
+
+// ================================
+// Setup
+// ================================
+
+function setupDebugger(ws) {
+    debugWorkspace = ws;
+
+    Blockly.ContextMenuRegistry.registry.register({
+        id: 'workflowToggleBreakpoint',
+        scopeType: Blockly.ContextMenuRegistry.ScopeType.BLOCK,
+        displayText: scope => breakpoints.has(scope.block.id) ? '🔴 Remove Breakpoint' : '🔴 Add Breakpoint',
+        preconditionFn: scope => isSteppableBlock(scope.block) ? 'enabled' : 'hidden',
+        callback: scope => toggleBreakpoint(scope.block),
+        weight: 200
+    });
+
+    // Forget breakpoints on deleted blocks
+    ws.addChangeListener(event => {
+        if (event.type === Blockly.Events.BLOCK_DELETE) {
+            (event.ids || []).forEach(id => breakpoints.delete(id));
+            updateExecutionBreakpoints(getBreakpoints());
+        }
+    });
+
+    setDebugControls('idle');
+}
+
+// Only statement blocks get a __step() hook (START WORKFLOW suppresses its own)
+function isSteppableBlock(block) {
+    return !block.outputConnection && !block.suppressPrefixSuffix && block.type !== 'define_subworkflow';
+}
+
+// ================================
+// Breakpoints
+// ================================
+
+function getBreakpoints() {
+    return [...breakpoints];
+}
+
+function toggleBreakpoint(block) {
+    if (breakpoints.has(block.id)) {
+        breakpoints.delete(block.id);
+    } else {
+        breakpoints.add(block.id);
+    }
+
+    const svgRoot = block.getSvgRoot && block.getSvgRoot();
+    if (svgRoot) {
+        svgRoot.classList.toggle('workflow-breakpoint', breakpoints.has(block.id));
+    }
+
+    // Apply to a running session too
+    updateExecutionBreakpoints(getBreakpoints());
+}
+
+// ================================
+// Session Display
+// ================================
+
+// Called by the executor each time the workflow pauses before a block
+function showDebugStep(blockId, variables) {
+    if (debugWorkspace) {
+        debugWorkspace.highlightBlock(blockId);
+    }
+    renderVariables(variables);
+    setDebugControls('paused');
+}
+
+function startDebugSession() {
+    renderVariables({});
+    document.getElementById('variablesSection').hidden = false;
+    setDebugControls('running');
+}
+
+function endDebugSession() {
+    if (debugWorkspace) {
+        debugWorkspace.highlightBlock(null);
+    }
+    setDebugControls('idle');
+}
+
+// A variable's value as the console prints it (see formatWorkflowValue), with
+// text quoted to tell it from numbers
+function formatVariableValue(value) {
+    if (typeof value === 'string') {
+        return JSON.stringify(value);
+    }
+    return formatWorkflowValue(value);
+}
+
+function renderVariables(variables) {
+    const tbody = document.querySelector('#variablesTable tbody');
+    tbody.innerHTML = '';
+
+    const names = Object.keys(variables).sort();
+    if (names.length === 0) {
+        const row = tbody.insertRow();
+        const cell = row.insertCell();
+        cell.colSpan = 2;
+        cell.className = 'variables-empty';
+        cell.textContent = 'No variables set yet';
+        return;
+    }
+
+    names.forEach(name => {
+        const row = tbody.insertRow();
+        row.insertCell().textContent = name;
+        row.insertCell().textContent = formatVariableValue(variables[name]);
+    });
+}
+
+// ================================
+// Debug Controls
+// ================================
+
+// state: 'idle' (no session), 'running' (executing) or 'paused'
+function setDebugControls(state) {
+    document.getElementById('stepBtn').disabled = state !== 'paused';
+    document.getElementById('continueBtn').disabled = state !== 'paused';
+    document.getElementById('pauseBtn').disabled = state !== 'running';
+}
+
+function stepDebugger() {
+    if (resumeExecution('step')) {
+        setDebugControls('running');
+    }
+}
+
+function continueDebugger() {
+    if (resumeExecution('continue')) {
+        debugWorkspace.highlightBlock(null);
+        setDebugControls('running');
+    }
+}
+
+function pauseDebugger() {
+    pauseExecution();
+}
+
+console.log('✅ Debugger loaded');
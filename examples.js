@@ -0,0 +1,214 @@
+/**
+ * examples.js
+ * Built-in Example Workflows
+ *
+ * A gallery of small workflows that show how the custom blocks in blocks.js
+ * fit together. Each example has a name, a short description, the console
+ * output it is expected to produce, and a Blockly JSON workspace state.
+ */
+
+console.log('🔄 Loading example workflows...');
+
+// ================================
+// Workspace State Builders
+// ================================
+
+function exampleNumber(value) {
+    return { block: { type: 'math_number', fields: { NUM: value } } };
+}
+
+function exampleText(value) {
+    return { block: { type: 'text_block', fields: { TEXT: value } } };
+}
+
+function exampleGet(name) {
+    return { block: { type: 'variables_get', fields: { VAR: { name: name } } } };
+}
+
+function exampleSet(name, value) {
+    return { type: 'set_variable', fields: { VAR_NAME: { name: name } }, inputs: { VALUE: value } };
+}
+
+function examplePrint(value) {
+    return { type: 'print_output', inputs: { TEXT: value } };
+}
+
+function exampleValue(type, left, right) {
+    return { block: { type: type, inputs: { NUM1: left, NUM2: right } } };
+}
+
+// Block with one ADD input per value (JOIN, LIST)
+function exampleItems(type, values) {
+    const inputs = {};
+    values.forEach((value, i) => {
+        inputs['ADD' + i] = value;
+    });
+    return { block: { type: type, extraState: { itemCount: values.length }, inputs: inputs } };
+}
+
+function exampleJoin(...values) {
+    return exampleItems('text_concat', values);
+}
+
+function exampleList(...values) {
+    return exampleItems('list_create', values);
+}
+
+// `type` is a WORKFLOW_INPUT_TYPES key, `defaultValue` the text of its DEFAULT field
+function exampleInput(name, type, defaultValue) {
+    return { block: { type: 'workflow_input', fields: { NAME: { name: name }, TYPE: type, DEFAULT: defaultValue } } };
+}
+
+// Links statement blocks into a single stack via `next`
+function exampleStack(...statements) {
+    for (let i = statements.length - 2; i >= 0; i--) {
+        statements[i].next = { block: statements[i + 1] };
+    }
+    return statements.length > 0 ? { block: statements[0] } : undefined;
+}
+
+function exampleWorkflow(...statements) {
+    return {
+        blocks: {
+            languageVersion: 0,
+            blocks: [{ type: 'start_workflow', x: 40, y: 40, inputs: { DO: exampleStack(...statements) } }]
+        }
+    };
+}
+
+// ================================
+// Example Gallery
+// ================================
+
+const WORKFLOW_EXAMPLES = [
+    {
+        id: 'variables',
+        name: 'Variables',
+        description: 'Store a value with SET VARIABLE, then read it back with a variable block.',
+        expectedOutput: [
+            '✓ Variable "greeting" set to: Hello, workflow!',
+            'Hello, workflow!'
+        ],
+        workspace: exampleWorkflow(
+            exampleSet('greeting', exampleText('Hello, workflow!')),
+            examplePrint(exampleGet('greeting'))
+        )
+    },
+    {
+        id: 'arithmetic',
+        name: 'Arithmetic',
+        description: 'Combine variables with ADD and MULTIPLY and print the results.',
+        expectedOutput: [
+            '✓ Variable "x" set to: 5',
+            '✓ Variable "y" set to: 3',
+            '✓ Variable "sum" set to: 8',
+            '✓ Variable "product" set to: 15',
+            '8',
+            '15'
+        ],
+        workspace: exampleWorkflow(
+            exampleSet('x', exampleNumber(5)),
+            exampleSet('y', exampleNumber(3)),
+            exampleSet('sum', exampleValue('add_numbers', exampleGet('x'), exampleGet('y'))),
+            exampleSet('product', exampleValue('multiply_numbers', exampleGet('x'), exampleGet('y'))),
+            examplePrint(exampleGet('sum')),
+            examplePrint(exampleGet('product'))
+        )
+    },
+    {
+        id: 'branching',
+        name: 'Branching',
+        description: 'Use IF to pick one of two branches by comparing a variable with a number.',
+        expectedOutput: [
+            '✓ Variable "score" set to: 72',
+            'Pass'
+        ],
+        workspace: exampleWorkflow(
+            exampleSet('score', exampleNumber(72)),
+            {
+                type: 'if_condition',
+                fields: { OPERATOR: 'GREATER' },
+                inputs: {
+                    CONDITION_LEFT: exampleGet('score'),
+                    CONDITION_RIGHT: exampleNumber(50),
+                    DO_TRUE: exampleStack(examplePrint(exampleText('Pass'))),
+                    DO_FALSE: exampleStack(examplePrint(exampleText('Fail')))
+                }
+            }
+        )
+    },
+    {
+        id: 'printing',
+        name: 'Printing',
+        description: 'PRINT OUTPUT accepts text, numbers and calculated values.',
+        expectedOutput: [
+            'Workflow report',
+            '42',
+            '12'
+        ],
+        workspace: exampleWorkflow(
+            examplePrint(exampleText('Workflow report')),
+            examplePrint(exampleNumber(42)),
+            examplePrint(exampleValue('add_numbers', exampleNumber(7), exampleNumber(5)))
+        )
+    },
+    {
+        id: 'text',
+        name: 'Text',
+        description: 'Build messages with JOIN, change case and format a number with fixed decimals.',
+        expectedOutput: [
+            '✓ Variable "name" set to: workflow builder',
+            'Hello, WORKFLOW BUILDER!',
+            'Total: 10.50'
+        ],
+        workspace: exampleWorkflow(
+            exampleSet('name', exampleText('workflow builder')),
+            examplePrint(exampleJoin(
+                exampleText('Hello, '),
+                { block: { type: 'text_case', fields: { CASE: 'UPPER' }, inputs: { TEXT: exampleGet('name') } } },
+                exampleText('!')
+            )),
+            examplePrint(exampleJoin(
+                exampleText('Total: '),
+                {
+                    block: {
+                        type: 'number_to_text',
+                        fields: { DECIMALS: 2 },
+                        inputs: { NUM: exampleValue('multiply_numbers', exampleNumber(3.5), exampleNumber(3)) }
+                    }
+                }
+            ))
+        )
+    },
+    {
+        id: 'lists',
+        name: 'Lists & Records',
+        description: 'Add and remove list items, and fill in the fields of a record.',
+        expectedOutput: [
+            '✓ Variable "fruits" set to: ["apple", "banana"]',
+            '["banana", "cherry"]',
+            '2',
+            '✓ Variable "person" set to: {}',
+            '{"name": "Ada", "age": 36}',
+            'Ada'
+        ],
+        workspace: exampleWorkflow(
+            exampleSet('fruits', exampleList(exampleText('apple'), exampleText('banana'))),
+            { type: 'list_append', inputs: { ITEM: exampleText('cherry'), LIST: exampleGet('fruits') } },
+            { type: 'list_remove', inputs: { INDEX: exampleNumber(1), LIST: exampleGet('fruits') } },
+            examplePrint(exampleGet('fruits')),
+            examplePrint({ block: { type: 'list_length', inputs: { LIST: exampleGet('fruits') } } }),
+            exampleSet('person', { block: { type: 'record_create' } }),
+            { type: 'record_set', fields: { KEY: 'name' }, inputs: { RECORD: exampleGet('person'), VALUE: exampleText('Ada') } },
+            { type: 'record_set', fields: { KEY: 'age' }, inputs: { RECORD: exampleGet('person'), VALUE: exampleNumber(36) } },
+            examplePrint(exampleGet('person')),
+            examplePrint({ block: { type: 'record_get', fields: { KEY: 'name' }, inputs: { RECORD: exampleGet('person') } } })
+        )
+    }
+];
+
+function getExample(id) {
+    return WORKFLOW_EXAMPLES.find(example => example.id === id) || null;
+}
+
+console.log('✅ Example workflows loaded');
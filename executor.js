@@ -0,0 +1,531 @@
+/**
+ * executor.js
+ * Sandboxed Execution Engine for Generated Workflows
+ *
+ * Runs generated code in a dedicated Web Worker so a runaway workflow can be
+ * terminated when it exceeds its time budget. When workers are unavailable
+ * (e.g. blocked by the browser), a sandboxed iframe is used instead. Under
+ * Node.js (cli.js) the sandbox is a `worker_threads` worker.
+ * Lines printed with `__console.log` are streamed back while the code runs.
+ *
+ * Debug runs execute code from `Blockly.JavaScript.workspaceToDebugCode`,
+ * pausing at each `__step()` hook until the page resumes them.
+ *
+ * Workflows with WAIT or ASK blocks are async: the sandbox awaits the promise
+ * their code returns. ASK sends the question to the page (`options.onAsk`)
+ * and waits for the answer; the time budget is paused meanwhile.
+ *
+ * Errors carry the ID of the block that was running (`error.blockId`) when the
+ * code reports it: via `__enterBlock` / `__exitBlock` calls (see codeview.js)
+ * or, in debug runs, the last `__step()`.
+ */
+
+console.log('🔄 Loading execution engine...');
+
+// ================================
+// Configuration
+// ================================
+
+const DEFAULT_TIME_BUDGET_MS = 5000;
+
+let currentExecution = null;  // The one workflow allowed to run at a time
+
+// ================================
+// Printed Values
+// ================================
+
+/**
+ * Renders a printed value on one line: text as is, lists as [1, "a"] and
+ * records as {"key": value}, with [circular] for a list or record inside
+ * itself (the same rendering as workflowFormatValue() in generator.js). The
+ * sandbox prints with it and the debugger's variables inspector shows values
+ * with it; it is serialized into the sandbox, so it must not reference
+ * anything else from this file.
+ */
+function formatWorkflowValue(value) {
+    const seen = [];
+    function format(item, nested) {
+        if (typeof item === 'string') {
+            return nested ? JSON.stringify(item) : item;
+        }
+        if (item === null || typeof item !== 'object') {
+            return String(item);
+        }
+        if (seen.includes(item)) {
+            return '[circular]';
+        }
+        seen.push(item);
+        const text = Array.isArray(item)
+            ? '[' + item.map(element => format(element, true)).join(', ') + ']'
+            : '{' + Object.keys(item).map(key => JSON.stringify(key) + ': ' + format(item[key], true)).join(', ') + '}';
+        seen.pop();
+        return text;
+    }
+    return format(value, false);
+}
+
+// ================================
+// Sandbox Entry Point
+// ================================
+
+// Serialized with toString() and evaluated inside the worker / iframe, so it
+// must not reference anything from this file but formatWorkflowValue().
+function sandboxMain() {
+    // Only an iframe has a parent page; workers (browser or Node) talk through `self`
+    const isFrame = typeof parent !== 'undefined' && parent !== self;
+    const post = isFrame
+        ? function(message) { parent.postMessage(message, '*'); }
+        : function(message) { self.postMessage(message); };
+
+    function errorMessage(error) {
+        return error && error.message ? error.message : String(error);
+    }
+
+    // Copies own and inherited (sub-workflow scope) variables into a plain object
+    function snapshotVariables(variables) {
+        const snapshot = {};
+        for (const name in variables) {
+            const value = variables[name];
+            snapshot[name] = typeof value === 'function' ? String(value) : value;
+        }
+        return snapshot;
+    }
+
+    // Debugger state; null for normal runs
+    let debugState = null;
+
+    // Statement blocks currently executing, innermost last
+    const blockStack = [];
+
+    function enterBlock(blockId) {
+        blockStack.push(blockId);
+    }
+
+    function exitBlock() {
+        blockStack.pop();
+    }
+
+    function currentBlockId() {
+        if (blockStack.length > 0) {
+            return blockStack[blockStack.length - 1];
+        }
+        return debugState ? debugState.blockId : null;
+    }
+
+    // Awaited before every statement block in debug code
+    async function step(blockId, variables) {
+        if (!debugState) {
+            return;
+        }
+        debugState.blockId = blockId;
+
+        // While continuing, yield now and then so Pause messages get through
+        if (debugState.mode === 'continue' && Date.now() - debugState.lastYield > 50) {
+            debugState.lastYield = Date.now();
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        const shouldPause = debugState.mode === 'step'
+            || debugState.pauseRequested
+            || debugState.breakpoints.has(blockId);
+        if (!shouldPause) {
+            return;
+        }
+
+        debugState.pauseRequested = false;
+        post({ type: 'step', blockId: blockId, variables: snapshotVariables(variables) });
+        debugState.mode = await new Promise(resolve => { debugState.resume = resolve; });
+        debugState.lastYield = Date.now();
+    }
+
+    // ASK blocks waiting for the page's answer, by question number
+    const pendingAnswers = new Map();
+    let questionCount = 0;
+
+    function askUser(question) {
+        return new Promise(resolve => {
+            const id = ++questionCount;
+            pendingAnswers.set(id, resolve);
+            post({ type: 'ask', id: id, question: formatWorkflowValue(question), blockId: currentBlockId() });
+        });
+    }
+
+    // WAIT blocks sleep here; the page stops the time budget while they do
+    function waitSeconds(seconds) {
+        const ms = Math.max(0, Number(seconds) || 0) * 1000;
+        post({ type: 'wait', waiting: true });
+        return new Promise(resolve => setTimeout(resolve, ms))
+            .then(() => post({ type: 'wait', waiting: false }));
+    }
+
+    // console method printing lines at `level`, tagged with the running block
+    function logAt(level) {
+        return function(...args) {
+            post({ type: 'log', level: level, text: args.map(formatWorkflowValue).join(' '), blockId: currentBlockId() });
+        };
+    }
+
+    // Isolated execution context handed to the generated code
+    const isolatedContext = {
+        console: {
+            log: logAt('info'),
+            warn: logAt('warn'),
+            error: logAt('error')
+        },
+        Math: Math,
+        parseFloat: parseFloat,
+        parseInt: parseInt,
+        __step: step,
+        __askUser: askUser,
+        __waitSeconds: waitSeconds,
+        __enterBlock: enterBlock,
+        __exitBlock: exitBlock
+    };
+
+    function run(data) {
+        if (data.debug) {
+            debugState = {
+                mode: 'step',
+                breakpoints: new Set(data.debug.breakpoints || []),
+                pauseRequested: false,
+                resume: null,
+                lastYield: Date.now(),
+                blockId: null
+            };
+        }
+
+        try {
+            const context = Object.assign({}, isolatedContext, { __timeBudget: data.timeBudget, __inputs: data.inputs || {} });
+            const result = new Function(...Object.keys(context), data.code)(...Object.values(context));
+            Promise.resolve(result).then(
+                () => post({ type: 'done' }),
+                error => post({ type: 'error', message: errorMessage(error), blockId: currentBlockId() })
+            );
+        } catch (error) {
+            post({ type: 'error', message: errorMessage(error), blockId: currentBlockId() });
+        }
+    }
+
+    self.addEventListener('message', function(event) {
+        const data = event.data || {};
+        switch (data.type) {
+            case 'run':
+                run(data);
+                break;
+            case 'resume':
+                if (debugState && debugState.resume) {
+                    const resume = debugState.resume;
+                    debugState.resume = null;
+                    resume(data.mode === 'continue' ? 'continue' : 'step');
+                }
+                break;
+            case 'answer':
+                if (pendingAnswers.has(data.id)) {
+                    const resolve = pendingAnswers.get(data.id);
+                    pendingAnswers.delete(data.id);
+                    resolve(String(data.text));
+                }
+                break;
+            case 'pause':
+                if (debugState) {
+                    debugState.pauseRequested = true;
+                }
+                break;
+            case 'breakpoints':
+                if (debugState) {
+                    debugState.breakpoints = new Set(data.blockIds || []);
+                }
+                break;
+        }
+    });
+
+    post({ type: 'ready' });
+}
+
+const SANDBOX_SOURCE = `${formatWorkflowValue.toString()}\n(${sandboxMain.toString()})();`;
+
+// Gives a Node.js worker the `self` messaging API of a browser worker
+const NODE_WORKER_PRELUDE = `const self = (() => {
+    const { parentPort } = require('worker_threads');
+    return {
+        postMessage: message => parentPort.postMessage(message),
+        addEventListener: (type, listener) => parentPort.on(type, data => listener({ data: data }))
+    };
+})();
+`;
+
+function isNodeRuntime() {
+    return typeof process !== 'undefined' && !!(process.versions && process.versions.node);
+}
+
+// ================================
+// Sandbox Hosts
+// ================================
+
+function createWorkerSandbox(onMessage) {
+    const url = URL.createObjectURL(new Blob([SANDBOX_SOURCE], { type: 'text/javascript' }));
+    const worker = new Worker(url);
+    worker.addEventListener('message', event => onMessage(event.data));
+    worker.addEventListener('error', event => {
+        event.preventDefault();
+        onMessage({ type: 'error', message: event.message || 'Worker error' });
+    });
+
+    return {
+        kind: 'worker',
+        send: message => worker.postMessage(message),
+        destroy: () => {
+            worker.terminate();
+            URL.revokeObjectURL(url);
+        }
+    };
+}
+
+function createIframeSandbox(onMessage) {
+    const iframe = document.createElement('iframe');
+    iframe.setAttribute('sandbox', 'allow-scripts');
+    iframe.style.display = 'none';
+    iframe.srcdoc = `<script>${SANDBOX_SOURCE.replace(/<\/script/gi, '<\\/script')}<\/script>`;
+
+    const listener = event => {
+        if (event.source === iframe.contentWindow) {
+            onMessage(event.data);
+        }
+    };
+    window.addEventListener('message', listener);
+    document.body.appendChild(iframe);
+
+    return {
+        kind: 'iframe',
+        send: message => iframe.contentWindow.postMessage(message, '*'),
+        destroy: () => {
+            window.removeEventListener('message', listener);
+            iframe.remove();
+        }
+    };
+}
+
+function createNodeWorkerSandbox(onMessage) {
+    const { Worker } = process.getBuiltinModule('worker_threads');
+    const worker = new Worker(NODE_WORKER_PRELUDE + SANDBOX_SOURCE, { eval: true });
+    worker.on('message', onMessage);
+    worker.on('error', error => onMessage({ type: 'error', message: error.message || 'Worker error' }));
+
+    return {
+        kind: 'node-worker',
+        send: message => worker.postMessage(message),
+        destroy: () => {
+            worker.terminate();
+        }
+    };
+}
+
+function createSandbox(onMessage) {
+    if (isNodeRuntime()) {
+        return createNodeWorkerSandbox(onMessage);
+    }
+    if (typeof Worker !== 'undefined') {
+        try {
+            return createWorkerSandbox(onMessage);
+        } catch (e) {
+            console.warn('Web Worker unavailable, falling back to sandboxed iframe:', e && e.message ? e.message : e);
+        }
+    }
+    return createIframeSandbox(onMessage);
+}
+
+// ================================
+// Execute Code Safely
+// ================================
+
+/**
+ * Runs generated workflow code in a sandbox.
+ *
+ * @param {string} code - Code produced by `Blockly.JavaScript.workspaceToCode`.
+ * @param {Object} [options]
+ * @param {number} [options.timeBudget] - Milliseconds before the sandbox is terminated.
+ * @param {Object} [options.inputs] - Values of the workflow's inputs, by name
+ *     (see resolveWorkflowInputs); inputs left out keep their default.
+ * @param {function(string, Object)} [options.onLog] - Called for each line as it is
+ *     printed, with `{ level, blockId }`: its level ('info', 'warn' or 'error')
+ *     and the block that printed it, when known.
+ * @param {function(string, Object): (string|Promise<string>)} [options.onAsk] -
+ *     Called when an ASK block asks a question, with `{ blockId }`; returns (or
+ *     resolves to) the answer. Without it, asking fails the run.
+ * @param {Object} [options.debug] - Run as a debug session (no time budget).
+ * @param {Array<string>} [options.debug.breakpoints] - Block IDs to pause at.
+ * @param {function(string, Object)} [options.debug.onStep] - Called with the
+ *     block ID and variables each time the workflow pauses.
+ * @returns {Promise<string>} The workflow's joined output once it finishes.
+ *     Rejects with an Error whose `blockId` names the failing block, if known.
+ */
+function executeCode(code, options = {}) {
+    if (currentExecution) {
+        return Promise.reject(new Error('A workflow is already running'));
+    }
+
+    const debug = options.debug || null;
+    const timeBudget = debug ? Infinity : (options.timeBudget > 0 ? options.timeBudget : DEFAULT_TIME_BUDGET_MS);
+    const onLog = options.onLog || function() {};
+
+    return new Promise((resolve, reject) => {
+        const output = [];
+        let sandbox = null;
+        let timer = null;
+        let timerStartedAt = 0;
+        let remainingBudget = timeBudget;
+
+        const finish = (error) => {
+            if (!currentExecution || currentExecution.sandbox !== sandbox) {
+                return;
+            }
+            clearTimeout(timer);
+            sandbox.destroy();
+            currentExecution = null;
+
+            if (error) {
+                reject(error);
+            } else {
+                resolve(output.join('\n'));
+            }
+        };
+
+        // Debug sessions spend most of their time paused, so only the user can stop them
+        const startTimer = () => {
+            if (debug) {
+                return;
+            }
+            timerStartedAt = Date.now();
+            timer = setTimeout(() => {
+                finish(new Error(`Code execution timeout after ${timeBudget} ms - possible infinite loop`));
+            }, remainingBudget);
+        };
+
+        const pauseTimer = () => {
+            if (timer === null) {
+                return;
+            }
+            clearTimeout(timer);
+            timer = null;
+            remainingBudget -= Date.now() - timerStartedAt;
+        };
+
+        // The question's time is not part of the budget; a missing or failing
+        // onAsk ends the run
+        const answerQuestion = (message) => {
+            if (!options.onAsk) {
+                const error = new Error(`The workflow asked "${message.question}", but there is no one to answer it here`);
+                error.blockId = message.blockId || null;
+                finish(error);
+                return;
+            }
+            pauseTimer();
+            new Promise(resolve => resolve(options.onAsk(message.question, { blockId: message.blockId || null })))
+                .then(answer => {
+                    if (currentExecution && currentExecution.sandbox === sandbox) {
+                        startTimer();
+                        sandbox.send({ type: 'answer', id: message.id, text: answer === undefined || answer === null ? '' : String(answer) });
+                    }
+                }, error => finish(error));
+        };
+
+        sandbox = createSandbox(message => {
+            if (!message) {
+                return;
+            }
+            switch (message.type) {
+                case 'ready':
+                    sandbox.send({
+                        type: 'run',
+                        code: code,
+                        timeBudget: timeBudget,
+                        inputs: options.inputs || {},
+                        debug: debug ? { breakpoints: debug.breakpoints || [] } : null
+                    });
+                    startTimer();
+                    break;
+                case 'step':
+                    if (debug && debug.onStep) {
+                        debug.onStep(message.blockId, message.variables || {});
+                    }
+                    break;
+                case 'ask':
+                    answerQuestion(message);
+                    break;
+                case 'wait':
+                    // Waiting is not part of the budget either
+                    if (message.waiting) {
+                        pauseTimer();
+                    } else if (timer === null) {
+                        startTimer();
+                    }
+                    break;
+                case 'log':
+                    output.push(message.text);
+                    onLog(message.text, { level: message.level || 'info', blockId: message.blockId || null });
+                    break;
+                case 'done':
+                    finish(null);
+                    break;
+                case 'error': {
+                    const error = new Error(message.message);
+                    error.blockId = message.blockId || null;
+                    finish(error);
+                    break;
+                }
+            }
+        });
+
+        currentExecution = {
+            sandbox: sandbox,
+            stop: () => {
+                const error = new Error('Execution stopped by user');
+                error.stopped = true;
+                finish(error);
+            }
+        };
+    });
+}
+
+// ================================
+// Stop Running Code
+// ================================
+
+function stopExecution() {
+    if (!currentExecution) {
+        return false;
+    }
+    currentExecution.stop();
+    return true;
+}
+
+function isExecuting() {
+    return currentExecution !== null;
+}
+
+// ================================
+// Debug Session Controls
+// ================================
+
+function sendToExecution(message) {
+    if (!currentExecution) {
+        return false;
+    }
+    currentExecution.sandbox.send(message);
+    return true;
+}
+
+// mode: 'step' pauses again at the next statement, 'continue' runs to the next breakpoint
+function resumeExecution(mode) {
+    return sendToExecution({ type: 'resume', mode: mode });
+}
+
+function pauseExecution() {
+    return sendToExecution({ type: 'pause' });
+}
+
+function updateExecutionBreakpoints(blockIds) {
+    return sendToExecution({ type: 'breakpoints', blockIds: blockIds });
+}
+
+console.log('✅ Execution engine loaded');
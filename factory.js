@@ -0,0 +1,344 @@
+/**
+ * factory.js
+ * Block Factory for Workflow Builder
+ *
+ * Handles:
+ * - An editor for team-defined blocks (see customblocks.js): type, label,
+ *   shape, colour, inputs and fields, and the JavaScript code template
+ * - A live preview of the block being edited and of the code it generates
+ * - Saving (registering) and deleting custom blocks; the registered ones are
+ *   listed in the toolbox's Custom category (see registry.js)
+ */
+
+console.log('🔄 Loading block factory...');
+
+// ================================
+// Configuration
+// ================================
+
+// Label of each input kind in the editor
+const FACTORY_INPUT_KINDS = {
+    value: 'value socket',
+    statement: 'statements',
+    dropdown: 'dropdown',
+    text: 'text field'
+};
+
+let factoryWorkspace = null;  // The main workspace
+let previewWorkspace = null;  // Read-only workspace showing the block being edited
+
+// ================================
+// Setup
+// ================================
+
+function setupBlockFactory(ws) {
+    factoryWorkspace = ws;
+
+    fillSelect(document.getElementById('factoryColour'), Object.keys(BLOCK_COLORS).map(name => [name, name]));
+    fillSelect(document.getElementById('factoryOutput'), [['any', ''], ...Object.values(WORKFLOW_TYPES).map(type => [type, type])]);
+
+    document.getElementById('blockFactoryBtn').addEventListener('click', () => {
+        const section = document.getElementById('factorySection');
+        section.hidden = !section.hidden;
+        if (!section.hidden) {
+            updateFactoryPreview();
+        }
+    });
+    document.getElementById('factoryBlockSelect').addEventListener('change', event => {
+        editCustomBlock(event.target.value);
+    });
+    document.getElementById('deleteCustomBlockBtn').addEventListener('click', deleteSelectedCustomBlock);
+    document.getElementById('addFactoryInputBtn').addEventListener('click', () => {
+        addFactoryInputRow({ kind: 'value', name: '', label: '' });
+        updateFactoryPreview();
+    });
+
+    const form = document.getElementById('factoryForm');
+    const schedulePreview = debounce(updateFactoryPreview, 300);
+    form.addEventListener('input', schedulePreview);
+    form.addEventListener('change', schedulePreview);
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        saveCustomBlockFromForm();
+    });
+
+    onCustomBlocksChanged(renderCustomBlockList);
+    renderCustomBlockList();
+    editCustomBlock('');
+}
+
+function fillSelect(select, options) {
+    options.forEach(([text, value]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+    });
+}
+
+// ================================
+// Editor Form
+// ================================
+
+// Fills the form with a registered block's definition, or a new block's when `type` is ''
+function editCustomBlock(type) {
+    const def = getCustomBlockDefinitions().find(item => item.type === type) || {
+        type: '',
+        label: '',
+        shape: 'statement',
+        output: '',
+        colour: 'io',
+        tooltip: '',
+        inputs: [{ kind: 'value', name: 'VALUE', label: '' }],
+        template: 'console.log({VALUE});'
+    };
+
+    document.getElementById('factoryBlockSelect').value = def.type;
+    document.getElementById('deleteCustomBlockBtn').disabled = !def.type;
+    document.getElementById('factoryType').value = def.type;
+    document.getElementById('factoryLabel').value = def.label;
+    document.getElementById('factoryShape').value = def.shape;
+    document.getElementById('factoryOutput').value = def.output;
+    document.getElementById('factoryColour').value = def.colour;
+    document.getElementById('factoryTooltip').value = def.tooltip;
+    document.getElementById('factoryTemplate').value = def.template;
+    document.getElementById('factoryInputs').innerHTML = '';
+    def.inputs.forEach(addFactoryInputRow);
+    updateFactoryPreview();
+}
+
+function addFactoryInputRow(input) {
+    const row = document.createElement('div');
+    row.className = 'factory-input';
+
+    const kind = document.createElement('select');
+    kind.className = 'factory-input-kind';
+    fillSelect(kind, Object.entries(FACTORY_INPUT_KINDS).map(([value, text]) => [text, value]));
+    kind.value = input.kind;
+
+    const name = document.createElement('input');
+    name.className = 'factory-input-name';
+    name.placeholder = 'NAME';
+    name.value = input.name;
+    name.addEventListener('input', () => {
+        name.value = name.value.toUpperCase();
+    });
+
+    const label = document.createElement('input');
+    label.className = 'factory-input-label';
+    label.placeholder = 'label';
+    label.value = input.label;
+
+    const extra = document.createElement('span');
+    extra.className = 'factory-input-extra';
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn btn-small';
+    remove.textContent = '✖';
+    remove.title = 'Remove this input';
+    remove.addEventListener('click', () => {
+        row.remove();
+        updateFactoryPreview();
+    });
+
+    // The last control depends on the kind: accepted type, options or default text
+    const renderExtra = () => {
+        extra.innerHTML = '';
+        if (kind.value === 'value') {
+            const check = document.createElement('select');
+            check.className = 'factory-input-check';
+            check.title = 'Type of value the socket accepts';
+            fillSelect(check, [['any', ''], ...Object.values(WORKFLOW_TYPES).map(type => [type, type])]);
+            check.value = input.check || '';
+            extra.appendChild(check);
+        } else if (kind.value === 'dropdown') {
+            const options = document.createElement('input');
+            options.className = 'factory-input-options';
+            options.placeholder = 'option 1, option 2';
+            options.title = 'Dropdown options, separated by commas';
+            options.value = (input.options || []).join(', ');
+            extra.appendChild(options);
+        } else if (kind.value === 'text') {
+            const value = document.createElement('input');
+            value.className = 'factory-input-value';
+            value.placeholder = 'default text';
+            value.value = input.value || '';
+            extra.appendChild(value);
+        }
+    };
+    kind.addEventListener('change', renderExtra);
+    renderExtra();
+
+    row.append(kind, name, label, extra, remove);
+    document.getElementById('factoryInputs').appendChild(row);
+}
+
+// The definition described by the form (unchecked)
+function readFactoryForm() {
+    const inputs = [...document.querySelectorAll('#factoryInputs .factory-input')].map(row => {
+        const input = {
+            kind: row.querySelector('.factory-input-kind').value,
+            name: row.querySelector('.factory-input-name').value,
+            label: row.querySelector('.factory-input-label').value
+        };
+        const check = row.querySelector('.factory-input-check');
+        const options = row.querySelector('.factory-input-options');
+        const value = row.querySelector('.factory-input-value');
+        if (check) {
+            input.check = check.value;
+        } else if (options) {
+            input.options = options.value.split(',');
+        } else if (value) {
+            input.value = value.value;
+        }
+        return input;
+    });
+
+    return {
+        type: document.getElementById('factoryType').value,
+        label: document.getElementById('factoryLabel').value,
+        shape: document.getElementById('factoryShape').value,
+        output: document.getElementById('factoryOutput').value,
+        colour: document.getElementById('factoryColour').value,
+        tooltip: document.getElementById('factoryTooltip').value,
+        inputs: inputs,
+        template: document.getElementById('factoryTemplate').value
+    };
+}
+
+function showFactoryError(message) {
+    const error = document.getElementById('factoryError');
+    error.textContent = message ? `❌ ${message}` : '';
+    error.hidden = !message;
+}
+
+// ================================
+// Live Preview
+// ================================
+
+function updateFactoryPreview() {
+    const section = document.getElementById('factorySection');
+    document.getElementById('factoryOutput').disabled = document.getElementById('factoryShape').value !== 'value';
+    if (section.hidden) {
+        return;
+    }
+
+    // The type is only checked on save, so a new block previews before it has one
+    let def;
+    try {
+        def = normalizeCustomBlockDefinition(Object.assign(readFactoryForm(), { type: CUSTOM_BLOCK_PREVIEW_TYPE }));
+    } catch (error) {
+        showFactoryError(error.message.replace(`Custom block "${CUSTOM_BLOCK_PREVIEW_TYPE}": `, ''));
+        return;
+    }
+    showFactoryError('');
+
+    if (!previewWorkspace) {
+        previewWorkspace = Blockly.inject(document.getElementById('factoryPreviewBlock'), {
+            readOnly: true,
+            scrollbars: false,
+            zoom: { startScale: 0.8 }
+        });
+    }
+    defineCustomBlock(def);
+    previewWorkspace.clear();
+    const block = previewWorkspace.newBlock(CUSTOM_BLOCK_PREVIEW_TYPE);
+    block.initSvg();
+    block.render();
+    block.moveBy(10, 10);
+    Blockly.svgResize(previewWorkspace);
+
+    const jsGen = Blockly.JavaScript;
+    jsGen.init(previewWorkspace);
+    const code = jsGen.blockToCode(block);
+    jsGen.finish('');
+    document.getElementById('factoryPreviewCode').textContent = Array.isArray(code) ? code[0] : code;
+}
+
+// ================================
+// Save / Delete
+// ================================
+
+// Why `def` cannot replace the registered block `previous`, or '' when it can:
+// blocks in use must keep their shape and every input, with the same kind
+function customBlockChangeProblem(previous, def) {
+    const inUse = factoryWorkspace.getBlocksByType(def.type, false).length;
+    if (!previous || inUse === 0) {
+        return '';
+    }
+    const keepsInputs = previous.inputs.every(old =>
+        def.inputs.some(input => input.name === old.name && input.kind === old.kind));
+    if (previous.shape === def.shape && keepsInputs) {
+        return '';
+    }
+    return `${inUse} block(s) in the workspace use ${def.type}; keep its shape and inputs, or remove those blocks first`;
+}
+
+function saveCustomBlockFromForm() {
+    let def;
+    try {
+        def = normalizeCustomBlockDefinition(readFactoryForm());
+    } catch (error) {
+        showFactoryError(error.message);
+        return;
+    }
+
+    const previous = getCustomBlockDefinitions().find(item => item.type === def.type) || null;
+    const problem = customBlockChangeProblem(previous, def);
+    if (problem) {
+        showFactoryError(problem);
+        return;
+    }
+
+    try {
+        registerCustomBlock(def);
+    } catch (error) {
+        showFactoryError(error.message);
+        return;
+    }
+
+    // Blocks already in the workspace are rebuilt with the new definition
+    if (previous && factoryWorkspace.getBlocksByType(def.type, false).length > 0) {
+        Blockly.serialization.workspaces.load(Blockly.serialization.workspaces.save(factoryWorkspace), factoryWorkspace);
+    }
+    saveWorkspaceToStorage(factoryWorkspace);
+
+    editCustomBlock(def.type);
+    logConsole(`🧩 Saved custom block ${def.type}; find it in the toolbox's Custom category`, 'success');
+}
+
+function deleteSelectedCustomBlock() {
+    const type = document.getElementById('factoryBlockSelect').value;
+    if (!type) {
+        return;
+    }
+
+    const inUse = factoryWorkspace.getBlocksByType(type, false).length;
+    if (inUse > 0) {
+        showFactoryError(`${inUse} block(s) in the workspace use ${type}; remove them first`);
+        return;
+    }
+    if (!confirm(`Delete the custom block ${type}?`)) {
+        return;
+    }
+
+    unregisterCustomBlock(type);
+    saveWorkspaceToStorage(factoryWorkspace);
+    editCustomBlock('');
+    logConsole(`🗑️ Deleted custom block ${type}`, 'info');
+}
+
+// ================================
+// Custom Block List
+// ================================
+
+function renderCustomBlockList() {
+    const select = document.getElementById('factoryBlockSelect');
+    const selected = select.value;
+    select.innerHTML = '';
+    fillSelect(select, [['➕ New block', ''], ...getCustomBlockDefinitions().map(def => [`${def.label} (${def.type})`, def.type])]);
+    select.value = isCustomBlockType(selected) ? selected : '';
+}
+
+console.log('✅ Block factory loaded');
@@ -2,8 +2,16 @@
  * generator.js
  * JavaScript Code Generation for Custom Blocks
  *
- * Registers generators on `Blockly.JavaScript['block_type']` so they integrate
- * with `Blockly.JavaScript.init`, `workspaceToCode`, and `finish`.
+ * Registers generators on `Blockly.JavaScript.forBlock['block_type']` so they
+ * integrate with `Blockly.JavaScript.init`, `workspaceToCode`, and `finish`.
+ *
+ * Three flavours share these generators:
+ * - `workspaceToCode`: instrumented code for Run (variables map, output capture, timeouts)
+ * - `workspaceToDebugCode`: the same, made async with a `__step()` before every statement
+ * - `workspaceToExportCode`: a clean ES module exporting `runWorkflow()` for use elsewhere
+ *
+ * A workflow using WAIT or ASK blocks is generated as an async function that
+ * awaits them; the sandbox (and callers of the export) await its promise.
  */
 
 console.log('🔄 Loading Blockly JavaScript generators...');
@@ -13,60 +21,338 @@ if (typeof Blockly === 'undefined' || !Blockly.JavaScript) {
 } else {
     const jsGen = Blockly.JavaScript;
 
-    // Helper: safely escape strings for code
+    // Identifiers of Run's scaffolding and of the sandbox's context, reserved so
+    // sub-workflows and their parameters never get one of them
+    jsGen.addReservedWords([
+        '__variables', '__output', '__print', '__console', '__deadline', '__checkTimeout',
+        '__localScope', '__ask', '__wait', '__inputValues', '__inputs', '__timeBudget',
+        '__step', '__askUser', '__waitSeconds', '__enterBlock', '__exitBlock'
+    ].join(','));
+
+    // Set while generating debugger code: the workflow becomes async and every
+    // statement block is preceded by an awaited __step() hook
+    let debugMode = false;
+    const DEBUG_STATEMENT_PREFIX = 'await __step(%1, __variables);\n';
+
+    // Block types whose code awaits, making the whole workflow async
+    const ASYNC_BLOCK_TYPES = ['wait_seconds', 'ask_user'];
+
+    // Set by START WORKFLOW while generating an async workflow (always in debug
+    // mode): sub-workflows become async functions and their calls are awaited
+    let asyncMode = false;
+
+    // Set while generating export code: plain `let` variables and console.log,
+    // without the Run-time scaffolding (output capture, auto-logging, timeouts)
+    let exportMode = false;
+
+    // Helper: safely escape strings for code. The result is safe inside '...',
+    // "..." and `...` literals: quotes, backticks, `${`, backslashes, control
+    // characters and the U+2028 / U+2029 line terminators are all escaped.
     function escapeString(str) {
-        return String(str)
-            .replace(/\\/g, '\\\\')
-            .replace(/\"/g, '\\"')
-            .replace(/\n/g, '\\n');
+        return String(str).replace(/[\\'"`$\u0000-\u001f\u007f\u2028\u2029]/g, ch => {
+            switch (ch) {
+                case '\\': return '\\\\';
+                case '\n': return '\\n';
+                case '\r': return '\\r';
+                case '\t': return '\\t';
+                case '\'': return "\\'";
+                case '"': return '\\"';
+                case '`': return '\\`';
+                case '$': return '\\$';
+                default: return '\\u' + ch.charCodeAt(0).toString(16).padStart(4, '0');
+            }
+        });
+    }
+
+    // Helper: string literal for any user-controlled text (names, messages, text)
+    function quoteString(str) {
+        return '"' + escapeString(str) + '"';
+    }
+
+    // Set while generating a sub-workflow's body in export mode: identifiers of
+    // its local copies of the variables it assigns, by variable name
+    let exportLocals = null;
+
+    // Helper: `__variables[...]` access for a user-named variable, or its
+    // sanitized identifier in export mode
+    function variableRef(name) {
+        if (exportMode && exportLocals && exportLocals.has(name)) {
+            return exportLocals.get(name);
+        }
+        if (exportMode) {
+            return jsGen.nameDB_.getName(name, Blockly.Names.NameType.VARIABLE);
+        }
+        return `__variables[${quoteString(name)}]`;
+    }
+
+    // Helper: the logging function PRINT OUTPUT calls (`method` is log, warn or error)
+    function consoleLog(method = 'log') {
+        return (exportMode ? 'console.' : '__console.') + method;
+    }
+
+    // console method for each PRINT OUTPUT level
+    const PRINT_METHODS = { INFO: 'log', WARN: 'warn', ERROR: 'error' };
+
+    // Helper (export mode): `let` declaration of every variable at the top of
+    // runWorkflow(), so reads never hit an undeclared name
+    function letDeclarationCode(ws) {
+        const names = [...new Set(ws.getAllVariables().map(variable => variableRef(variable.name)))];
+        return names.length > 0 ? jsGen.INDENT + `let ${names.join(', ')};\n` : '';
+    }
+
+    // Helper (export mode): a sub-workflow's local copy of each variable it
+    // assigns, starting from the workflow's value like the reads of Run's
+    // __localScope. Sets exportLocals for generating its body.
+    function localCopiesCode(def) {
+        let code = '';
+        exportLocals = new Map();
+        getSubworkflowLocalVariables(def).forEach(name => {
+            const local = jsGen.nameDB_.getDistinctName(name + '_local', Blockly.Names.NameType.VARIABLE);
+            code += jsGen.INDENT + `let ${local} = ${variableRef(name)};\n`;
+            exportLocals.set(name, local);
+        });
+        return code;
+    }
+
+    // Helper: literal for a workflow input's default value (the type's empty
+    // value when the default is invalid; the validator reports that)
+    function inputDefaultCode(input) {
+        let value;
+        try {
+            value = parseWorkflowInputValue(input.type, input.defaultValue);
+        } catch (error) {
+            value = parseWorkflowInputValue(input.type, input.type === 'TEXT' ? '' : '0');
+        }
+        return typeof value === 'string' ? quoteString(value) : String(value);
+    }
+
+    // Helper: statements giving every workflow input its value from `source`
+    // (an object expression, keyed by input name) or its default
+    function workflowInputsCode(ws, source) {
+        return getWorkflowInputs(ws).map(input => {
+            const name = quoteString(input.name);
+            return jsGen.INDENT + `${variableRef(input.name)} = Object.hasOwn(${source}, ${name}) ? ` +
+                `${source}[${name}] : ${inputDefaultCode(input)};\n`;
+        }).join('');
+    }
+
+    // Helper: whether the workspace has an enabled block of one of `types`
+    function usesBlockTypes(ws, types) {
+        return ws.getAllBlocks(false).some(block => types.includes(block.type) && block.isEnabled());
+    }
+
+    // Helper: display name of a variable field (getFieldValue returns the variable's ID)
+    function getVariableName(block, fieldName, fallback) {
+        const field = block.getField(fieldName);
+        return (field && field.getText()) || fallback;
+    }
+
+    // JavaScript operator and precedence for each COMPARISON_OPERATORS value
+    const COMPARISON_CODE = {
+        GREATER: ['>', jsGen.ORDER_RELATIONAL],
+        LESS: ['<', jsGen.ORDER_RELATIONAL],
+        GREATER_EQUAL: ['>=', jsGen.ORDER_RELATIONAL],
+        LESS_EQUAL: ['<=', jsGen.ORDER_RELATIONAL],
+        EQUAL: ['===', jsGen.ORDER_EQUALITY],
+        NOT_EQUAL: ['!==', jsGen.ORDER_EQUALITY]
+    };
+
+    // Helper: [code, order] comparing two value inputs with the block's OPERATOR
+    function comparisonCode(block, leftName, rightName) {
+        const [op, order] = COMPARISON_CODE[block.getFieldValue('OPERATOR')] || COMPARISON_CODE.GREATER;
+        const left = jsGen.valueToCode(block, leftName, order) || '0';
+        const right = jsGen.valueToCode(block, rightName, order) || '0';
+        return [`${left} ${op} ${right}`, order];
+    }
+
+    // Helper: condition expression for IF / WHILE (a comparison, or "is true")
+    function conditionCode(block) {
+        if (block.getFieldValue('OPERATOR') === 'IS_TRUE') {
+            return jsGen.valueToCode(block, 'CONDITION_LEFT', jsGen.ORDER_NONE) || 'false';
+        }
+        return comparisonCode(block, 'CONDITION_LEFT', 'CONDITION_RIGHT')[0];
+    }
+
+    // Helper: runtime function that throws instead of producing Infinity / NaN
+    function provideCheckedDivision(name, operator) {
+        return jsGen.provideFunction_(name, `
+function ${jsGen.FUNCTION_NAME_PLACEHOLDER_}(a, b) {
+  if (Number(b) === 0) {
+    throw new Error('Division by zero');
+  }
+  return a ${operator} b;
+}
+`);
+    }
+
+    // Helper: runtime function that renders a printed value as one readable
+    // line: text as is, lists as [1, "a"] and records as {"key": value}. Keep
+    // in step with formatWorkflowValue() in executor.js.
+    function provideFormatValue() {
+        return jsGen.provideFunction_('workflowFormatValue', `
+function ${jsGen.FUNCTION_NAME_PLACEHOLDER_}(value) {
+  const seen = [];
+  function format(item, nested) {
+    if (typeof item === 'string') return nested ? JSON.stringify(item) : item;
+    if (item === null || typeof item !== 'object') return String(item);
+    if (seen.includes(item)) return '[circular]';
+    seen.push(item);
+    const text = Array.isArray(item)
+      ? '[' + item.map(element => format(element, true)).join(', ') + ']'
+      : '{' + Object.keys(item).map(key => JSON.stringify(key) + ': ' + format(item[key], true)).join(', ') + '}';
+    seen.pop();
+    return text;
+  }
+  return format(value, false);
+}
+`);
+    }
+
+    // Helper: statement that aborts the workflow once its time budget is spent.
+    // Emitted at the top of every loop body so infinite loops surface as errors.
+    function loopTimeoutCheck() {
+        return exportMode ? '' : jsGen.INDENT + '__checkTimeout();\n';
+    }
+
+    // Helper: function declarations for every DEFINE SUB-WORKFLOW block, emitted
+    // inside the workflow IIFE so they share __console and __output
+    function subworkflowFunctionsCode(ws) {
+        const definitions = getSubworkflowDefinitions(ws).filter(def => def.isEnabled());
+        if (definitions.length === 0) {
+            return '';
+        }
+
+        let code = exportMode
+            ? ''
+            : 'const __localScope = function(locals) { return Object.assign(Object.create(__variables), locals); };\n';
+        definitions.forEach(def => {
+            const funcName = jsGen.nameDB_.getName(def.getFieldValue('NAME'), Blockly.Names.NameType.PROCEDURE);
+            const params = parseSubworkflowParams(def.getFieldValue('PARAMS'));
+            const args = params.map(param => jsGen.nameDB_.getName(param, Blockly.Names.NameType.VARIABLE));
+            // Computed keys: a quoted "__proto__" key would set the prototype instead
+            const locals = params.length > 0
+                ? `{ ${params.map((param, i) => `[${quoteString(param)}]: ${args[i]}`).join(', ')} }`
+                : '{}';
+            // Assignments stay local to the sub-workflow; reads fall through to the workflow
+            const scope = exportMode
+                ? localCopiesCode(def)
+                : jsGen.INDENT + `const __variables = __localScope(${locals});\n`;
+            let stmts;
+            let ret;
+            try {
+                stmts = jsGen.statementToCode(def, 'STACK') || '';
+                ret = jsGen.valueToCode(def, 'RETURN', jsGen.ORDER_NONE);
+            } finally {
+                exportLocals = null;
+            }
+
+            code += `${asyncMode ? 'async ' : ''}function ${funcName}(${args.join(', ')}) {\n`;
+            code += scope;
+            code += stmts;
+            if (ret) {
+                code += jsGen.INDENT + `return ${ret};\n`;
+            }
+            code += '}\n';
+        });
+        return jsGen.prefixLines(code, jsGen.INDENT) + '\n';
+    }
+
+    // Helper: call expression for CALL SUB-WORKFLOW blocks
+    function subworkflowCallCode(block) {
+        const name = block.getFieldValue('NAME') || '';
+        const definition = findSubworkflowDefinition(block.workspace, name);
+        if (!definition || !definition.isEnabled()) {
+            return `(function() { throw new Error(${quoteString(`Unknown sub-workflow "${name}"`)}); })()`;
+        }
+
+        const funcName = jsGen.nameDB_.getName(name, Blockly.Names.NameType.PROCEDURE);
+        const params = parseSubworkflowParams(definition.getFieldValue('PARAMS'));
+        const args = params.map((param, i) => jsGen.valueToCode(block, 'ARG' + i, jsGen.ORDER_NONE) || 'undefined');
+        const call = `${funcName}(${args.join(', ')})`;
+        return asyncMode ? `(await ${call})` : call;
     }
 
     // START WORKFLOW (statement)
-    jsGen['start_workflow'] = function(block) {
+    jsGen.forBlock['start_workflow'] = function(block) {
+        asyncMode = debugMode || usesBlockTypes(block.workspace, ASYNC_BLOCK_TYPES);
         const stmts = jsGen.statementToCode(block, 'DO') || '';
-        const body = stmts ? stmts : '    // empty workflow\n';
 
-        const code = `// ===== WORKFLOW START =====\n(function() {\n    const __variables = {};\n    const __output = [];\n    const __console = {\n        log: function(...args) { __output.push(args.join(' ')); }\n    };\n\n${body}\n    return __output.join('\\n');\n})();\n`;
+        if (exportMode) {
+            // Variables are declared with `let` inside runWorkflow() instead of
+            // the module-level `var` list added by init()
+            delete jsGen.definitions_['variables'];
+            const inputsParam = jsGen.nameDB_.getDistinctName('inputs', Blockly.Names.NameType.VARIABLE);
+            const inputs = workflowInputsCode(block.workspace, inputsParam);
+            const declarations = letDeclarationCode(block.workspace) + inputs;
+            const functions = subworkflowFunctionsCode(block.workspace);
+            return `export ${asyncMode ? 'async ' : ''}function runWorkflow(${inputs ? `${inputsParam} = {}` : ''}) {\n` +
+                `${declarations}${declarations && (functions || stmts) ? '\n' : ''}${functions}${stmts}}\n`;
+        }
+
+        // Input values come from executeCode's `inputs` option, seen here as __inputs
+        let inputs = workflowInputsCode(block.workspace, '__inputValues');
+        if (inputs) {
+            inputs = jsGen.INDENT + 'const __inputValues = typeof __inputs === \'object\' && __inputs !== null ? __inputs : {};\n' +
+                inputs + '\n';
+        }
+        const body = inputs + subworkflowFunctionsCode(block.workspace) + (stmts ? stmts : '    // empty workflow\n');
+        const formatValue = provideFormatValue();
+
+        // Async code returns the workflow's promise so the sandbox can await it
+        const opening = asyncMode ? 'return (async function() {' : '(function() {';
+
+        // ASK waits for the sandbox's __askUser() and WAIT for its
+        // __waitSeconds(); the time spent in them is added back to the time budget
+        let pauses = usesBlockTypes(block.workspace, ['ask_user'])
+            ? '    const __ask = async function(question) { const asked = Date.now(); try { return await __askUser(question); } finally { __deadline += Date.now() - asked; } };\n'
+            : '';
+        if (usesBlockTypes(block.workspace, ['wait_seconds'])) {
+            pauses += '    const __wait = async function(seconds) { const waited = Date.now(); try { await __waitSeconds(seconds); } finally { __deadline += Date.now() - waited; } };\n';
+        }
+        const code = `// ===== WORKFLOW START =====\n${opening}\n    const __variables = Object.create(null);\n    const __output = [];\n    const __print = function(method, args) { const line = args.map(${formatValue}).join(' '); __output.push(line); console[method](line); };\n    const __console = {\n        log: function(...args) { __print('log', args); },\n        warn: function(...args) { __print('warn', args); },\n        error: function(...args) { __print('error', args); }\n    };\n    let __deadline = Date.now() + (typeof __timeBudget === 'number' ? __timeBudget : 5000);\n    const __checkTimeout = function() {\n        if (Date.now() > __deadline) throw new Error('Code execution timeout - possible infinite loop');\n    };\n${pauses}\n${body}\n    return __output.join('\\n');\n})();\n`;
         return code || '';  // Ensure return is never undefined
     };
 
     // SET VARIABLE (statement)
-    jsGen['set_variable'] = function(block) {
-        const varName = block.getFieldValue('VAR_NAME') || 'variable';
-        const value = jsGen.valueToCode(block, 'VALUE', jsGen.ORDER_ATOMIC) || '0';
-        const code = `__variables['${varName}'] = ${value};\n__console.log('✓ Variable "${varName}" set to:', __variables['${varName}']);\n`;
+    jsGen.forBlock['set_variable'] = function(block) {
+        const varName = getVariableName(block, 'VAR_NAME', 'variable');
+        const value = jsGen.valueToCode(block, 'VALUE', jsGen.ORDER_ASSIGNMENT) || '0';
+        const ref = variableRef(varName);
+        if (exportMode) {
+            return `${ref} = ${value};\n`;
+        }
+        const code = `${ref} = ${value};\n__console.log(${quoteString(`✓ Variable "${varName}" set to:`)}, ${ref});\n`;
         return code || '';  // Ensure return is never undefined
     };
 
     // ADD NUMBERS (value)
-    jsGen['add_numbers'] = function(block) {
+    jsGen.forBlock['add_numbers'] = function(block) {
         const a = jsGen.valueToCode(block, 'NUM1', jsGen.ORDER_ADDITION) || '0';
         const b = jsGen.valueToCode(block, 'NUM2', jsGen.ORDER_ADDITION) || '0';
-        const code = `(${a} + ${b})`;
+        const code = `${a} + ${b}`;
         return [code || '0', jsGen.ORDER_ADDITION];  // Ensure return[0] is never undefined
     };
 
     // MULTIPLY NUMBERS (value)
-    jsGen['multiply_numbers'] = function(block) {
+    jsGen.forBlock['multiply_numbers'] = function(block) {
         const a = jsGen.valueToCode(block, 'NUM1', jsGen.ORDER_MULTIPLICATION) || '0';
         const b = jsGen.valueToCode(block, 'NUM2', jsGen.ORDER_MULTIPLICATION) || '0';
-        const code = `(${a} * ${b})`;
+        const code = `${a} * ${b}`;
         return [code || '0', jsGen.ORDER_MULTIPLICATION];  // Ensure return[0] is never undefined
     };
 
     // IF CONDITION (statement)
-    jsGen['if_condition'] = function(block) {
-        const left = jsGen.valueToCode(block, 'CONDITION_LEFT', jsGen.ORDER_ATOMIC) || '0';
-        const right = jsGen.valueToCode(block, 'CONDITION_RIGHT', jsGen.ORDER_ATOMIC) || '0';
-        const operator = block.getFieldValue('OPERATOR') || 'GREATER';
-        let op = '>';
-        if (operator === 'LESS') op = '<';
-        if (operator === 'EQUAL') op = '===';
+    jsGen.forBlock['if_condition'] = function(block) {
+        const condition = conditionCode(block);
 
         const branchTrue = jsGen.statementToCode(block, 'DO_TRUE') || '';
         const branchFalse = jsGen.statementToCode(block, 'DO_FALSE') || '';
 
-        let code = `if (${left} ${op} ${right}) {\n`;
+        if (exportMode) {
+            return `if (${condition}) {\n${branchTrue}}` + (branchFalse ? ` else {\n${branchFalse}}\n` : '\n');
+        }
+
+        let code = `if (${condition}) {\n`;
         code += branchTrue ? branchTrue : '    // empty\n';
         code += `} else {\n`;
         code += branchFalse ? branchFalse : '    // empty\n';
@@ -75,31 +361,419 @@ if (typeof Blockly === 'undefined' || !Blockly.JavaScript) {
     };
 
     // PRINT OUTPUT (statement)
-    jsGen['print_output'] = function(block) {
-        const text = jsGen.valueToCode(block, 'TEXT', jsGen.ORDER_ATOMIC) || '""';
-        return `__console.log(${text});\n` || '';  // Ensure return is never undefined
+    jsGen.forBlock['print_output'] = function(block) {
+        const text = jsGen.valueToCode(block, 'TEXT', jsGen.ORDER_NONE) || '""';
+        const method = PRINT_METHODS[block.getFieldValue('LEVEL')] || PRINT_METHODS.INFO;
+        return `${consoleLog(method)}(${text});\n` || '';  // Ensure return is never undefined
+    };
+
+    // REPEAT N TIMES (statement)
+    jsGen.forBlock['repeat_times'] = function(block) {
+        const times = jsGen.valueToCode(block, 'TIMES', jsGen.ORDER_ASSIGNMENT) || '0';
+        const branch = jsGen.statementToCode(block, 'DO') || '';
+        const counter = jsGen.nameDB_.getDistinctName('count', Blockly.Names.NameType.VARIABLE);
+
+        // The count is evaluated once, before the loop (like Python's range()),
+        // unless it is a plain number
+        let code = '';
+        let end = times;
+        if (!/^-?\d+(\.\d+)?$/.test(times)) {
+            end = jsGen.nameDB_.getDistinctName('repeatEnd', Blockly.Names.NameType.VARIABLE);
+            code += `const ${end} = ${times};\n`;
+        }
+        code += `for (let ${counter} = 0; ${counter} < ${end}; ${counter}++) {\n`;
+        code += loopTimeoutCheck();
+        code += branch;
+        code += `}\n`;
+        return code;
+    };
+
+    // WHILE CONDITION (statement)
+    jsGen.forBlock['while_condition'] = function(block) {
+        const condition = conditionCode(block);
+        const branch = jsGen.statementToCode(block, 'DO') || '';
+
+        let code = `while (${condition}) {\n`;
+        code += loopTimeoutCheck();
+        code += branch;
+        code += `}\n`;
+        return code;
+    };
+
+    // FOR EACH ITEM (statement)
+    jsGen.forBlock['for_each'] = function(block) {
+        const varName = getVariableName(block, 'VAR', 'item');
+        const list = jsGen.valueToCode(block, 'LIST', jsGen.ORDER_NONE) || '[]';
+        const branch = jsGen.statementToCode(block, 'DO') || '';
+        const toList = jsGen.provideFunction_('workflowToList', `
+function ${jsGen.FUNCTION_NAME_PLACEHOLDER_}(value) {
+  if (Array.isArray(value)) return value;
+  if (value === undefined || value === null) return [];
+  if (typeof value === 'string') return value.split('');
+  return [value];
+}
+`);
+        if (exportMode) {
+            return `for (${variableRef(varName)} of ${toList}(${list})) {\n${branch}}\n`;
+        }
+
+        const itemVar = jsGen.nameDB_.getDistinctName('eachItem', Blockly.Names.NameType.VARIABLE);
+
+        let code = `for (const ${itemVar} of ${toList}(${list})) {\n`;
+        code += loopTimeoutCheck();
+        code += jsGen.INDENT + `${variableRef(varName)} = ${itemVar};\n`;
+        code += branch;
+        code += `}\n`;
+        return code;
+    };
+
+    // SUBTRACT NUMBERS (value)
+    jsGen.forBlock['subtract_numbers'] = function(block) {
+        const a = jsGen.valueToCode(block, 'NUM1', jsGen.ORDER_SUBTRACTION) || '0';
+        const b = jsGen.valueToCode(block, 'NUM2', jsGen.ORDER_SUBTRACTION) || '0';
+        return [`${a} - ${b}`, jsGen.ORDER_SUBTRACTION];
+    };
+
+    // DIVIDE NUMBERS (value)
+    jsGen.forBlock['divide_numbers'] = function(block) {
+        const a = jsGen.valueToCode(block, 'NUM1', jsGen.ORDER_COMMA) || '0';
+        const b = jsGen.valueToCode(block, 'NUM2', jsGen.ORDER_COMMA) || '0';
+        const divide = provideCheckedDivision('workflowDivide', '/');
+        return [`${divide}(${a}, ${b})`, jsGen.ORDER_FUNCTION_CALL];
+    };
+
+    // MODULO NUMBERS (value)
+    jsGen.forBlock['modulo_numbers'] = function(block) {
+        const a = jsGen.valueToCode(block, 'NUM1', jsGen.ORDER_COMMA) || '0';
+        const b = jsGen.valueToCode(block, 'NUM2', jsGen.ORDER_COMMA) || '0';
+        const modulo = provideCheckedDivision('workflowModulo', '%');
+        return [`${modulo}(${a}, ${b})`, jsGen.ORDER_FUNCTION_CALL];
+    };
+
+    // POWER NUMBERS (value) - Math.pow avoids `-2 ** 2` being a syntax error
+    jsGen.forBlock['power_numbers'] = function(block) {
+        const a = jsGen.valueToCode(block, 'NUM1', jsGen.ORDER_COMMA) || '0';
+        const b = jsGen.valueToCode(block, 'NUM2', jsGen.ORDER_COMMA) || '0';
+        return [`Math.pow(${a}, ${b})`, jsGen.ORDER_FUNCTION_CALL];
+    };
+
+    // MIN / MAX (value)
+    jsGen.forBlock['min_max_numbers'] = function(block) {
+        const fn = block.getFieldValue('MODE') === 'MAX' ? 'Math.max' : 'Math.min';
+        const a = jsGen.valueToCode(block, 'NUM1', jsGen.ORDER_COMMA) || '0';
+        const b = jsGen.valueToCode(block, 'NUM2', jsGen.ORDER_COMMA) || '0';
+        return [`${fn}(${a}, ${b})`, jsGen.ORDER_FUNCTION_CALL];
+    };
+
+    // ROUND / FLOOR / CEIL (value)
+    jsGen.forBlock['round_number'] = function(block) {
+        const fns = { ROUND: 'Math.round', FLOOR: 'Math.floor', CEIL: 'Math.ceil' };
+        const fn = fns[block.getFieldValue('MODE')] || fns.ROUND;
+        const num = jsGen.valueToCode(block, 'NUM', jsGen.ORDER_NONE) || '0';
+        return [`${fn}(${num})`, jsGen.ORDER_FUNCTION_CALL];
+    };
+
+    // COMPARE VALUES (value)
+    jsGen.forBlock['compare_values'] = function(block) {
+        return comparisonCode(block, 'LEFT', 'RIGHT');
+    };
+
+    // AND / OR (value)
+    jsGen.forBlock['boolean_and_or'] = function(block) {
+        const isAnd = block.getFieldValue('OPERATOR') !== 'OR';
+        const op = isAnd ? '&&' : '||';
+        const order = isAnd ? jsGen.ORDER_LOGICAL_AND : jsGen.ORDER_LOGICAL_OR;
+        const a = jsGen.valueToCode(block, 'LEFT', order) || 'false';
+        const b = jsGen.valueToCode(block, 'RIGHT', order) || 'false';
+        return [`${a} ${op} ${b}`, order];
+    };
+
+    // NOT (value)
+    jsGen.forBlock['boolean_not'] = function(block) {
+        const value = jsGen.valueToCode(block, 'VALUE', jsGen.ORDER_LOGICAL_NOT) || 'false';
+        return [`!${value}`, jsGen.ORDER_LOGICAL_NOT];
+    };
+
+    // DEFINE SUB-WORKFLOW - emitted by start_workflow, not at the top level
+    jsGen.forBlock['define_subworkflow'] = function(block) {
+        return null;
+    };
+
+    // CALL SUB-WORKFLOW (statement)
+    jsGen.forBlock['call_subworkflow'] = function(block) {
+        return subworkflowCallCode(block) + ';\n';
+    };
+
+    // CALL SUB-WORKFLOW (value)
+    jsGen.forBlock['call_subworkflow_value'] = function(block) {
+        return [subworkflowCallCode(block), jsGen.ORDER_FUNCTION_CALL];
     };
 
     // MATH NUMBER (value)
-    jsGen['math_number'] = function(block) {
+    jsGen.forBlock['math_number'] = function(block) {
         const num = block.getFieldValue('NUM') || '0';
         const code = Number(num) || 0;
         return [String(code) || '0', jsGen.ORDER_ATOMIC];  // Ensure return[0] is never undefined
     };
 
     // TEXT BLOCK (value)
-    jsGen['text_block'] = function(block) {
+    jsGen.forBlock['text_block'] = function(block) {
         const txt = block.getFieldValue('TEXT') || '';
-        const code = '"' + escapeString(txt) + '"';
+        const code = quoteString(txt);
         return [code || '""', jsGen.ORDER_ATOMIC];  // Ensure return[0] is never undefined
     };
 
     // GET VARIABLE (value)
-    jsGen['variables_get'] = function(block) {
-        const name = block.getFieldValue('VAR') || 'item';
-        const code = `__variables['${name}']`;
+    jsGen.forBlock['variables_get'] = function(block) {
+        const name = getVariableName(block, 'VAR', 'item');
+        const code = variableRef(name);
         return [code || '__variables["item"]', jsGen.ORDER_ATOMIC];  // Ensure return[0] is never undefined
     };
 
+    // JOIN TEXT (value) - Array.join turns every value into text
+    jsGen.forBlock['text_concat'] = function(block) {
+        const items = [];
+        for (let i = 0; i < block.itemCount_; i++) {
+            items.push(jsGen.valueToCode(block, 'ADD' + i, jsGen.ORDER_NONE) || quoteString(''));
+        }
+        if (items.length === 0) {
+            return [quoteString(''), jsGen.ORDER_ATOMIC];
+        }
+        return [`[${items.join(', ')}].join('')`, jsGen.ORDER_FUNCTION_CALL];
+    };
+
+    // Helper: value of a text input as a string (`String(...)`), "" when empty
+    function textCode(block, inputName) {
+        const text = jsGen.valueToCode(block, inputName, jsGen.ORDER_NONE) || quoteString('');
+        return `String(${text})`;
+    }
+
+    // TEXT LENGTH (value)
+    jsGen.forBlock['text_char_count'] = function(block) {
+        return [`${textCode(block, 'TEXT')}.length`, jsGen.ORDER_MEMBER];
+    };
+
+    // UPPER / LOWER CASE (value)
+    jsGen.forBlock['text_case'] = function(block) {
+        const method = block.getFieldValue('CASE') === 'LOWER' ? 'toLowerCase' : 'toUpperCase';
+        return [`${textCode(block, 'TEXT')}.${method}()`, jsGen.ORDER_FUNCTION_CALL];
+    };
+
+    // TEXT CONTAINS (value)
+    jsGen.forBlock['text_contains'] = function(block) {
+        return [`${textCode(block, 'TEXT')}.includes(${textCode(block, 'SEARCH')})`, jsGen.ORDER_FUNCTION_CALL];
+    };
+
+    // SUBSTRING (value) - positions count from 1 and include both ends
+    jsGen.forBlock['text_substring'] = function(block) {
+        const text = jsGen.valueToCode(block, 'TEXT', jsGen.ORDER_COMMA) || quoteString('');
+        const from = jsGen.valueToCode(block, 'FROM', jsGen.ORDER_COMMA) || '1';
+        const to = jsGen.valueToCode(block, 'TO', jsGen.ORDER_COMMA) || '1';
+        const substring = jsGen.provideFunction_('workflowSubstring', `
+function ${jsGen.FUNCTION_NAME_PLACEHOLDER_}(text, from, to) {
+  return String(text).slice(Math.max(Number(from) - 1, 0), Math.max(Number(to), 0));
+}
+`);
+        return [`${substring}(${text}, ${from}, ${to})`, jsGen.ORDER_FUNCTION_CALL];
+    };
+
+    // REPLACE TEXT (value) - split / join replaces every occurrence, and unlike
+    // replaceAll() gives no special meaning to `$` in the replacement
+    jsGen.forBlock['text_replace_all'] = function(block) {
+        const code = `${textCode(block, 'TEXT')}.split(${textCode(block, 'FIND')}).join(${textCode(block, 'REPLACEMENT')})`;
+        return [code, jsGen.ORDER_FUNCTION_CALL];
+    };
+
+    // FORMAT NUMBER AS TEXT (value)
+    jsGen.forBlock['number_to_text'] = function(block) {
+        const num = jsGen.valueToCode(block, 'NUM', jsGen.ORDER_NONE) || '0';
+        const decimals = Math.min(Math.max(parseInt(block.getFieldValue('DECIMALS'), 10) || 0, 0), 20);
+        return [`Number(${num}).toFixed(${decimals})`, jsGen.ORDER_FUNCTION_CALL];
+    };
+
+    // Helper: runtime check that a value is a list, with a readable error
+    function provideListCheck() {
+        return jsGen.provideFunction_('workflowList', `
+function ${jsGen.FUNCTION_NAME_PLACEHOLDER_}(value) {
+  if (!Array.isArray(value)) {
+    throw new Error('Expected a list but got ' + (value === undefined || value === null ? 'nothing' : typeof value));
+  }
+  return value;
+}
+`);
+    }
+
+    // Helper: runtime function turning a list position (#1 is the first item)
+    // into an array index, throwing when there is no such item
+    function provideListIndex() {
+        const list = provideListCheck();
+        return jsGen.provideFunction_('workflowListIndex', `
+function ${jsGen.FUNCTION_NAME_PLACEHOLDER_}(items, position) {
+  const length = ${list}(items).length;
+  const index = Number(position);
+  if (!Number.isInteger(index) || index < 1 || index > length) {
+    throw new Error('There is no item #' + position + ' in a list of ' + length + ' item(s)');
+  }
+  return index - 1;
+}
+`);
+    }
+
+    // Helper: runtime check that a value is a record, with a readable error
+    function provideRecordCheck() {
+        return jsGen.provideFunction_('workflowRecord', `
+function ${jsGen.FUNCTION_NAME_PLACEHOLDER_}(value) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('Expected a record but got ' + (Array.isArray(value) ? 'a list' : value === undefined || value === null ? 'nothing' : typeof value));
+  }
+  return value;
+}
+`);
+    }
+
+    // WORKFLOW INPUT (value) - START WORKFLOW stores the value in the variable
+    jsGen.forBlock['workflow_input'] = function(block) {
+        return [variableRef(getVariableName(block, 'NAME', 'input')), jsGen.ORDER_ATOMIC];
+    };
+
+    // CREATE LIST (value)
+    jsGen.forBlock['list_create'] = function(block) {
+        const items = [];
+        for (let i = 0; i < block.itemCount_; i++) {
+            items.push(jsGen.valueToCode(block, 'ADD' + i, jsGen.ORDER_COMMA) || 'null');
+        }
+        return [`[${items.join(', ')}]`, jsGen.ORDER_ATOMIC];
+    };
+
+    // ADD TO LIST (statement)
+    jsGen.forBlock['list_append'] = function(block) {
+        const list = jsGen.valueToCode(block, 'LIST', jsGen.ORDER_NONE) || '[]';
+        const item = jsGen.valueToCode(block, 'ITEM', jsGen.ORDER_NONE) || 'null';
+        return `${provideListCheck()}(${list}).push(${item});\n`;
+    };
+
+    // REMOVE FROM LIST (statement) - positions count from 1
+    jsGen.forBlock['list_remove'] = function(block) {
+        const list = jsGen.valueToCode(block, 'LIST', jsGen.ORDER_COMMA) || '[]';
+        const position = jsGen.valueToCode(block, 'INDEX', jsGen.ORDER_COMMA) || '1';
+        const remove = jsGen.provideFunction_('workflowListRemove', `
+function ${jsGen.FUNCTION_NAME_PLACEHOLDER_}(items, position) {
+  items.splice(${provideListIndex()}(items, position), 1);
+}
+`);
+        return `${remove}(${list}, ${position});\n`;
+    };
+
+    // GET LIST ITEM (value) - positions count from 1
+    jsGen.forBlock['list_get'] = function(block) {
+        const list = jsGen.valueToCode(block, 'LIST', jsGen.ORDER_COMMA) || '[]';
+        const position = jsGen.valueToCode(block, 'INDEX', jsGen.ORDER_COMMA) || '1';
+        const get = jsGen.provideFunction_('workflowListGet', `
+function ${jsGen.FUNCTION_NAME_PLACEHOLDER_}(items, position) {
+  return items[${provideListIndex()}(items, position)];
+}
+`);
+        return [`${get}(${list}, ${position})`, jsGen.ORDER_FUNCTION_CALL];
+    };
+
+    // LIST LENGTH (value)
+    jsGen.forBlock['list_length'] = function(block) {
+        const list = jsGen.valueToCode(block, 'LIST', jsGen.ORDER_NONE) || '[]';
+        return [`${provideListCheck()}(${list}).length`, jsGen.ORDER_MEMBER];
+    };
+
+    // CREATE RECORD (value)
+    // Records have no prototype, so any field name (__proto__, toString) is
+    // just a field
+    const EMPTY_RECORD_CODE = 'Object.create(null)';
+
+    jsGen.forBlock['record_create'] = function(block) {
+        return [EMPTY_RECORD_CODE, jsGen.ORDER_FUNCTION_CALL];
+    };
+
+    // SET RECORD FIELD (statement)
+    jsGen.forBlock['record_set'] = function(block) {
+        const record = jsGen.valueToCode(block, 'RECORD', jsGen.ORDER_NONE) || EMPTY_RECORD_CODE;
+        const value = jsGen.valueToCode(block, 'VALUE', jsGen.ORDER_ASSIGNMENT) || 'null';
+        const key = quoteString(block.getFieldValue('KEY') || '');
+        return `${provideRecordCheck()}(${record})[${key}] = ${value};\n`;
+    };
+
+    // GET RECORD FIELD (value)
+    jsGen.forBlock['record_get'] = function(block) {
+        const record = jsGen.valueToCode(block, 'RECORD', jsGen.ORDER_NONE) || EMPTY_RECORD_CODE;
+        const key = quoteString(block.getFieldValue('KEY') || '');
+        return [`${provideRecordCheck()}(${record})[${key}]`, jsGen.ORDER_MEMBER];
+    };
+
+    // WAIT SECONDS (statement) - Run waits in the sandbox, outside the time budget
+    jsGen.forBlock['wait_seconds'] = function(block) {
+        const seconds = jsGen.valueToCode(block, 'SECONDS', jsGen.ORDER_NONE) || '0';
+        if (!exportMode) {
+            return `await __wait(${seconds});\n`;
+        }
+        const wait = jsGen.provideFunction_('workflowWait', `
+function ${jsGen.FUNCTION_NAME_PLACEHOLDER_}(seconds) {
+  const ms = Math.max(0, Number(seconds) || 0) * 1000;
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+`);
+        return `await ${wait}(${seconds});\n`;
+    };
+
+    // ASK USER (value) - Run asks in the console; the export uses prompt() in
+    // a browser and the terminal under Node.js
+    jsGen.forBlock['ask_user'] = function(block) {
+        const question = jsGen.valueToCode(block, 'QUESTION', jsGen.ORDER_NONE) || '""';
+        if (!exportMode) {
+            return [`await __ask(${question})`, jsGen.ORDER_AWAIT];
+        }
+        const ask = jsGen.provideFunction_('workflowAsk', `
+async function ${jsGen.FUNCTION_NAME_PLACEHOLDER_}(question) {
+  if (typeof prompt === 'function') {
+    return prompt(String(question)) ?? '';
+  }
+  const readline = await import('node:readline/promises');
+  const terminal = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    return await terminal.question(String(question) + ' ');
+  } finally {
+    terminal.close();
+  }
+}
+`);
+        return [`await ${ask}(${question})`, jsGen.ORDER_AWAIT];
+    };
+
+    /**
+     * Generates code for the step-through debugger: an async workflow that
+     * awaits `__step(blockId, __variables)` before every statement block.
+     */
+    jsGen.workspaceToDebugCode = function(ws) {
+        const previousPrefix = jsGen.STATEMENT_PREFIX;
+        debugMode = true;
+        jsGen.STATEMENT_PREFIX = DEBUG_STATEMENT_PREFIX;
+        try {
+            return jsGen.workspaceToCode(ws);
+        } finally {
+            debugMode = false;
+            jsGen.STATEMENT_PREFIX = previousPrefix;
+        }
+    };
+
+    /**
+     * Generates a standalone ES module exporting `runWorkflow()`: real `let`
+     * variables with sanitized names, plain console.log and no auto-logging,
+     * for pasting into other apps. Run keeps using the instrumented code.
+     */
+    jsGen.workspaceToExportCode = function(ws) {
+        exportMode = true;
+        try {
+            return jsGen.workspaceToCode(ws);
+        } finally {
+            exportMode = false;
+        }
+    };
+
     console.log('✅ Blockly.JavaScript generators registered');
 }
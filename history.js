@@ -0,0 +1,421 @@
+/**
+ * history.js
+ * Named Snapshots for Workflow Builder
+ *
+ * Handles:
+ * - Saving named versions of the workspace to localStorage, so they survive
+ *   reloads (Blockly's undo stack does not)
+ * - Restoring a snapshot as one undoable step: Ctrl+Z brings back the
+ *   workspace it replaced
+ * - Comparing two versions: a structural diff (blocks added, removed, fields
+ *   changed) and a line diff of their generated code
+ */
+
+console.log('🔄 Loading snapshot history...');
+
+// ================================
+// Configuration
+// ================================
+
+const SNAPSHOTS_KEY = 'blocklyWorkflowBuilder.snapshots';
+const MAX_SNAPSHOTS = 50;
+const CURRENT_WORKSPACE_ID = 'current';  // Compare against the live workspace
+
+let historyWorkspace = null;
+
+// ================================
+// Snapshot Storage
+// ================================
+
+function loadSnapshots() {
+    try {
+        const saved = localStorage.getItem(SNAPSHOTS_KEY);
+        const snapshots = saved ? JSON.parse(saved) : [];
+        return Array.isArray(snapshots) ? snapshots : [];
+    } catch (e) {
+        console.warn('Could not read snapshots from localStorage:', e && e.message ? e.message : e);
+        return [];
+    }
+}
+
+function saveSnapshots(snapshots) {
+    try {
+        localStorage.setItem(SNAPSHOTS_KEY, JSON.stringify(snapshots));
+        return true;
+    } catch (e) {
+        console.warn('Could not save snapshots to localStorage:', e && e.message ? e.message : e);
+        return false;
+    }
+}
+
+function findSnapshot(id) {
+    return loadSnapshots().find(snapshot => snapshot.id === id) || null;
+}
+
+// The workflow document a snapshot holds. Older snapshots hold only the
+// workspace state, which loadWorkflowDocument() also accepts.
+function getSnapshotDocument(snapshot) {
+    return snapshot.document || snapshot.workspace;
+}
+
+/**
+ * Saves the current state of `ws` as a named snapshot (newest first), with
+ * the custom blocks it may use (see serializeWorkspace).
+ * Returns the snapshot, or null when it could not be stored.
+ */
+function createSnapshot(ws, name) {
+    const snapshots = loadSnapshots();
+    const snapshot = {
+        id: Blockly.utils.idGenerator.genUid(),
+        name: name || `Version ${snapshots.length + 1}`,
+        savedAt: new Date().toISOString(),
+        document: serializeWorkspace(ws)
+    };
+    snapshots.unshift(snapshot);
+    return saveSnapshots(snapshots.slice(0, MAX_SNAPSHOTS)) ? snapshot : null;
+}
+
+function deleteSnapshot(id) {
+    saveSnapshots(loadSnapshots().filter(snapshot => snapshot.id !== id));
+}
+
+// Loads a snapshot into `ws` as a single undo step
+function restoreSnapshot(ws, snapshot) {
+    Blockly.Events.setGroup(true);
+    try {
+        loadWorkflowDocument(ws, getSnapshotDocument(snapshot), { recordUndo: true });
+    } finally {
+        Blockly.Events.setGroup(false);
+    }
+}
+
+// ================================
+// Structural Diff
+// ================================
+
+// Field values by name; variable fields (saved as `{id}`) are shown by name
+function readFields(blockState, variableNames) {
+    const fields = {};
+    Object.entries(blockState.fields || {}).forEach(([name, value]) => {
+        if (value && typeof value === 'object') {
+            fields[name] = value.name || variableNames[value.id] || value.id || '';
+        } else {
+            fields[name] = String(value);
+        }
+    });
+    return fields;
+}
+
+/**
+ * Flattens a saved workspace into `{ blockId: { type, fields } }`, following
+ * inputs and next connections.
+ */
+function flattenWorkspaceState(state) {
+    const variableNames = {};
+    (state.variables || []).forEach(variable => {
+        variableNames[variable.id] = variable.name;
+    });
+
+    const blocks = {};
+    const visit = blockState => {
+        if (!blockState || typeof blockState !== 'object') {
+            return;
+        }
+        blocks[blockState.id] = { type: blockState.type, fields: readFields(blockState, variableNames) };
+        Object.values(blockState.inputs || {}).forEach(input => visit(input.block));
+        if (blockState.next) {
+            visit(blockState.next.block);
+        }
+    };
+    ((state.blocks && state.blocks.blocks) || []).forEach(visit);
+    return blocks;
+}
+
+function describeBlockState(block) {
+    const label = block.type.replace(/_/g, ' ').toUpperCase();
+    const values = Object.values(block.fields).filter(value => value !== '');
+    return values.length > 0 ? `${label} (${values.join(', ')})` : label;
+}
+
+/**
+ * Compares two saved workspaces block by block (blocks are matched by ID).
+ * @returns {{added: Array<string>, removed: Array<string>, changed: Array<string>}}
+ *     Human-readable descriptions of each difference.
+ */
+function diffWorkspaceStates(before, after) {
+    const oldBlocks = flattenWorkspaceState(before);
+    const newBlocks = flattenWorkspaceState(after);
+    const diff = { added: [], removed: [], changed: [] };
+
+    Object.keys(newBlocks).forEach(id => {
+        if (!oldBlocks[id]) {
+            diff.added.push(describeBlockState(newBlocks[id]));
+        }
+    });
+    Object.keys(oldBlocks).forEach(id => {
+        const oldBlock = oldBlocks[id];
+        const newBlock = newBlocks[id];
+        if (!newBlock) {
+            diff.removed.push(describeBlockState(oldBlock));
+            return;
+        }
+        const names = new Set([...Object.keys(oldBlock.fields), ...Object.keys(newBlock.fields)]);
+        names.forEach(name => {
+            if (oldBlock.fields[name] !== newBlock.fields[name]) {
+                diff.changed.push(`${describeBlockState(oldBlock)}: ${name} ` +
+                    `${JSON.stringify(oldBlock.fields[name] || '')} → ${JSON.stringify(newBlock.fields[name] || '')}`);
+            }
+        });
+    });
+    return diff;
+}
+
+// ================================
+// Code Diff
+// ================================
+
+// Clean exported JavaScript for a saved workflow document, generated
+// off-screen. The custom blocks saved with it are only registered meanwhile,
+// so a comparison never changes the blocks the workspace uses.
+function generateStateCode(doc) {
+    const customBlocks = getCustomBlockDefinitions();
+    const ws = new Blockly.Workspace();
+    try {
+        loadWorkflowDocument(ws, doc);
+        return Blockly.JavaScript.workspaceToExportCode(ws).trim();
+    } finally {
+        ws.dispose();
+        getCustomBlockDefinitions()
+            .filter(def => !customBlocks.some(other => other.type === def.type))
+            .forEach(def => unregisterCustomBlock(def.type));
+        findCustomBlockChanges(customBlocks).forEach(change => registerCustomBlock(change.definition));
+    }
+}
+
+/**
+ * Compares two saved workflow documents (see getSnapshotDocument).
+ * @returns {{structure: Object, code: Array<{op: string, text: string}>}}
+ *     The structural diff (diffWorkspaceStates) and the line diff of their code.
+ */
+function diffWorkflowDocuments(before, after) {
+    return {
+        structure: diffWorkspaceStates(unwrapWorkflowDocument(before), unwrapWorkflowDocument(after)),
+        code: diffLines(generateStateCode(before), generateStateCode(after))
+    };
+}
+
+/**
+ * Line diff of two texts (longest common subsequence).
+ * @returns {Array<{op: string, text: string}>} op is ' ', '+' or '-'.
+ */
+function diffLines(before, after) {
+    const a = before.split('\n');
+    const b = after.split('\n');
+
+    // common[i][j] = length of the LCS of a[i..] and b[j..]
+    const common = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            common[i][j] = a[i] === b[j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1]);
+        }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            lines.push({ op: ' ', text: a[i] });
+            i++;
+            j++;
+        } else if (common[i + 1][j] >= common[i][j + 1]) {
+            lines.push({ op: '-', text: a[i++] });
+        } else {
+            lines.push({ op: '+', text: b[j++] });
+        }
+    }
+    while (i < a.length) {
+        lines.push({ op: '-', text: a[i++] });
+    }
+    while (j < b.length) {
+        lines.push({ op: '+', text: b[j++] });
+    }
+    return lines;
+}
+
+// ================================
+// History Panel
+// ================================
+
+function setupHistory(ws) {
+    historyWorkspace = ws;
+
+    document.getElementById('historyBtn').addEventListener('click', () => {
+        const section = document.getElementById('historySection');
+        section.hidden = !section.hidden;
+        if (!section.hidden) {
+            renderSnapshots();
+        }
+    });
+    document.getElementById('saveSnapshotBtn').addEventListener('click', saveSnapshotFromInput);
+    document.getElementById('snapshotNameInput').addEventListener('keydown', event => {
+        if (event.key === 'Enter') {
+            saveSnapshotFromInput();
+        }
+    });
+    document.getElementById('compareSnapshotsBtn').addEventListener('click', compareSelectedSnapshots);
+}
+
+function saveSnapshotFromInput() {
+    const input = document.getElementById('snapshotNameInput');
+    const snapshot = createSnapshot(historyWorkspace, input.value.trim());
+    if (!snapshot) {
+        logConsole('❌ Could not save the snapshot (storage full or unavailable)', 'error');
+        return;
+    }
+    input.value = '';
+    renderSnapshots();
+    logConsole(`🕘 Saved snapshot "${snapshot.name}"`, 'success');
+}
+
+function renderSnapshots() {
+    const snapshots = loadSnapshots();
+    const list = document.getElementById('snapshotList');
+    list.innerHTML = '';
+
+    if (snapshots.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'snapshot-empty';
+        empty.textContent = 'No snapshots yet';
+        list.appendChild(empty);
+    }
+
+    snapshots.forEach(snapshot => {
+        const item = document.createElement('li');
+        item.className = 'snapshot-item';
+
+        const name = document.createElement('span');
+        name.className = 'snapshot-name';
+        name.textContent = snapshot.name;
+        name.title = new Date(snapshot.savedAt).toLocaleString();
+        item.appendChild(name);
+
+        const restore = document.createElement('button');
+        restore.className = 'btn btn-small';
+        restore.textContent = '↩️ Restore';
+        restore.addEventListener('click', () => restoreSnapshotById(snapshot.id));
+        item.appendChild(restore);
+
+        const remove = document.createElement('button');
+        remove.className = 'btn btn-small';
+        remove.textContent = '🗑️';
+        remove.title = 'Delete snapshot';
+        remove.addEventListener('click', () => {
+            deleteSnapshot(snapshot.id);
+            renderSnapshots();
+        });
+        item.appendChild(remove);
+
+        list.appendChild(item);
+    });
+
+    renderCompareOptions(snapshots);
+}
+
+function renderCompareOptions(snapshots) {
+    ['compareFromSelect', 'compareToSelect'].forEach((selectId, index) => {
+        const select = document.getElementById(selectId);
+        const previous = select.value;
+        select.innerHTML = '';
+
+        const options = [{ id: CURRENT_WORKSPACE_ID, name: 'Current workspace' }, ...snapshots];
+        options.forEach(option => {
+            const element = document.createElement('option');
+            element.value = option.id;
+            element.textContent = option.name;
+            select.appendChild(element);
+        });
+
+        // Default: newest snapshot → current workspace
+        const fallback = index === 0 && snapshots.length > 0 ? snapshots[0].id : CURRENT_WORKSPACE_ID;
+        select.value = options.some(option => option.id === previous) ? previous : fallback;
+    });
+}
+
+function restoreSnapshotById(id) {
+    const snapshot = findSnapshot(id);
+    if (!snapshot) {
+        logConsole('ℹ️ That snapshot no longer exists', 'info');
+        renderSnapshots();
+        return;
+    }
+
+    try {
+        restoreSnapshot(historyWorkspace, snapshot);
+    } catch (error) {
+        logConsole(`❌ Could not restore "${snapshot.name}": ${error.message}`, 'error');
+        console.error('Restore error:', error);
+        return;
+    }
+    logConsole(`↩️ Restored "${snapshot.name}" (Ctrl+Z brings back the previous workspace)`, 'success');
+}
+
+// Saved workflow document and label for a compare selection
+function getCompareSide(id) {
+    if (id === CURRENT_WORKSPACE_ID) {
+        return { name: 'Current workspace', document: serializeWorkspace(historyWorkspace) };
+    }
+    const snapshot = findSnapshot(id);
+    return snapshot ? { name: snapshot.name, document: getSnapshotDocument(snapshot) } : null;
+}
+
+function compareSelectedSnapshots() {
+    const from = getCompareSide(document.getElementById('compareFromSelect').value);
+    const to = getCompareSide(document.getElementById('compareToSelect').value);
+    if (!from || !to) {
+        logConsole('ℹ️ Pick two versions to compare', 'info');
+        return;
+    }
+
+    let diff;
+    try {
+        diff = diffWorkflowDocuments(from.document, to.document);
+    } catch (error) {
+        logConsole(`❌ Could not compare versions: ${error.message}`, 'error');
+        console.error('Compare error:', error);
+        return;
+    }
+    renderDiff(from.name, to.name, diff.structure, diff.code);
+}
+
+function renderDiff(fromName, toName, structure, codeLines) {
+    const output = document.getElementById('historyDiff');
+    output.innerHTML = '';
+
+    const appendLine = (parent, className, text) => {
+        const line = document.createElement('div');
+        line.className = className;
+        line.textContent = text;
+        parent.appendChild(line);
+    };
+
+    appendLine(output, 'diff-title', `${fromName} → ${toName}`);
+    appendLine(output, 'diff-summary', `Blocks: ${structure.added.length} added, ` +
+        `${structure.removed.length} removed, ${structure.changed.length} field change(s)`);
+    structure.added.forEach(text => appendLine(output, 'diff-add', `+ ${text}`));
+    structure.removed.forEach(text => appendLine(output, 'diff-remove', `- ${text}`));
+    structure.changed.forEach(text => appendLine(output, 'diff-change', `~ ${text}`));
+
+    appendLine(output, 'diff-summary', codeLines.some(line => line.op !== ' ')
+        ? 'Generated code:'
+        : 'Generated code: no changes');
+    const code = document.createElement('pre');
+    code.className = 'diff-code';
+    codeLines.forEach(line => {
+        const className = line.op === '+' ? 'diff-add' : line.op === '-' ? 'diff-remove' : 'diff-same';
+        appendLine(code, className, `${line.op} ${line.text}`);
+    });
+    output.appendChild(code);
+}
+
+console.log('✅ Snapshot history loaded');
@@ -0,0 +1,139 @@
+/**
+ * inputs.js
+ * Run-time Input Form for Workflow Builder
+ *
+ * Handles:
+ * - Asking for the values of the workflow's INPUT blocks before Run / Debug,
+ *   in a form generated from their declarations (name, type, default)
+ * - Pre-filling the form from URL query parameters (`?name=Ada&count=3`), so
+ *   a link can run the same workflow with other data
+ * - Remembering the last values entered, which Auto-run uses without asking
+ */
+
+console.log('🔄 Loading workflow inputs...');
+
+// ================================
+// State
+// ================================
+
+let workflowInputValues = Object.create(null);     // Text last entered for each input name, starting with the URL's
+let pendingInputsCallback = null; // Called with the values when the form is submitted
+
+// ================================
+// Setup
+// ================================
+
+function setupWorkflowInputs() {
+    workflowInputValues = readUrlInputValues(window.location.search);
+
+    document.getElementById('inputsForm').addEventListener('submit', event => {
+        event.preventDefault();
+        submitInputsForm();
+    });
+    document.getElementById('cancelInputsBtn').addEventListener('click', hideInputsForm);
+}
+
+// Query parameters as an object of strings (the first value of repeated names)
+function readUrlInputValues(search) {
+    const values = Object.create(null);
+    new URLSearchParams(search).forEach((value, name) => {
+        if (!Object.prototype.hasOwnProperty.call(values, name)) {
+            values[name] = value;
+        }
+    });
+    return values;
+}
+
+// ================================
+// Input Values
+// ================================
+
+/**
+ * Values to run with: the last entered (or URL) value of each declared input,
+ * its default otherwise. Throws when one is invalid (see resolveWorkflowInputs).
+ */
+function getWorkflowInputValues(declarations) {
+    return resolveWorkflowInputs(declarations, workflowInputValues);
+}
+
+/**
+ * Shows the input form for `declarations` and calls `onSubmit` once the user
+ * submits it. Without declarations `onSubmit` is called straight away.
+ */
+function requestWorkflowInputs(declarations, submitLabel, onSubmit) {
+    if (declarations.length === 0) {
+        onSubmit();
+        return;
+    }
+    renderInputsForm(declarations, submitLabel);
+    pendingInputsCallback = onSubmit;
+}
+
+// ================================
+// Form
+// ================================
+
+function renderInputsForm(declarations, submitLabel) {
+    const fields = document.getElementById('inputsFields');
+    fields.innerHTML = '';
+
+    declarations.forEach(input => {
+        const type = WORKFLOW_INPUT_TYPES[input.type] || WORKFLOW_INPUT_TYPES.NUMBER;
+        const value = Object.prototype.hasOwnProperty.call(workflowInputValues, input.name)
+            ? workflowInputValues[input.name]
+            : input.defaultValue;
+
+        const label = document.createElement('label');
+        label.className = 'input-field';
+        const name = document.createElement('span');
+        name.className = 'input-name';
+        name.textContent = input.name;
+        name.title = `${type.label}, default ${JSON.stringify(input.defaultValue)}`;
+
+        const field = document.createElement('input');
+        field.dataset.name = input.name;
+        if (input.type === 'BOOLEAN') {
+            field.type = 'checkbox';
+            try {
+                field.checked = parseWorkflowInputValue(input.type, value);
+            } catch (error) {
+                field.checked = false;
+            }
+        } else {
+            field.type = 'text';
+            field.inputMode = input.type === 'NUMBER' ? 'decimal' : 'text';
+            field.value = value;
+            field.placeholder = type.label;
+        }
+
+        label.append(name, field);
+        fields.appendChild(label);
+    });
+
+    document.getElementById('runWithInputsBtn').textContent = submitLabel;
+    const section = document.getElementById('inputsSection');
+    section.hidden = false;
+    const first = fields.querySelector('input');
+    if (first) {
+        first.focus();
+    }
+}
+
+function submitInputsForm() {
+    document.querySelectorAll('#inputsFields input').forEach(field => {
+        workflowInputValues[field.dataset.name] = field.type === 'checkbox' ? String(field.checked) : field.value;
+    });
+
+    const callback = pendingInputsCallback;
+    hideInputsForm();
+    if (callback) {
+        callback();
+    }
+}
+
+function hideInputsForm() {
+    pendingInputsCallback = null;
+    document.getElementById('inputsSection').hidden = true;
+}
+
+console.log('✅ Workflow inputs loaded');
@@ -0,0 +1,400 @@
+/**
+ * pseudocode.js
+ * Plain-English Workflow Export
+ *
+ * Defines `Blockly.Pseudocode`, a code generator that renders the workflow as
+ * numbered plain-English steps so it can be reviewed without reading code:
+ *
+ *   Workflow:
+ *   1. Set score to 72
+ *   2. If score is greater than 50, then:
+ *      2.1. Print "Pass"
+ *      Otherwise:
+ *      2.2. Print "Fail"
+ *
+ * Generators return indented lines; `finish` numbers them by depth.
+ */
+
+console.log('🔄 Loading pseudocode generator...');
+
+if (typeof Blockly === 'undefined' || !Blockly.CodeGenerator) {
+    console.error('❌ Blockly.CodeGenerator is not available. Pseudocode generator not registered.');
+} else {
+    const pseudoGen = new Blockly.CodeGenerator('Pseudocode');
+
+    pseudoGen.ORDER_ATOMIC = 0;    // numbers, text, variables
+    pseudoGen.ORDER_COMPOUND = 1;  // anything made of several words
+    pseudoGen.ORDER_NONE = 99;
+
+    // Line markers understood by `numberSteps`. User text is always quoted with
+    // JSON.stringify, which escapes control characters, so it can't forge them.
+    const SECTION_MARKER = '\u0001';  // heading: restarts numbering, not numbered
+    const LABEL_MARKER = '\u0002';    // label inside a step (e.g. "Otherwise:"), not numbered
+    const STEP_INDENT = '   ';
+
+    // Phrase for each COMPARISON_OPERATORS value
+    const COMPARISON_PHRASES = {
+        GREATER: 'is greater than',
+        LESS: 'is less than',
+        GREATER_EQUAL: 'is at least',
+        LESS_EQUAL: 'is at most',
+        EQUAL: 'equals',
+        NOT_EQUAL: 'does not equal'
+    };
+
+    // Helper: readable value of an input, or "(empty)" when nothing is plugged in
+    function valueText(block, inputName, order = pseudoGen.ORDER_ATOMIC) {
+        return pseudoGen.valueToCode(block, inputName, order) || '(empty)';
+    }
+
+    // Helper: indented steps of a statement input, or a "do nothing" label
+    function stepsText(block, inputName) {
+        return pseudoGen.statementToCode(block, inputName) || pseudoGen.INDENT + LABEL_MARKER + '(do nothing)\n';
+    }
+
+    function variableText(block, fieldName) {
+        const field = block.getField(fieldName);
+        return (field && field.getText()) || 'item';
+    }
+
+    function comparisonText(block, leftName, rightName) {
+        const phrase = COMPARISON_PHRASES[block.getFieldValue('OPERATOR')] || COMPARISON_PHRASES.GREATER;
+        return `${valueText(block, leftName)} ${phrase} ${valueText(block, rightName)}`;
+    }
+
+    // Helper: condition phrase for IF / WHILE (a comparison, or "is true")
+    function conditionText(block) {
+        if (block.getFieldValue('OPERATOR') === 'IS_TRUE') {
+            // Comparisons and logic blocks already read as a condition
+            const left = block.getInputTargetBlock('CONDITION_LEFT');
+            const check = left && left.outputConnection.getCheck();
+            if (check && check.length === 1 && check[0] === WORKFLOW_TYPES.BOOLEAN) {
+                return valueText(block, 'CONDITION_LEFT', pseudoGen.ORDER_NONE);
+            }
+            return `${valueText(block, 'CONDITION_LEFT')} is true`;
+        }
+        return comparisonText(block, 'CONDITION_LEFT', 'CONDITION_RIGHT');
+    }
+
+    function binaryText(block, phrase) {
+        return [`${valueText(block, 'NUM1')} ${phrase} ${valueText(block, 'NUM2')}`, pseudoGen.ORDER_COMPOUND];
+    }
+
+    // Helper: `"name" with a = 1, b = 2` for CALL SUB-WORKFLOW blocks
+    function callText(block) {
+        const name = block.getFieldValue('NAME') || '';
+        const definition = findSubworkflowDefinition(block.workspace, name);
+        const params = definition ? parseSubworkflowParams(definition.getFieldValue('PARAMS')) : [];
+        const args = params.map((param, i) => `${param} = ${valueText(block, 'ARG' + i)}`);
+        return JSON.stringify(name) + (args.length > 0 ? ` with ${args.join(', ')}` : '');
+    }
+
+    /**
+     * Turns marked, indented lines into numbered steps. Nested steps are
+     * numbered under their parent (2.1, 2.2, ...) and labels keep the count.
+     */
+    function numberSteps(code) {
+        let counters = [];
+        return code.split('\n').map(line => {
+            const text = line.trimStart();
+            const depth = Math.floor((line.length - text.length) / pseudoGen.INDENT.length);
+            if (text === '') {
+                return '';
+            }
+            // Other control-character lines (codeview.js block markers) pass through
+            if (text[0] < ' ' && text[0] !== SECTION_MARKER && text[0] !== LABEL_MARKER) {
+                return line;
+            }
+            if (text[0] === SECTION_MARKER) {
+                counters = [];
+                return text.slice(1);
+            }
+            const indent = STEP_INDENT.repeat(depth);
+            if (text[0] === LABEL_MARKER) {
+                return indent + text.slice(1);
+            }
+            counters.length = depth + 1;
+            counters[depth] = (counters[depth] || 0) + 1;
+            return `${indent}${Array.from(counters, n => n || 1).join('.')}. ${text}`;
+        }).join('\n');
+    }
+
+    pseudoGen.init = function(ws) {
+        Object.getPrototypeOf(pseudoGen).init.call(pseudoGen, ws);
+        pseudoGen.isInitialized = true;
+    };
+
+    pseudoGen.finish = function(code) {
+        code = Object.getPrototypeOf(pseudoGen).finish.call(pseudoGen, code);
+        pseudoGen.isInitialized = false;
+        return numberSteps(code).replace(/\n{3,}/g, '\n\n').trim() + '\n';
+    };
+
+    // Follow `next` connections so a stack renders every step, and head loose
+    // stacks so they aren't mistaken for part of the workflow
+    pseudoGen.scrub_ = function(block, code, thisOnly) {
+        const next = block.nextConnection && block.nextConnection.targetBlock();
+        const rest = thisOnly ? '' : pseudoGen.blockToCode(next);
+        const isLoose = !block.getParent() && !block.outputConnection &&
+            block.type !== 'start_workflow' && block.type !== 'define_subworkflow';
+        return (isLoose ? `\n${SECTION_MARKER}Not connected to the workflow (ignored):\n` : '') + code + rest;
+    };
+
+    pseudoGen.scrubNakedValue = function(line) {
+        return `\n${SECTION_MARKER}Not connected to the workflow (ignored): ${line}\n`;
+    };
+
+    // Helper: a workflow input's default as shown in the Inputs section
+    function inputDefaultText(input) {
+        try {
+            const value = parseWorkflowInputValue(input.type, input.defaultValue);
+            return typeof value === 'string' ? JSON.stringify(value) : String(value);
+        } catch (error) {
+            return `${JSON.stringify(input.defaultValue)} (invalid)`;
+        }
+    }
+
+    // START WORKFLOW (statement)
+    pseudoGen.forBlock['start_workflow'] = function(block) {
+        const steps = pseudoGen.blockToCode(block.getInputTargetBlock('DO'));
+        const inputs = getWorkflowInputs(block.workspace).map(input => {
+            const type = WORKFLOW_INPUT_TYPES[input.type] || WORKFLOW_INPUT_TYPES.NUMBER;
+            return `${LABEL_MARKER}${input.name}: ${type.label}, ${inputDefaultText(input)} unless given\n`;
+        }).join('');
+        return (inputs ? `${SECTION_MARKER}Inputs:\n${inputs}\n` : '') +
+            `${SECTION_MARKER}Workflow:\n` + (steps || LABEL_MARKER + '(no steps)\n') + '\n';
+    };
+
+    // DEFINE SUB-WORKFLOW (statement)
+    pseudoGen.forBlock['define_subworkflow'] = function(block) {
+        const params = parseSubworkflowParams(block.getFieldValue('PARAMS'));
+        const inputs = params.length > 0 ? `inputs: ${params.join(', ')}` : 'no inputs';
+        let code = `\n${SECTION_MARKER}Sub-workflow ${JSON.stringify(block.getFieldValue('NAME'))} (${inputs}):\n`;
+        code += pseudoGen.blockToCode(block.getInputTargetBlock('STACK'));
+        const ret = pseudoGen.valueToCode(block, 'RETURN', pseudoGen.ORDER_NONE);
+        if (ret) {
+            code += `Return ${ret}\n`;
+        }
+        return code + '\n';
+    };
+
+    // SET VARIABLE (statement)
+    pseudoGen.forBlock['set_variable'] = function(block) {
+        return `Set ${variableText(block, 'VAR_NAME')} to ${valueText(block, 'VALUE', pseudoGen.ORDER_NONE)}\n`;
+    };
+
+    // PRINT OUTPUT (statement)
+    pseudoGen.forBlock['print_output'] = function(block) {
+        const kinds = { WARN: 'warning ', ERROR: 'error ' };
+        return `Print ${kinds[block.getFieldValue('LEVEL')] || ''}${valueText(block, 'TEXT', pseudoGen.ORDER_NONE)}\n`;
+    };
+
+    // IF CONDITION (statement)
+    pseudoGen.forBlock['if_condition'] = function(block) {
+        let code = `If ${conditionText(block)}, then:\n`;
+        code += stepsText(block, 'DO_TRUE');
+        const branchFalse = pseudoGen.statementToCode(block, 'DO_FALSE');
+        if (branchFalse) {
+            code += pseudoGen.INDENT + LABEL_MARKER + 'Otherwise:\n' + branchFalse;
+        }
+        return code;
+    };
+
+    // REPEAT N TIMES (statement)
+    pseudoGen.forBlock['repeat_times'] = function(block) {
+        return `Repeat ${valueText(block, 'TIMES')} times:\n` + stepsText(block, 'DO');
+    };
+
+    // WHILE CONDITION (statement)
+    pseudoGen.forBlock['while_condition'] = function(block) {
+        return `Repeat while ${conditionText(block)}:\n` + stepsText(block, 'DO');
+    };
+
+    // FOR EACH ITEM (statement)
+    pseudoGen.forBlock['for_each'] = function(block) {
+        return `For each ${variableText(block, 'VAR')} in ${valueText(block, 'LIST')}:\n` + stepsText(block, 'DO');
+    };
+
+    // CALL SUB-WORKFLOW (statement)
+    pseudoGen.forBlock['call_subworkflow'] = function(block) {
+        return `Run sub-workflow ${callText(block)}\n`;
+    };
+
+    // CALL SUB-WORKFLOW (value)
+    pseudoGen.forBlock['call_subworkflow_value'] = function(block) {
+        return [`the result of sub-workflow ${callText(block)}`, pseudoGen.ORDER_COMPOUND];
+    };
+
+    // ARITHMETIC (value)
+    pseudoGen.forBlock['add_numbers'] = block => binaryText(block, 'plus');
+    pseudoGen.forBlock['subtract_numbers'] = block => binaryText(block, 'minus');
+    pseudoGen.forBlock['multiply_numbers'] = block => binaryText(block, 'times');
+    pseudoGen.forBlock['divide_numbers'] = block => binaryText(block, 'divided by');
+    pseudoGen.forBlock['power_numbers'] = block => binaryText(block, 'to the power of');
+
+    // MODULO NUMBERS (value)
+    pseudoGen.forBlock['modulo_numbers'] = function(block) {
+        return [`the remainder of ${valueText(block, 'NUM1')} divided by ${valueText(block, 'NUM2')}`,
+            pseudoGen.ORDER_COMPOUND];
+    };
+
+    // MIN / MAX (value)
+    pseudoGen.forBlock['min_max_numbers'] = function(block) {
+        const which = block.getFieldValue('MODE') === 'MAX' ? 'larger' : 'smaller';
+        return [`the ${which} of ${valueText(block, 'NUM1')} and ${valueText(block, 'NUM2')}`,
+            pseudoGen.ORDER_COMPOUND];
+    };
+
+    // ROUND / FLOOR / CEIL (value)
+    pseudoGen.forBlock['round_number'] = function(block) {
+        const phrases = { ROUND: 'rounded', FLOOR: 'rounded down', CEIL: 'rounded up' };
+        const phrase = phrases[block.getFieldValue('MODE')] || phrases.ROUND;
+        return [`${valueText(block, 'NUM')} ${phrase}`, pseudoGen.ORDER_COMPOUND];
+    };
+
+    // COMPARE VALUES (value)
+    pseudoGen.forBlock['compare_values'] = function(block) {
+        return [comparisonText(block, 'LEFT', 'RIGHT'), pseudoGen.ORDER_COMPOUND];
+    };
+
+    // AND / OR (value)
+    pseudoGen.forBlock['boolean_and_or'] = function(block) {
+        const word = block.getFieldValue('OPERATOR') === 'OR' ? 'or' : 'and';
+        return [`${valueText(block, 'LEFT')} ${word} ${valueText(block, 'RIGHT')}`, pseudoGen.ORDER_COMPOUND];
+    };
+
+    // NOT (value)
+    pseudoGen.forBlock['boolean_not'] = function(block) {
+        return [`not ${valueText(block, 'VALUE')}`, pseudoGen.ORDER_COMPOUND];
+    };
+
+    // MATH NUMBER (value)
+    pseudoGen.forBlock['math_number'] = function(block) {
+        return [String(Number(block.getFieldValue('NUM')) || 0), pseudoGen.ORDER_ATOMIC];
+    };
+
+    // TEXT BLOCK (value)
+    pseudoGen.forBlock['text_block'] = function(block) {
+        return [JSON.stringify(block.getFieldValue('TEXT') || ''), pseudoGen.ORDER_ATOMIC];
+    };
+
+    // GET VARIABLE (value)
+    pseudoGen.forBlock['variables_get'] = function(block) {
+        return [variableText(block, 'VAR'), pseudoGen.ORDER_ATOMIC];
+    };
+
+    // JOIN TEXT (value)
+    pseudoGen.forBlock['text_concat'] = function(block) {
+        const items = [];
+        for (let i = 0; i < block.itemCount_; i++) {
+            items.push(valueText(block, 'ADD' + i));
+        }
+        if (items.length === 0) {
+            return ['""', pseudoGen.ORDER_ATOMIC];
+        }
+        return [items.join(' followed by '), items.length > 1 ? pseudoGen.ORDER_COMPOUND : pseudoGen.ORDER_ATOMIC];
+    };
+
+    // TEXT LENGTH (value)
+    pseudoGen.forBlock['text_char_count'] = function(block) {
+        return [`the length of ${valueText(block, 'TEXT')}`, pseudoGen.ORDER_COMPOUND];
+    };
+
+    // UPPER / LOWER CASE (value)
+    pseudoGen.forBlock['text_case'] = function(block) {
+        const which = block.getFieldValue('CASE') === 'LOWER' ? 'lower' : 'upper';
+        return [`${valueText(block, 'TEXT')} in ${which} case`, pseudoGen.ORDER_COMPOUND];
+    };
+
+    // TEXT CONTAINS (value)
+    pseudoGen.forBlock['text_contains'] = function(block) {
+        return [`${valueText(block, 'TEXT')} contains ${valueText(block, 'SEARCH')}`, pseudoGen.ORDER_COMPOUND];
+    };
+
+    // SUBSTRING (value)
+    pseudoGen.forBlock['text_substring'] = function(block) {
+        return [`characters ${valueText(block, 'FROM')} to ${valueText(block, 'TO')} of ${valueText(block, 'TEXT')}`,
+            pseudoGen.ORDER_COMPOUND];
+    };
+
+    // REPLACE TEXT (value)
+    pseudoGen.forBlock['text_replace_all'] = function(block) {
+        return [`${valueText(block, 'TEXT')} with every ${valueText(block, 'FIND')} ` +
+            `replaced by ${valueText(block, 'REPLACEMENT')}`, pseudoGen.ORDER_COMPOUND];
+    };
+
+    // FORMAT NUMBER AS TEXT (value)
+    pseudoGen.forBlock['number_to_text'] = function(block) {
+        const decimals = parseInt(block.getFieldValue('DECIMALS'), 10) || 0;
+        return [`${valueText(block, 'NUM')} with ${decimals} decimal${decimals === 1 ? '' : 's'}`,
+            pseudoGen.ORDER_COMPOUND];
+    };
+
+    // WORKFLOW INPUT (value)
+    pseudoGen.forBlock['workflow_input'] = function(block) {
+        return [`input ${variableText(block, 'NAME')}`, pseudoGen.ORDER_COMPOUND];
+    };
+
+    // CREATE LIST (value)
+    pseudoGen.forBlock['list_create'] = function(block) {
+        const items = [];
+        for (let i = 0; i < block.itemCount_; i++) {
+            items.push(valueText(block, 'ADD' + i));
+        }
+        if (items.length === 0) {
+            return ['an empty list', pseudoGen.ORDER_COMPOUND];
+        }
+        return [`a list of ${items.join(', ')}`, pseudoGen.ORDER_COMPOUND];
+    };
+
+    // ADD TO LIST (statement)
+    pseudoGen.forBlock['list_append'] = function(block) {
+        return `Add ${valueText(block, 'ITEM')} to the end of ${valueText(block, 'LIST')}\n`;
+    };
+
+    // REMOVE FROM LIST (statement)
+    pseudoGen.forBlock['list_remove'] = function(block) {
+        return `Remove item #${valueText(block, 'INDEX')} from ${valueText(block, 'LIST')}\n`;
+    };
+
+    // GET LIST ITEM (value)
+    pseudoGen.forBlock['list_get'] = function(block) {
+        return [`item #${valueText(block, 'INDEX')} of ${valueText(block, 'LIST')}`, pseudoGen.ORDER_COMPOUND];
+    };
+
+    // LIST LENGTH (value)
+    pseudoGen.forBlock['list_length'] = function(block) {
+        return [`the number of items in ${valueText(block, 'LIST')}`, pseudoGen.ORDER_COMPOUND];
+    };
+
+    // CREATE RECORD (value)
+    pseudoGen.forBlock['record_create'] = function(block) {
+        return ['an empty record', pseudoGen.ORDER_COMPOUND];
+    };
+
+    // SET RECORD FIELD (statement)
+    pseudoGen.forBlock['record_set'] = function(block) {
+        const key = JSON.stringify(block.getFieldValue('KEY') || '');
+        return `Set field ${key} of ${valueText(block, 'RECORD')} to ${valueText(block, 'VALUE', pseudoGen.ORDER_NONE)}\n`;
+    };
+
+    // GET RECORD FIELD (value)
+    pseudoGen.forBlock['record_get'] = function(block) {
+        const key = JSON.stringify(block.getFieldValue('KEY') || '');
+        return [`field ${key} of ${valueText(block, 'RECORD')}`, pseudoGen.ORDER_COMPOUND];
+    };
+
+    // WAIT SECONDS (statement)
+    pseudoGen.forBlock['wait_seconds'] = function(block) {
+        return `Wait ${valueText(block, 'SECONDS')} seconds\n`;
+    };
+
+    // ASK USER (value)
+    pseudoGen.forBlock['ask_user'] = function(block) {
+        return [`the answer to ${valueText(block, 'QUESTION')}`, pseudoGen.ORDER_COMPOUND];
+    };
+
+    Blockly.Pseudocode = pseudoGen;
+
+    console.log('✅ Blockly.Pseudocode generator registered');
+}
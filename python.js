@@ -0,0 +1,510 @@
+/**
+ * python.js
+ * Python Code Generation for Custom Blocks
+ *
+ * Registers generators on `Blockly.Python.forBlock['block_type']` for every
+ * custom block. Unlike the JavaScript generator, the output is meant to be
+ * copied and reused: the workflow becomes a plain `run_workflow()` function
+ * with ordinary Python variables and `print()` calls, and sub-workflows become
+ * nested functions.
+ *
+ * It prints what Run prints: PRINT OUTPUT renders values like Run (true,
+ * whole numbers without ".0", lists as [1, "a"]), ROUND rounds halves up and
+ * the remainder takes the sign of the dividend, as in JavaScript. Text built
+ * by JOIN and the other text blocks still uses Python's str(), so a boolean
+ * or a list inside it reads True or ['a'].
+ */
+
+console.log('🔄 Loading Blockly Python generators...');
+
+if (typeof Blockly === 'undefined' || !Blockly.Python) {
+    console.error('❌ Blockly or Blockly.Python is not available. Python generators not registered.');
+} else {
+    const pyGen = Blockly.Python;
+
+    // Helper: Python string literal. A JSON string is also a valid Python
+    // string, and unlike `quote_` it keeps newlines instead of continuing the line.
+    function pyString(str) {
+        return JSON.stringify(String(str));
+    }
+
+    // Identifiers of the current sub-workflow's local variables, by variable
+    // ID, while its body is generated (see subworkflowFunctionsCode)
+    let localVariables = null;
+
+    // Helper: Python identifier for a variable field (resolved through its ID)
+    function pyVariable(block, fieldName) {
+        const id = block.getFieldValue(fieldName);
+        if (localVariables && localVariables.has(id)) {
+            return localVariables.get(id);
+        }
+        return pyGen.nameDB_.getName(id, Blockly.Names.NameType.VARIABLE);
+    }
+
+    // Helper: runtime function rendering a printed value the way Run does (see
+    // workflowFormatValue() in generator.js)
+    function provideFormatValue() {
+        pyGen.definitions_['import_json'] = 'import json';
+        pyGen.definitions_['import_math'] = 'import math';
+        return pyGen.provideFunction_('workflow_text', `
+def ${pyGen.FUNCTION_NAME_PLACEHOLDER_}(value):
+  seen = []
+  def render(item, nested):
+    if isinstance(item, str):
+      return json.dumps(item, ensure_ascii=False) if nested else item
+    if isinstance(item, bool):
+      return 'true' if item else 'false'
+    if item is None:
+      return 'undefined'
+    if isinstance(item, float):
+      if math.isnan(item):
+        return 'NaN'
+      if math.isinf(item):
+        return 'Infinity' if item > 0 else '-Infinity'
+      return str(int(item)) if item.is_integer() and abs(item) < 1e21 else repr(item)
+    if not isinstance(item, (list, dict)):
+      return str(item)
+    if any(other is item for other in seen):
+      return '[circular]'
+    seen.append(item)
+    if isinstance(item, list):
+      text = '[' + ', '.join(render(element, True) for element in item) + ']'
+    else:
+      text = '{' + ', '.join(json.dumps(str(key), ensure_ascii=False) + ': ' + render(item[key], True) for key in item) + '}'
+    seen.pop()
+    return text
+  return render(value, False)
+`);
+    }
+
+    // Helper: indented body of a statement input, or `pass` when it is empty
+    function pyBranch(block, inputName) {
+        return pyGen.statementToCode(block, inputName) || pyGen.INDENT + 'pass\n';
+    }
+
+    // Python operator for each COMPARISON_OPERATORS value
+    const COMPARISON_CODE = {
+        GREATER: '>',
+        LESS: '<',
+        GREATER_EQUAL: '>=',
+        LESS_EQUAL: '<=',
+        EQUAL: '==',
+        NOT_EQUAL: '!='
+    };
+
+    function comparisonCode(block, leftName, rightName) {
+        const op = COMPARISON_CODE[block.getFieldValue('OPERATOR')] || COMPARISON_CODE.GREATER;
+        const left = pyGen.valueToCode(block, leftName, pyGen.ORDER_RELATIONAL) || '0';
+        const right = pyGen.valueToCode(block, rightName, pyGen.ORDER_RELATIONAL) || '0';
+        return [`${left} ${op} ${right}`, pyGen.ORDER_RELATIONAL];
+    }
+
+    // Helper: condition expression for IF / WHILE (a comparison, or "is true")
+    function conditionCode(block) {
+        if (block.getFieldValue('OPERATOR') === 'IS_TRUE') {
+            return pyGen.valueToCode(block, 'CONDITION_LEFT', pyGen.ORDER_NONE) || 'False';
+        }
+        return comparisonCode(block, 'CONDITION_LEFT', 'CONDITION_RIGHT')[0];
+    }
+
+    // Helper: value of a NUM1 / NUM2 block combined with a binary operator
+    function binaryCode(block, operator, order) {
+        const a = pyGen.valueToCode(block, 'NUM1', order) || '0';
+        const b = pyGen.valueToCode(block, 'NUM2', order) || '0';
+        return [`${a} ${operator} ${b}`, order];
+    }
+
+    // Helper: Python literal for a workflow input's default value (the type's
+    // empty value when the default is invalid)
+    function inputDefaultCode(input) {
+        let value;
+        try {
+            value = parseWorkflowInputValue(input.type, input.defaultValue);
+        } catch (error) {
+            value = parseWorkflowInputValue(input.type, input.type === 'TEXT' ? '' : '0');
+        }
+        if (typeof value === 'boolean') {
+            return value ? 'True' : 'False';
+        }
+        return typeof value === 'string' ? pyString(value) : String(value);
+    }
+
+    // Helper: nested `def` for every DEFINE SUB-WORKFLOW block. As in the
+    // JavaScript generator, a sub-workflow reads the workflow's variables and
+    // keeps its own assignments local: each variable it assigns is a local
+    // copy (`total_local = total`), since Python would otherwise treat the
+    // name as unassigned inside the function.
+    function subworkflowFunctionsCode(ws) {
+        let code = '';
+        getSubworkflowDefinitions(ws).filter(def => def.isEnabled()).forEach(def => {
+            const funcName = pyGen.nameDB_.getName(def.getFieldValue('NAME'), Blockly.Names.NameType.PROCEDURE);
+            const args = parseSubworkflowParams(def.getFieldValue('PARAMS'))
+                .map(param => pyGen.nameDB_.getName(param, Blockly.Names.NameType.VARIABLE));
+
+            let copies = '';
+            localVariables = new Map();
+            getSubworkflowLocalVariables(def).forEach((name, id) => {
+                const local = pyGen.nameDB_.getDistinctName(name + '_local', Blockly.Names.NameType.VARIABLE);
+                copies += pyGen.INDENT + `${local} = ${pyGen.nameDB_.getName(id, Blockly.Names.NameType.VARIABLE)}\n`;
+                localVariables.set(id, local);
+            });
+            let stmts;
+            let ret;
+            try {
+                stmts = pyGen.statementToCode(def, 'STACK');
+                ret = pyGen.valueToCode(def, 'RETURN', pyGen.ORDER_NONE);
+            } finally {
+                localVariables = null;
+            }
+
+            code += `def ${funcName}(${args.join(', ')}):\n`;
+            code += copies + stmts;
+            if (ret) {
+                code += pyGen.INDENT + `return ${ret}\n`;
+            } else if (!copies && !stmts) {
+                code += pyGen.INDENT + 'pass\n';
+            }
+            code += '\n';
+        });
+        return code ? pyGen.prefixLines(code, pyGen.INDENT) : '';
+    }
+
+    // Helper: call expression for CALL SUB-WORKFLOW blocks
+    function subworkflowCallCode(block) {
+        const name = block.getFieldValue('NAME') || 'unknown_subworkflow';
+        const definition = findSubworkflowDefinition(block.workspace, name);
+        const params = definition ? parseSubworkflowParams(definition.getFieldValue('PARAMS')) : [];
+        const funcName = pyGen.nameDB_.getName(name, Blockly.Names.NameType.PROCEDURE);
+        const args = params.map((param, i) => pyGen.valueToCode(block, 'ARG' + i, pyGen.ORDER_NONE) || 'None');
+        return `${funcName}(${args.join(', ')})`;
+    }
+
+    // START WORKFLOW (statement)
+    pyGen.forBlock['start_workflow'] = function(block) {
+        // Workflow variables are locals of run_workflow(), so drop the
+        // module-level `name = None` declarations added by init()
+        delete pyGen.definitions_['variables'];
+
+        // Workflow inputs become keyword arguments with their defaults
+        const params = getWorkflowInputs(block.workspace).map(input => {
+            const name = pyGen.nameDB_.getName(input.name, Blockly.Names.NameType.VARIABLE);
+            return `${name}=${inputDefaultCode(input)}`;
+        });
+
+        // Variables sub-workflows copy exist before the workflow assigns them
+        const inputNames = getWorkflowInputs(block.workspace).map(input => input.name);
+        const copied = new Set();
+        getSubworkflowDefinitions(block.workspace).filter(def => def.isEnabled()).forEach(def => {
+            getSubworkflowLocalVariables(def).forEach((name, id) => {
+                if (!inputNames.includes(name)) {
+                    copied.add(pyGen.nameDB_.getName(id, Blockly.Names.NameType.VARIABLE));
+                }
+            });
+        });
+        const declarations = copied.size > 0
+            ? [...copied].map(name => pyGen.INDENT + `${name} = None\n`).join('') + '\n'
+            : '';
+
+        const stmts = pyGen.statementToCode(block, 'DO');
+        const body = declarations + subworkflowFunctionsCode(block.workspace) + (stmts || pyGen.INDENT + 'pass  # empty workflow\n');
+        return `# ===== WORKFLOW START =====\ndef run_workflow(${params.join(', ')}):\n${body}\n\nif __name__ == '__main__':\n${pyGen.INDENT}run_workflow()\n`;
+    };
+
+    // SET VARIABLE (statement)
+    pyGen.forBlock['set_variable'] = function(block) {
+        const value = pyGen.valueToCode(block, 'VALUE', pyGen.ORDER_NONE) || '0';
+        return `${pyVariable(block, 'VAR_NAME')} = ${value}\n`;
+    };
+
+    // ADD NUMBERS (value)
+    pyGen.forBlock['add_numbers'] = function(block) {
+        return binaryCode(block, '+', pyGen.ORDER_ADDITIVE);
+    };
+
+    // MULTIPLY NUMBERS (value)
+    pyGen.forBlock['multiply_numbers'] = function(block) {
+        return binaryCode(block, '*', pyGen.ORDER_MULTIPLICATIVE);
+    };
+
+    // SUBTRACT NUMBERS (value)
+    pyGen.forBlock['subtract_numbers'] = function(block) {
+        return binaryCode(block, '-', pyGen.ORDER_ADDITIVE);
+    };
+
+    // DIVIDE NUMBERS (value) - Python raises ZeroDivisionError by itself
+    pyGen.forBlock['divide_numbers'] = function(block) {
+        return binaryCode(block, '/', pyGen.ORDER_MULTIPLICATIVE);
+    };
+
+    // MODULO NUMBERS (value) - math.fmod, whose result has the dividend's sign
+    // like JavaScript's %, unlike Python's
+    pyGen.forBlock['modulo_numbers'] = function(block) {
+        const a = pyGen.valueToCode(block, 'NUM1', pyGen.ORDER_NONE) || '0';
+        const b = pyGen.valueToCode(block, 'NUM2', pyGen.ORDER_NONE) || '0';
+        pyGen.definitions_['import_math'] = 'import math';
+        const remainder = pyGen.provideFunction_('workflow_remainder', `
+def ${pyGen.FUNCTION_NAME_PLACEHOLDER_}(a, b):
+  result = math.fmod(a, b)
+  return int(result) if isinstance(a, int) and isinstance(b, int) else result
+`);
+        return [`${remainder}(${a}, ${b})`, pyGen.ORDER_FUNCTION_CALL];
+    };
+
+    // POWER NUMBERS (value)
+    pyGen.forBlock['power_numbers'] = function(block) {
+        return binaryCode(block, '**', pyGen.ORDER_EXPONENTIATION);
+    };
+
+    // MIN / MAX (value)
+    pyGen.forBlock['min_max_numbers'] = function(block) {
+        const fn = block.getFieldValue('MODE') === 'MAX' ? 'max' : 'min';
+        const a = pyGen.valueToCode(block, 'NUM1', pyGen.ORDER_NONE) || '0';
+        const b = pyGen.valueToCode(block, 'NUM2', pyGen.ORDER_NONE) || '0';
+        return [`${fn}(${a}, ${b})`, pyGen.ORDER_FUNCTION_CALL];
+    };
+
+    // ROUND / FLOOR / CEIL (value)
+    pyGen.forBlock['round_number'] = function(block) {
+        const mode = block.getFieldValue('MODE');
+        pyGen.definitions_['import_math'] = 'import math';
+        if (mode === 'FLOOR' || mode === 'CEIL') {
+            const num = pyGen.valueToCode(block, 'NUM', pyGen.ORDER_NONE) || '0';
+            return [`math.${mode.toLowerCase()}(${num})`, pyGen.ORDER_FUNCTION_CALL];
+        }
+        // Halves round up, as with Math.round (Python's round() rounds them to even)
+        const num = pyGen.valueToCode(block, 'NUM', pyGen.ORDER_ADDITIVE) || '0';
+        return [`math.floor(${num} + 0.5)`, pyGen.ORDER_FUNCTION_CALL];
+    };
+
+    // IF CONDITION (statement)
+    pyGen.forBlock['if_condition'] = function(block) {
+        let code = `if ${conditionCode(block)}:\n`;
+        code += pyBranch(block, 'DO_TRUE');
+        const branchFalse = pyGen.statementToCode(block, 'DO_FALSE');
+        if (branchFalse) {
+            code += `else:\n${branchFalse}`;
+        }
+        return code;
+    };
+
+    // PRINT OUTPUT (statement)
+    pyGen.forBlock['print_output'] = function(block) {
+        let text = pyGen.valueToCode(block, 'TEXT', pyGen.ORDER_NONE) || '""';
+        // Text literals print as they are; anything else is rendered like Run
+        if (!/^"(?:[^"\\]|\\.)*"$/.test(text)) {
+            text = `${provideFormatValue()}(${text})`;
+        }
+        const level = block.getFieldValue('LEVEL');
+        if (level === 'WARN' || level === 'ERROR') {
+            // Warnings and errors go to stderr, like console.warn / console.error
+            pyGen.definitions_['import_sys'] = 'import sys';
+            return `print(${text}, file=sys.stderr)\n`;
+        }
+        return `print(${text})\n`;
+    };
+
+    // REPEAT N TIMES (statement)
+    pyGen.forBlock['repeat_times'] = function(block) {
+        const times = pyGen.valueToCode(block, 'TIMES', pyGen.ORDER_NONE) || '0';
+        const counter = pyGen.nameDB_.getDistinctName('count', Blockly.Names.NameType.VARIABLE);
+        return `for ${counter} in range(int(${times})):\n${pyBranch(block, 'DO')}`;
+    };
+
+    // WHILE CONDITION (statement)
+    pyGen.forBlock['while_condition'] = function(block) {
+        return `while ${conditionCode(block)}:\n${pyBranch(block, 'DO')}`;
+    };
+
+    // FOR EACH ITEM (statement) - strings iterate over their characters
+    pyGen.forBlock['for_each'] = function(block) {
+        const list = pyGen.valueToCode(block, 'LIST', pyGen.ORDER_RELATIONAL) || '[]';
+        return `for ${pyVariable(block, 'VAR')} in ${list}:\n${pyBranch(block, 'DO')}`;
+    };
+
+    // COMPARE VALUES (value)
+    pyGen.forBlock['compare_values'] = function(block) {
+        return comparisonCode(block, 'LEFT', 'RIGHT');
+    };
+
+    // AND / OR (value)
+    pyGen.forBlock['boolean_and_or'] = function(block) {
+        const isAnd = block.getFieldValue('OPERATOR') !== 'OR';
+        const order = isAnd ? pyGen.ORDER_LOGICAL_AND : pyGen.ORDER_LOGICAL_OR;
+        const a = pyGen.valueToCode(block, 'LEFT', order) || 'False';
+        const b = pyGen.valueToCode(block, 'RIGHT', order) || 'False';
+        return [`${a} ${isAnd ? 'and' : 'or'} ${b}`, order];
+    };
+
+    // NOT (value)
+    pyGen.forBlock['boolean_not'] = function(block) {
+        const value = pyGen.valueToCode(block, 'VALUE', pyGen.ORDER_LOGICAL_NOT) || 'False';
+        return [`not ${value}`, pyGen.ORDER_LOGICAL_NOT];
+    };
+
+    // DEFINE SUB-WORKFLOW - emitted by start_workflow, not at the top level
+    pyGen.forBlock['define_subworkflow'] = function(block) {
+        return null;
+    };
+
+    // CALL SUB-WORKFLOW (statement)
+    pyGen.forBlock['call_subworkflow'] = function(block) {
+        return subworkflowCallCode(block) + '\n';
+    };
+
+    // CALL SUB-WORKFLOW (value)
+    pyGen.forBlock['call_subworkflow_value'] = function(block) {
+        return [subworkflowCallCode(block), pyGen.ORDER_FUNCTION_CALL];
+    };
+
+    // MATH NUMBER (value)
+    pyGen.forBlock['math_number'] = function(block) {
+        const num = Number(block.getFieldValue('NUM')) || 0;
+        return [String(num), num < 0 ? pyGen.ORDER_UNARY_SIGN : pyGen.ORDER_ATOMIC];
+    };
+
+    // TEXT BLOCK (value)
+    pyGen.forBlock['text_block'] = function(block) {
+        return [pyString(block.getFieldValue('TEXT') || ''), pyGen.ORDER_ATOMIC];
+    };
+
+    // GET VARIABLE (value)
+    pyGen.forBlock['variables_get'] = function(block) {
+        return [pyVariable(block, 'VAR'), pyGen.ORDER_ATOMIC];
+    };
+
+    // JOIN TEXT (value)
+    pyGen.forBlock['text_concat'] = function(block) {
+        const items = [];
+        for (let i = 0; i < block.itemCount_; i++) {
+            items.push(`str(${pyGen.valueToCode(block, 'ADD' + i, pyGen.ORDER_NONE) || '""'})`);
+        }
+        if (items.length === 0) {
+            return ['""', pyGen.ORDER_ATOMIC];
+        }
+        return [items.join(' + '), items.length > 1 ? pyGen.ORDER_ADDITIVE : pyGen.ORDER_FUNCTION_CALL];
+    };
+
+    // Helper: value of a text input as a string (`str(...)`), "" when empty
+    function textCode(block, inputName) {
+        return `str(${pyGen.valueToCode(block, inputName, pyGen.ORDER_NONE) || '""'})`;
+    }
+
+    // TEXT LENGTH (value)
+    pyGen.forBlock['text_char_count'] = function(block) {
+        return [`len(${textCode(block, 'TEXT')})`, pyGen.ORDER_FUNCTION_CALL];
+    };
+
+    // UPPER / LOWER CASE (value)
+    pyGen.forBlock['text_case'] = function(block) {
+        const method = block.getFieldValue('CASE') === 'LOWER' ? 'lower' : 'upper';
+        return [`${textCode(block, 'TEXT')}.${method}()`, pyGen.ORDER_FUNCTION_CALL];
+    };
+
+    // TEXT CONTAINS (value)
+    pyGen.forBlock['text_contains'] = function(block) {
+        return [`${textCode(block, 'SEARCH')} in ${textCode(block, 'TEXT')}`, pyGen.ORDER_RELATIONAL];
+    };
+
+    // SUBSTRING (value) - positions count from 1 and include both ends
+    pyGen.forBlock['text_substring'] = function(block) {
+        const text = pyGen.valueToCode(block, 'TEXT', pyGen.ORDER_NONE) || '""';
+        const from = pyGen.valueToCode(block, 'FROM', pyGen.ORDER_NONE) || '1';
+        const to = pyGen.valueToCode(block, 'TO', pyGen.ORDER_NONE) || '1';
+        const substring = pyGen.provideFunction_('workflow_substring', `
+def ${pyGen.FUNCTION_NAME_PLACEHOLDER_}(text, start, end):
+  return str(text)[max(int(start) - 1, 0):max(int(end), 0)]
+`);
+        return [`${substring}(${text}, ${from}, ${to})`, pyGen.ORDER_FUNCTION_CALL];
+    };
+
+    // REPLACE TEXT (value)
+    pyGen.forBlock['text_replace_all'] = function(block) {
+        const code = `${textCode(block, 'TEXT')}.replace(${textCode(block, 'FIND')}, ${textCode(block, 'REPLACEMENT')})`;
+        return [code, pyGen.ORDER_FUNCTION_CALL];
+    };
+
+    // FORMAT NUMBER AS TEXT (value)
+    pyGen.forBlock['number_to_text'] = function(block) {
+        const num = pyGen.valueToCode(block, 'NUM', pyGen.ORDER_NONE) || '0';
+        const decimals = Math.min(Math.max(parseInt(block.getFieldValue('DECIMALS'), 10) || 0, 0), 20);
+        return [`format(${num}, ${pyString(`.${decimals}f`)})`, pyGen.ORDER_FUNCTION_CALL];
+    };
+
+    // WORKFLOW INPUT (value) - a keyword argument of run_workflow()
+    pyGen.forBlock['workflow_input'] = function(block) {
+        return [pyVariable(block, 'NAME'), pyGen.ORDER_ATOMIC];
+    };
+
+    // CREATE LIST (value)
+    pyGen.forBlock['list_create'] = function(block) {
+        const items = [];
+        for (let i = 0; i < block.itemCount_; i++) {
+            items.push(pyGen.valueToCode(block, 'ADD' + i, pyGen.ORDER_NONE) || 'None');
+        }
+        return [`[${items.join(', ')}]`, pyGen.ORDER_ATOMIC];
+    };
+
+    // ADD TO LIST (statement)
+    pyGen.forBlock['list_append'] = function(block) {
+        const list = pyGen.valueToCode(block, 'LIST', pyGen.ORDER_MEMBER) || '[]';
+        const item = pyGen.valueToCode(block, 'ITEM', pyGen.ORDER_NONE) || 'None';
+        return `${list}.append(${item})\n`;
+    };
+
+    // Helper: zero-based index expression for a 1-based list position
+    function listIndexCode(block) {
+        const position = pyGen.valueToCode(block, 'INDEX', pyGen.ORDER_NONE) || '1';
+        return `int(${position}) - 1`;
+    }
+
+    // REMOVE FROM LIST (statement)
+    pyGen.forBlock['list_remove'] = function(block) {
+        const list = pyGen.valueToCode(block, 'LIST', pyGen.ORDER_MEMBER) || '[]';
+        return `del ${list}[${listIndexCode(block)}]\n`;
+    };
+
+    // GET LIST ITEM (value)
+    pyGen.forBlock['list_get'] = function(block) {
+        const list = pyGen.valueToCode(block, 'LIST', pyGen.ORDER_MEMBER) || '[]';
+        return [`${list}[${listIndexCode(block)}]`, pyGen.ORDER_MEMBER];
+    };
+
+    // LIST LENGTH (value)
+    pyGen.forBlock['list_length'] = function(block) {
+        const list = pyGen.valueToCode(block, 'LIST', pyGen.ORDER_NONE) || '[]';
+        return [`len(${list})`, pyGen.ORDER_FUNCTION_CALL];
+    };
+
+    // CREATE RECORD (value)
+    pyGen.forBlock['record_create'] = function(block) {
+        return ['{}', pyGen.ORDER_ATOMIC];
+    };
+
+    // SET RECORD FIELD (statement)
+    pyGen.forBlock['record_set'] = function(block) {
+        const record = pyGen.valueToCode(block, 'RECORD', pyGen.ORDER_MEMBER) || '{}';
+        const value = pyGen.valueToCode(block, 'VALUE', pyGen.ORDER_NONE) || 'None';
+        return `${record}[${pyString(block.getFieldValue('KEY') || '')}] = ${value}\n`;
+    };
+
+    // GET RECORD FIELD (value) - get() gives None for a missing field
+    pyGen.forBlock['record_get'] = function(block) {
+        const record = pyGen.valueToCode(block, 'RECORD', pyGen.ORDER_MEMBER) || '{}';
+        return [`${record}.get(${pyString(block.getFieldValue('KEY') || '')})`, pyGen.ORDER_FUNCTION_CALL];
+    };
+
+    // WAIT SECONDS (statement)
+    pyGen.forBlock['wait_seconds'] = function(block) {
+        const seconds = pyGen.valueToCode(block, 'SECONDS', pyGen.ORDER_NONE) || '0';
+        pyGen.definitions_['import_time'] = 'import time';
+        return `time.sleep(max(0, ${seconds}))\n`;
+    };
+
+    // ASK USER (value) - the question is asked on the terminal
+    pyGen.forBlock['ask_user'] = function(block) {
+        const question = pyGen.valueToCode(block, 'QUESTION', pyGen.ORDER_NONE) || '""';
+        return [`input(str(${question}) + " ")`, pyGen.ORDER_FUNCTION_CALL];
+    };
+
+    console.log('✅ Blockly.Python generators registered');
+}
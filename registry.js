@@ -0,0 +1,215 @@
+/**
+ * registry.js
+ * Block Registry for Workflow Builder
+ *
+ * Handles:
+ * - registerBlock(): installs a block's definition, its generators and its
+ *   place in the toolbox in one call, for the built-in blocks (blocks.js),
+ *   team-defined blocks (customblocks.js) and third-party block packs
+ * - Refusing block types that are already registered or that Blockly itself
+ *   defines, unless the registration says it overrides the built-in block;
+ *   unregistering an override brings Blockly's block back
+ * - Building the categorized JSON toolbox from the registered blocks
+ *
+ * A block pack is a script loaded after the page's scripts (a <script> tag
+ * before app.js, or `--pack <file>` on the command line) that calls
+ * registerBlock() for each of its blocks:
+ *
+ *   registerBlock({
+ *       type: 'acme_shout',
+ *       category: 'text',
+ *       definition: { message0: 'SHOUT %1', args0: [{ type: 'input_value', name: 'TEXT' }],
+ *           output: 'String', colour: BLOCK_COLORS.text },
+ *       generator: block => [`String(${Blockly.JavaScript.valueToCode(block, 'TEXT',
+ *           Blockly.JavaScript.ORDER_MEMBER) || '""'}).toUpperCase()`, Blockly.JavaScript.ORDER_FUNCTION_CALL]
+ *   });
+ */
+
+console.log('🔄 Loading block registry...');
+
+// ================================
+// State
+// ================================
+
+const BLOCK_TYPE_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+const toolboxCategories = new Map();   // Toolbox categories, by id, in toolbox order
+const registeredBlocks = new Map();    // Registrations, by block type, in registration order
+const replacedBuiltins = new Map();    // Blockly's own blocks replaced by overrides, by block type
+const blockRegistryListeners = [];     // Called after a block is registered or removed
+
+// ================================
+// Toolbox Categories
+// ================================
+
+/**
+ * Adds a toolbox category that registered blocks can be placed in. Categories
+ * appear in the order they are added, and only when they hold a block.
+ * `colour` is a hue (see BLOCK_COLORS); leave it out for a neutral category.
+ */
+function registerToolboxCategory({ id, name, colour = null }) {
+    if (toolboxCategories.has(id)) {
+        throw new Error(`Toolbox category "${id}" is already registered`);
+    }
+    toolboxCategories.set(id, { id: id, name: name, colour: colour });
+}
+
+// ================================
+// Blocks
+// ================================
+
+/**
+ * Installs a block into Blockly.Blocks and the generators, without checking
+ * or registering it; the Block Factory previews blocks this way. See
+ * registerBlock() for the options.
+ */
+function defineBlock({ type, definition, generator, python, pseudocode }) {
+    if (typeof definition.init === 'function') {
+        Blockly.Blocks[type] = definition;
+    } else {
+        // A JSON definition, as in Blockly.defineBlocksWithJsonArray()
+        Blockly.Blocks[type] = {
+            init: function() {
+                this.jsonInit(definition);
+            }
+        };
+    }
+    // A generator left out stays as it is: generator scripts (generator.js,
+    // python.js, pseudocode.js) may install it before or after this runs
+    const generators = { generator, python, pseudocode };
+    codeGenerators().forEach(([codeGenerator, key]) => {
+        if (generators[key]) {
+            setBlockGenerator(codeGenerator, type, generators[key]);
+        }
+    });
+}
+
+function undefineBlock(type) {
+    delete Blockly.Blocks[type];
+    codeGenerators().forEach(([codeGenerator]) => setBlockGenerator(codeGenerator, type, null));
+}
+
+// The loaded code generators, with the registerBlock() option holding each one's generator
+function codeGenerators() {
+    return [[Blockly.JavaScript, 'generator'], [Blockly.Python, 'python'], [Blockly.Pseudocode, 'pseudocode']]
+        .filter(([codeGenerator]) => codeGenerator);
+}
+
+// Sets (or, without `generator`, removes) a block's entry in Blockly's `forBlock` table
+function setBlockGenerator(codeGenerator, type, generator) {
+    if (generator) {
+        codeGenerator.forBlock[type] = generator;
+    } else {
+        delete codeGenerator.forBlock[type];
+    }
+}
+
+/**
+ * Registers a block:
+ * - `type`: the block type saved in workflow files
+ * - `definition`: a block object with `init()` (and any mixin methods), or a
+ *   Blockly JSON definition
+ * - `generator`: its JavaScript generator. Leave it out only when a generator
+ *   script defines it (the built-in blocks' are in generator.js), whether
+ *   that script runs before or after the registration
+ * - `python`, `pseudocode`: its Python and plain-English generators, if any
+ * - `category`: the id of the toolbox category listing it; leave it out to
+ *   keep the block out of the toolbox
+ * - `toolbox`: extra properties of its toolbox entry, e.g. `inputs` with the
+ *   blocks it comes with
+ * - `overridesBuiltin`: set when the type deliberately replaces a block
+ *   Blockly defines itself; unregisterBlock() restores Blockly's block and
+ *   the generators it had when the override was registered
+ * Throws when the type is taken or the category unknown.
+ */
+function registerBlock(options) {
+    const { type, definition, category = null, overridesBuiltin = false } = options;
+    if (typeof type !== 'string' || !BLOCK_TYPE_PATTERN.test(type)) {
+        throw new Error(`Block type "${type}" must be letters, digits or _, starting with a letter`);
+    }
+    if (registeredBlocks.has(type)) {
+        throw new Error(`Block type "${type}" is already registered`);
+    }
+    if (Blockly.Blocks[type] && !overridesBuiltin) {
+        throw new Error(`Block type "${type}" is already defined by Blockly; set overridesBuiltin to replace it`);
+    }
+    if (!definition || typeof definition !== 'object') {
+        throw new Error(`Block type "${type}" has no definition`);
+    }
+    if (category !== null && !toolboxCategories.has(category)) {
+        throw new Error(`Block type "${type}" is in an unknown toolbox category "${category}"`);
+    }
+
+    if (Blockly.Blocks[type]) {
+        replacedBuiltins.set(type, {
+            definition: Blockly.Blocks[type],
+            generators: codeGenerators().map(([codeGenerator]) => [codeGenerator, codeGenerator.forBlock[type]])
+        });
+    }
+    defineBlock(options);
+    registeredBlocks.set(type, { type: type, category: category, toolbox: options.toolbox || {} });
+    notifyBlockRegistryListeners();
+}
+
+// Removes a registered block with its generators, putting back the Blockly
+// block it overrode; returns false when `type` is not registered
+function unregisterBlock(type) {
+    if (!registeredBlocks.has(type)) {
+        return false;
+    }
+    undefineBlock(type);
+    const builtin = replacedBuiltins.get(type);
+    if (builtin) {
+        Blockly.Blocks[type] = builtin.definition;
+        builtin.generators.forEach(([codeGenerator, generator]) => setBlockGenerator(codeGenerator, type, generator));
+        replacedBuiltins.delete(type);
+    }
+    registeredBlocks.delete(type);
+    notifyBlockRegistryListeners();
+    return true;
+}
+
+function isRegisteredBlockType(type) {
+    return registeredBlocks.has(type);
+}
+
+// Registered block types, in registration order
+function getRegisteredBlockTypes() {
+    return [...registeredBlocks.keys()];
+}
+
+function onBlockRegistryChanged(listener) {
+    blockRegistryListeners.push(listener);
+}
+
+function notifyBlockRegistryListeners() {
+    blockRegistryListeners.forEach(listener => listener());
+}
+
+// ================================
+// Toolbox
+// ================================
+
+/**
+ * The JSON toolbox for Blockly.inject() / workspace.updateToolbox(): every
+ * category holding a registered block, with its blocks in registration order.
+ */
+function buildToolbox() {
+    const contents = [];
+    toolboxCategories.forEach(category => {
+        const blocks = [...registeredBlocks.values()]
+            .filter(block => block.category === category.id)
+            .map(block => Object.assign({ kind: 'block', type: block.type }, JSON.parse(JSON.stringify(block.toolbox))));
+        if (blocks.length === 0) {
+            return;
+        }
+        const item = { kind: 'category', name: category.name, contents: blocks };
+        if (category.colour !== null) {
+            item.colour = String(category.colour);
+        }
+        contents.push(item);
+    });
+    return { kind: 'categoryToolbox', contents: contents };
+}
+
+console.log('✅ Block registry loaded');
@@ -0,0 +1,113 @@
+/**
+ * share.js
+ * Shareable Workflow Links for Workflow Builder
+ *
+ * Handles:
+ * - Encoding the workspace into a link's hash (`#workflow=<version>.<data>`):
+ *   the workflow document of serializeWorkspace(), compressed and base64url-encoded
+ * - Decoding such a hash back into a workflow document. Every link version
+ *   keeps its decoder, so old links still open after the encoding changes; the
+ *   document inside carries its own file version for loadWorkflowDocument()
+ * - Flagging links too long to paste safely
+ */
+
+console.log('🔄 Loading share links...');
+
+// ================================
+// Configuration
+// ================================
+
+const SHARE_HASH_PREFIX = '#workflow=';
+const SHARE_LINK_VERSION = 1;         // Version of the links created now
+const SHARE_LINK_WARN_LENGTH = 8000;  // Chat apps, mail clients and servers may cut longer links
+
+// How each link version turns the document's JSON bytes into the link's data and back
+const SHARE_LINK_ENCODINGS = {
+    // Uncompressed, for browsers without CompressionStream
+    0: {
+        encode: bytes => Promise.resolve(bytes),
+        decode: bytes => Promise.resolve(bytes)
+    },
+    // deflate-raw compressed
+    1: {
+        encode: bytes => transformBytes(bytes, new CompressionStream('deflate-raw')),
+        decode: bytes => transformBytes(bytes, new DecompressionStream('deflate-raw'))
+    }
+};
+
+// ================================
+// Encoding Helpers
+// ================================
+
+// Pipes `bytes` through a CompressionStream / DecompressionStream
+function transformBytes(bytes, stream) {
+    return new Response(new Blob([bytes]).stream().pipeThrough(stream))
+        .arrayBuffer()
+        .then(buffer => new Uint8Array(buffer));
+}
+
+// Base64 with the URL-safe alphabet and no padding
+function bytesToBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, ch => ch.charCodeAt(0));
+}
+
+// ================================
+// Share Links
+// ================================
+
+/**
+ * Resolves to a link to `baseUrl` (its hash replaced) that opens the
+ * workspace's current workflow.
+ */
+function createShareLink(ws, baseUrl) {
+    const version = typeof CompressionStream === 'function' ? SHARE_LINK_VERSION : 0;
+    const bytes = new TextEncoder().encode(JSON.stringify(serializeWorkspace(ws)));
+
+    return SHARE_LINK_ENCODINGS[version].encode(bytes).then(data =>
+        `${baseUrl.split('#')[0]}${SHARE_HASH_PREFIX}${version}.${bytesToBase64Url(data)}`);
+}
+
+function isShareLinkHash(hash) {
+    return typeof hash === 'string' && hash.startsWith(SHARE_HASH_PREFIX);
+}
+
+function isShareLinkTooLong(link) {
+    return link.length > SHARE_LINK_WARN_LENGTH;
+}
+
+/**
+ * Resolves to the workflow document in a share link's hash (`location.hash`),
+ * for loadWorkflowDocument(). Rejects when the link is damaged or was made by
+ * a newer version of the builder.
+ */
+function decodeShareLink(hash) {
+    const match = /^(\d+)\.([A-Za-z0-9_-]+)$/.exec(isShareLinkHash(hash) ? hash.slice(SHARE_HASH_PREFIX.length) : '');
+    if (!match) {
+        return Promise.reject(new Error('The link does not contain a workflow'));
+    }
+
+    const version = Number(match[1]);
+    const encoding = SHARE_LINK_ENCODINGS[version];
+    if (!encoding) {
+        return Promise.reject(new Error(`The link was made by a newer version of the builder (link version ${version})`));
+    }
+
+    return Promise.resolve()
+        .then(() => encoding.decode(base64UrlToBytes(match[2])))
+        .then(bytes => JSON.parse(new TextDecoder().decode(bytes)))
+        .catch(error => {
+            throw new Error(`The link is damaged or incomplete (${error.message})`);
+        });
+}
+
+console.log('✅ Share links loaded');
@@ -0,0 +1,212 @@
+/**
+ * storage.js
+ * Workspace Persistence for Workflow Builder
+ *
+ * Handles:
+ * - Serializing the workspace with Blockly's JSON serialization
+ * - Auto-saving to and restoring from localStorage
+ * - Exporting / importing `.workflow.json` files
+ * - Validating block types before a saved workflow is loaded
+ * - Saving the team-defined blocks (customblocks.js) with the workspace
+ */
+
+console.log('🔄 Loading workspace storage...');
+
+// ================================
+// Configuration
+// ================================
+
+const STORAGE_KEY = 'blocklyWorkflowBuilder.workspace';
+const STORAGE_BACKUP_KEY = 'blocklyWorkflowBuilder.unreadableWorkspace';  // A save that could not be restored
+const WORKFLOW_FILE_FORMAT = 'blockly-workflow';
+const WORKFLOW_FILE_VERSION = 1;
+const WORKFLOW_FILE_EXTENSION = '.workflow.json';
+
+// ================================
+// Serialization
+// ================================
+
+function serializeWorkspace(ws) {
+    const doc = {
+        format: WORKFLOW_FILE_FORMAT,
+        version: WORKFLOW_FILE_VERSION,
+        savedAt: new Date().toISOString(),
+        workspace: Blockly.serialization.workspaces.save(ws)
+    };
+    const customBlocks = getCustomBlockDefinitions();
+    if (customBlocks.length > 0) {
+        doc.customBlocks = customBlocks;
+    }
+    return doc;
+}
+
+// Accepts either a wrapped workflow document or a bare Blockly workspace state
+function unwrapWorkflowDocument(doc) {
+    if (!doc || typeof doc !== 'object') {
+        throw new Error('Workflow file is not a JSON object');
+    }
+    if (doc.format === WORKFLOW_FILE_FORMAT) {
+        if (doc.version > WORKFLOW_FILE_VERSION) {
+            throw new Error(`Workflow file version ${doc.version} is newer than supported version ${WORKFLOW_FILE_VERSION}`);
+        }
+        return doc.workspace || {};
+    }
+    return doc;
+}
+
+// ================================
+// Block Type Validation
+// ================================
+
+function collectBlockTypes(state, types = new Set()) {
+    if (!state || typeof state !== 'object') {
+        return types;
+    }
+    if (typeof state.type === 'string') {
+        types.add(state.type);
+    }
+    Object.values(state.inputs || {}).forEach(input => {
+        collectBlockTypes(input.block, types);
+        collectBlockTypes(input.shadow, types);
+    });
+    if (state.next) {
+        collectBlockTypes(state.next.block, types);
+        collectBlockTypes(state.next.shadow, types);
+    }
+    return types;
+}
+
+function findUnknownBlockTypes(workspaceState) {
+    const topBlocks = (workspaceState.blocks && workspaceState.blocks.blocks) || [];
+    const types = new Set();
+    topBlocks.forEach(block => collectBlockTypes(block, types));
+    return [...types].filter(type => !isRegisteredBlockType(type));
+}
+
+/**
+ * Replaces the contents of `ws` with a saved workflow, after registering the
+ * custom blocks saved with it.
+ * Throws (leaving the workspace and the registered blocks untouched) if a
+ * saved custom block is invalid, or if the workflow contains block types that
+ * are not registered (by blocks.js, a custom block or a block pack) nor saved
+ * with it; the offending types are available on `error.unknownTypes`.
+ * Options:
+ * - `recordUndo`: make the load undoable
+ * - `confirmCustomBlocks`: called before registering custom blocks that are
+ *   new or replace a different local one, with findCustomBlockChanges()'s
+ *   list; their templates are code, so pass it for workflows from elsewhere
+ *   (files, share links). When it returns false nothing is loaded.
+ * @returns {boolean} False when confirmCustomBlocks declined, otherwise true.
+ */
+function loadWorkflowDocument(ws, doc, options = {}) {
+    const state = unwrapWorkflowDocument(doc);
+    const changes = Array.isArray(doc.customBlocks) ? findCustomBlockChanges(doc.customBlocks) : [];
+    const savedTypes = changes.map(change => change.definition.type);
+    const unknownTypes = findUnknownBlockTypes(state).filter(type => !savedTypes.includes(type));
+
+    if (unknownTypes.length > 0) {
+        const error = new Error(`Unknown block types: ${unknownTypes.join(', ')}`);
+        error.unknownTypes = unknownTypes;
+        throw error;
+    }
+    if (changes.length > 0 && options.confirmCustomBlocks && !options.confirmCustomBlocks(changes)) {
+        return false;
+    }
+
+    changes.forEach(change => registerCustomBlock(change.definition));
+    Blockly.serialization.workspaces.load(state, ws, { recordUndo: !!options.recordUndo });
+    return true;
+}
+
+// ================================
+// localStorage
+// ================================
+
+function saveWorkspaceToStorage(ws) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(serializeWorkspace(ws)));
+        return true;
+    } catch (e) {
+        console.warn('Could not save workspace to localStorage:', e && e.message ? e.message : e);
+        return false;
+    }
+}
+
+// Returns true when a saved workspace was found and loaded. When it cannot be
+// loaded (damaged, or using blocks no longer registered) it is copied to
+// STORAGE_BACKUP_KEY before the error is thrown, so auto-save cannot lose it
+function restoreWorkspaceFromStorage(ws) {
+    let saved = null;
+    try {
+        saved = localStorage.getItem(STORAGE_KEY);
+    } catch (e) {
+        console.warn('Could not read workspace from localStorage:', e && e.message ? e.message : e);
+    }
+    if (!saved) {
+        return false;
+    }
+
+    try {
+        loadWorkflowDocument(ws, JSON.parse(saved));
+    } catch (error) {
+        error.backedUp = backUpUnreadableSave(saved);
+        throw error;
+    }
+    return true;
+}
+
+function backUpUnreadableSave(saved) {
+    try {
+        localStorage.setItem(STORAGE_BACKUP_KEY, saved);
+        return true;
+    } catch (e) {
+        console.warn('Could not back up the unreadable workspace:', e && e.message ? e.message : e);
+        return false;
+    }
+}
+
+function clearWorkspaceStorage() {
+    try {
+        localStorage.removeItem(STORAGE_KEY);
+    } catch (e) {
+        console.warn('Could not clear saved workspace:', e && e.message ? e.message : e);
+    }
+}
+
+// ================================
+// File Export / Import
+// ================================
+
+// Saves `content` as a file through the browser's download prompt
+function downloadFile(fileName, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+function exportWorkspaceFile(ws, name = 'workflow') {
+    const fileName = name + WORKFLOW_FILE_EXTENSION;
+    downloadFile(fileName, JSON.stringify(serializeWorkspace(ws), null, 2), 'application/json');
+    return fileName;
+}
+
+// Resolves to loadWorkflowDocument()'s result; `options` are passed on to it
+function importWorkspaceFile(ws, file, options = {}) {
+    return file.text().then(text => {
+        let doc;
+        try {
+            doc = JSON.parse(text);
+        } catch (e) {
+            throw new Error(`${file.name} is not valid JSON: ${e.message}`);
+        }
+        return loadWorkflowDocument(ws, doc, options);
+    });
+}
+
+console.log('✅ Workspace storage loaded');
@@ -0,0 +1,131 @@
+/**
+ * customblocks.test.js
+ * Team-defined blocks: checking definitions, generated code, and saving them with the workspace
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createWorkspace, generateStatements, runWorkspace } = require('./harness.js');
+
+const GREET_BLOCK = {
+    type: 'custom_greet',
+    label: '👋 GREET',
+    shape: 'statement',
+    colour: 'io',
+    inputs: [
+        { kind: 'value', name: 'WHO', label: 'who', check: 'String' },
+        { kind: 'dropdown', name: 'STYLE', label: 'style', options: ['Hello', 'Hi'] }
+    ],
+    template: '__console.log({STYLE} + ", " + {WHO});'
+};
+
+const TWICE_BLOCK = {
+    type: 'custom_twice',
+    label: 'TWICE',
+    shape: 'statement',
+    colour: 'loops',
+    inputs: [{ kind: 'statement', name: 'DO', label: 'do' }],
+    template: 'for (let i = 0; i < 2; i++) {\n{DO}}'
+};
+
+const SQUARE_BLOCK = {
+    type: 'custom_square',
+    label: 'SQUARE OF',
+    shape: 'value',
+    output: 'Number',
+    colour: 'math',
+    inputs: [{ kind: 'value', name: 'N', label: '', check: 'Number' }],
+    template: '{N} * {N}'
+};
+
+test('custom blocks generate their template and run', async () => {
+    [GREET_BLOCK, TWICE_BLOCK, SQUARE_BLOCK].forEach(registerCustomBlock);
+    const ws = createWorkspace([
+        { type: 'custom_greet', fields: { STYLE: 'Hi' }, inputs: { WHO: exampleText('Ada') } },
+        { type: 'custom_twice', inputs: { DO: exampleStack(examplePrint({ block: { type: 'custom_square', inputs: { N: exampleValue('add_numbers', exampleNumber(1), exampleNumber(2)) } } })) } }
+    ]);
+    try {
+        assert.equal(generateStatements(ws), [
+            '__console.log("Hi" + ", " + "Ada");',
+            'for (let i = 0; i < 2; i++) {',
+            '  __console.log((1 + 2) * (1 + 2));',
+            '}'
+        ].join('\n'));
+        assert.deepEqual(await runWorkspace(ws), ['Hi, Ada', '9', '9']);
+    } finally {
+        ws.dispose();
+        ['custom_greet', 'custom_twice', 'custom_square'].forEach(unregisterCustomBlock);
+    }
+});
+
+test('custom blocks are saved with the workspace and registered again when it is loaded', () => {
+    registerCustomBlock(GREET_BLOCK);
+    const ws = createWorkspace([{ type: 'custom_greet', inputs: { WHO: exampleText('Ada') } }]);
+    const doc = serializeWorkspace(ws);
+    ws.dispose();
+    unregisterCustomBlock('custom_greet');
+
+    assert.deepEqual(doc.customBlocks.map(def => def.type), ['custom_greet']);
+    assert.equal(isCustomBlockType('custom_greet'), false);
+
+    const loaded = new Blockly.Workspace();
+    try {
+        loadWorkflowDocument(loaded, JSON.parse(JSON.stringify(doc)));
+        assert.equal(isCustomBlockType('custom_greet'), true);
+        assert.equal(generateStatements(loaded), '__console.log("Hello" + ", " + "Ada");');
+    } finally {
+        loaded.dispose();
+        unregisterCustomBlock('custom_greet');
+    }
+});
+
+test('custom blocks saved with a workflow are only registered once it is checked and confirmed', () => {
+    const doc = exampleWorkflow({ type: 'custom_greet', inputs: { WHO: exampleText('Ada') } });
+    doc.customBlocks = [GREET_BLOCK];
+    const ws = new Blockly.Workspace();
+    try {
+        // A workflow using an unknown block is refused before its custom blocks are registered
+        const unknown = Object.assign(exampleWorkflow({ type: 'acme_missing' }), { customBlocks: [GREET_BLOCK] });
+        assert.throws(() => loadWorkflowDocument(ws, unknown), error => error.unknownTypes.join() === 'acme_missing');
+        assert.equal(isCustomBlockType('custom_greet'), false);
+
+        const asked = [];
+        const decline = changes => {
+            asked.push(changes.map(change => [change.definition.type, change.replaces]));
+            return false;
+        };
+        assert.equal(loadWorkflowDocument(ws, doc, { confirmCustomBlocks: decline }), false);
+        assert.equal(isCustomBlockType('custom_greet'), false);
+        assert.equal(ws.getAllBlocks(false).length, 0);
+
+        // Replacing a different local block of the same type asks too; an identical one does not
+        registerCustomBlock(Object.assign({}, GREET_BLOCK, { label: 'HELLO' }));
+        assert.equal(loadWorkflowDocument(ws, doc, { confirmCustomBlocks: decline }), false);
+        assert.equal(getCustomBlockDefinitions()[0].label, 'HELLO');
+        assert.deepEqual(asked, [[['custom_greet', false]], [['custom_greet', true]]]);
+
+        assert.equal(loadWorkflowDocument(ws, doc, { confirmCustomBlocks: () => true }), true);
+        assert.equal(getCustomBlockDefinitions()[0].label, GREET_BLOCK.label);
+        assert.equal(loadWorkflowDocument(ws, doc, { confirmCustomBlocks: decline }), true);
+        assert.equal(asked.length, 2);
+    } finally {
+        ws.dispose();
+        unregisterCustomBlock('custom_greet');
+    }
+});
+
+test('invalid custom block definitions are refused with the reason', () => {
+    const cases = [
+        [{ type: 'print_output' }, 'Block type "print_output" must be "custom_" followed by lowercase letters, digits or _'],
+        [Object.assign({}, GREET_BLOCK, { type: CUSTOM_BLOCK_PREVIEW_TYPE }), 'Block type "custom__factory_preview" is reserved for the Block Factory preview'],
+        [{ type: 'custom_x', label: '' }, 'Custom block "custom_x": the label is empty'],
+        [Object.assign({}, GREET_BLOCK, { colour: 'gold' }), /unknown colour "gold"/],
+        [Object.assign({}, GREET_BLOCK, { inputs: [GREET_BLOCK.inputs[0], GREET_BLOCK.inputs[0]] }), /two inputs are called WHO/],
+        [Object.assign({}, SQUARE_BLOCK, { inputs: [{ kind: 'statement', name: 'DO' }] }), /a value block cannot have a statement input \(DO\)/],
+        [Object.assign({}, GREET_BLOCK, { template: 'send({TO});' }), /the code template uses \{TO\}, which is not one of its inputs/]
+    ];
+    cases.forEach(([def, message]) => {
+        assert.throws(() => registerCustomBlock(def), { message: message });
+    });
+    assert.deepEqual(getCustomBlockDefinitions(), []);
+});
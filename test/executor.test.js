@@ -0,0 +1,208 @@
+/**
+ * executor.test.js
+ * The execution engine: streamed output, errors, time budgets and debug sessions
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadWorkflowScripts } = require('../cli.js');
+const { createWorkspace, getStartBlock, runWorkspace } = require('./harness.js');
+
+loadWorkflowScripts(['debugger.js']);
+
+test('streams each printed line as it is logged and resolves with all output', async () => {
+    const ws = createWorkspace([examplePrint(exampleText('one')), examplePrint(exampleNumber(2))]);
+    const streamed = [];
+    try {
+        assert.deepEqual(await runWorkspace(ws, { onLog: line => streamed.push(line) }), ['one', '2']);
+        assert.deepEqual(streamed, ['one', '2']);
+        assert.equal(isExecuting(), false);
+    } finally {
+        ws.dispose();
+    }
+});
+
+test('console.log prints lists and records on one line', async () => {
+    const output = await executeCode('const a = [1, "x", null, { k: [true] }]; a.push(a); console.log("list:", a, {});', {});
+    assert.equal(output, 'list: [1, "x", null, {"k": [true]}, [circular]] {}');
+});
+
+test('each printed line reports its level and the block that printed it', async () => {
+    const ws = createWorkspace([
+        examplePrint(exampleText('fine')),
+        { type: 'print_output', fields: { LEVEL: 'WARN' }, inputs: { TEXT: exampleText('careful') } },
+        { type: 'print_output', fields: { LEVEL: 'ERROR' }, inputs: { TEXT: exampleText('broken') } }
+    ]);
+    const printIds = ws.getBlocksByType('print_output', false).map(block => block.id);
+    const details = [];
+    try {
+        await runWorkspace(ws, { onLog: (line, info) => details.push([line, info.level, info.blockId]) });
+        assert.deepEqual(details, [
+            ['fine', 'info', printIds[0]],
+            ['careful', 'warn', printIds[1]],
+            ['broken', 'error', printIds[2]]
+        ]);
+    } finally {
+        ws.dispose();
+    }
+});
+
+test('a runtime error rejects with the ID of the failing block', async () => {
+    const ws = createWorkspace([
+        examplePrint(exampleText('before')),
+        exampleSet('x', exampleValue('divide_numbers', exampleNumber(1), exampleNumber(0)))
+    ]);
+    const setBlock = ws.getBlocksByType('set_variable', false)[0];
+    const streamed = [];
+    try {
+        await assert.rejects(runWorkspace(ws, { onLog: line => streamed.push(line) }), error => {
+            assert.equal(error.message, 'Division by zero');
+            assert.equal(error.blockId, setBlock.id);
+            return true;
+        });
+        assert.deepEqual(streamed, ['before']);
+        assert.equal(isExecuting(), false);
+    } finally {
+        ws.dispose();
+    }
+});
+
+test('an endless workflow loop stops at its time budget', async () => {
+    const ws = createWorkspace([{
+        type: 'while_condition',
+        fields: { OPERATOR: 'GREATER' },
+        inputs: { CONDITION_LEFT: exampleNumber(1), CONDITION_RIGHT: exampleNumber(0) }
+    }]);
+    try {
+        await assert.rejects(runWorkspace(ws, { timeBudget: 200 }), /timeout/);
+        assert.equal(isExecuting(), false);
+    } finally {
+        ws.dispose();
+    }
+});
+
+test('code that never yields is terminated when the time budget runs out', async () => {
+    await assert.rejects(executeCode('while (true) {}', { timeBudget: 200 }),
+        { message: 'Code execution timeout after 200 ms - possible infinite loop' });
+    assert.equal(isExecuting(), false);
+});
+
+test('only one workflow runs at a time, and Stop ends it', async () => {
+    const running = executeCode('while (true) {}', { timeBudget: 60000 });
+    assert.equal(isExecuting(), true);
+    await assert.rejects(executeCode('', {}), { message: 'A workflow is already running' });
+
+    assert.equal(stopExecution(), true);
+    await assert.rejects(running, { message: 'Execution stopped by user' });
+    assert.equal(isExecuting(), false);
+    assert.equal(stopExecution(), false);
+});
+
+test('time spent answering an ASK block does not count towards the time budget', async () => {
+    const ws = createWorkspace([examplePrint({ block: { type: 'ask_user', inputs: { QUESTION: exampleText('Ready?') } } })]);
+    const asked = [];
+    try {
+        const output = await runWorkspace(ws, {
+            timeBudget: 200,
+            onAsk: (question, details) => {
+                asked.push([question, details.blockId]);
+                return new Promise(resolve => setTimeout(() => resolve('yes'), 400));
+            }
+        });
+        assert.deepEqual(output, ['yes']);
+        assert.deepEqual(asked, [['Ready?', ws.getBlocksByType('print_output', false)[0].id]]);
+    } finally {
+        ws.dispose();
+    }
+});
+
+test('time spent in a WAIT block does not count towards the time budget', async () => {
+    const ws = createWorkspace([
+        { type: 'wait_seconds', inputs: { SECONDS: exampleNumber(0.4) } },
+        examplePrint(exampleText('done'))
+    ]);
+    try {
+        assert.deepEqual(await runWorkspace(ws, { timeBudget: 200 }), ['done']);
+    } finally {
+        ws.dispose();
+    }
+});
+
+test('an ASK block fails the run when nobody can answer it', async () => {
+    await assert.rejects(executeCode('return __askUser("Name?");', {}),
+        { message: 'The workflow asked "Name?", but there is no one to answer it here' });
+    assert.equal(isExecuting(), false);
+});
+
+test('Stop ends a workflow in the middle of a WAIT', async () => {
+    const ws = createWorkspace([{ type: 'wait_seconds', inputs: { SECONDS: exampleNumber(60) } }, examplePrint(exampleText('late'))]);
+    const streamed = [];
+    try {
+        const running = runWorkspace(ws, { timeBudget: 120000, onLog: line => streamed.push(line) });
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.equal(stopExecution(), true);
+        await assert.rejects(running, { message: 'Execution stopped by user' });
+        assert.deepEqual(streamed, []);
+        assert.equal(isExecuting(), false);
+    } finally {
+        ws.dispose();
+    }
+});
+
+test('a debug session pauses before each statement until resumed', async () => {
+    const ws = createWorkspace([exampleSet('x', exampleNumber(5)), examplePrint(exampleGet('x'))]);
+    const [setBlock, printBlock] = getStartBlock(ws).getDescendants(true).filter(block => block.previousConnection);
+    const steps = [];
+    try {
+        Blockly.JavaScript.init(ws);
+        const code = formatCode(Blockly.JavaScript.finish(Blockly.JavaScript.workspaceToDebugCode(ws)));
+        const output = await executeCode(code, {
+            debug: {
+                breakpoints: [],
+                onStep: (blockId, variables) => {
+                    steps.push([blockId, variables]);
+                    resumeExecution('step');
+                }
+            }
+        });
+        assert.equal(output, '✓ Variable "x" set to: 5\n5');
+        assert.deepEqual(steps, [[setBlock.id, {}], [printBlock.id, { x: 5 }]]);
+    } finally {
+        ws.dispose();
+    }
+});
+
+test('the variables inspector shows a list holding itself as the console prints it', async () => {
+    const append = { type: 'list_append', inputs: { LIST: exampleGet('xs'), ITEM: exampleGet('xs') } };
+    const ws = createWorkspace([exampleSet('xs', exampleList(exampleNumber(1))), append, examplePrint(exampleGet('xs'))]);
+    const shown = [];
+    try {
+        Blockly.JavaScript.init(ws);
+        const code = formatCode(Blockly.JavaScript.finish(Blockly.JavaScript.workspaceToDebugCode(ws)));
+        const output = await executeCode(code, {
+            debug: {
+                breakpoints: [],
+                onStep: (blockId, variables) => {
+                    shown.push(Object.keys(variables).map(name => `${name} = ${formatVariableValue(variables[name])}`));
+                    resumeExecution('step');
+                }
+            }
+        });
+        assert.equal(output.split('\n').pop(), '[1, [circular]]');
+        assert.deepEqual(shown, [[], ['xs = [1]'], ['xs = [1, [circular]]']]);
+    } finally {
+        ws.dispose();
+    }
+});
+
+test('every gallery example prints its expected output', async () => {
+    for (const example of WORKFLOW_EXAMPLES) {
+        const ws = new Blockly.Workspace();
+        try {
+            loadWorkflowDocument(ws, example.workspace);
+            assert.deepEqual(await runWorkspace(ws), example.expectedOutput, example.id);
+        } finally {
+            ws.dispose();
+        }
+    }
+});
@@ -0,0 +1,738 @@
+/**
+ * generator.test.js
+ * Exact JavaScript for every block type, and what that code prints when run
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createWorkspace, generateCode, generateStatements, runWorkspace, runExportedWorkspace } = require('./harness.js');
+
+// ================================
+// Block State Builders
+// ================================
+
+function value(type, fields, inputs) {
+    return { block: { type: type, fields: fields, inputs: inputs } };
+}
+
+function statement(type, fields, inputs) {
+    return { type: type, fields: fields, inputs: inputs };
+}
+
+const branch = exampleStack;
+const num = exampleNumber;
+const text = exampleText;
+
+// ================================
+// One Sample per Block Type
+// ================================
+
+// `code` is the exact code generated for the statements inside START WORKFLOW,
+// `output` the lines they print when run (with `runOptions` for executeCode)
+const BLOCK_SAMPLES = [
+    {
+        name: 'set_variable assigns and logs the value',
+        statements: [exampleSet('x', num(5))],
+        code: '__variables["x"] = 5;\n' +
+            '__console.log("✓ Variable \\"x\\" set to:", __variables["x"]);',
+        output: ['✓ Variable "x" set to: 5']
+    },
+    {
+        name: 'set_variable with an empty socket assigns 0',
+        statements: [statement('set_variable', { VAR_NAME: { name: 'x' } })],
+        code: '__variables["x"] = 0;\n' +
+            '__console.log("✓ Variable \\"x\\" set to:", __variables["x"]);',
+        output: ['✓ Variable "x" set to: 0']
+    },
+    {
+        name: 'variables_get reads a variable',
+        statements: [exampleSet('x', num(5)), examplePrint(exampleGet('x'))],
+        code: '__variables["x"] = 5;\n' +
+            '__console.log("✓ Variable \\"x\\" set to:", __variables["x"]);\n' +
+            '__console.log(__variables["x"]);',
+        output: ['✓ Variable "x" set to: 5', '5']
+    },
+    {
+        name: 'math_number prints a number',
+        statements: [examplePrint(num(-2.5))],
+        code: '__console.log(-2.5);',
+        output: ['-2.5']
+    },
+    {
+        name: 'text_block escapes quotes and newlines',
+        statements: [examplePrint(text('say "hi"\nbye'))],
+        code: '__console.log("say \\"hi\\"\\nbye");',
+        output: ['say "hi"\nbye']
+    },
+    {
+        name: 'print_output with an empty socket prints an empty line',
+        statements: [statement('print_output')],
+        code: '__console.log("");',
+        output: ['']
+    },
+    {
+        name: 'print_output at each level',
+        statements: [
+            statement('print_output', { LEVEL: 'INFO' }, { TEXT: text('i') }),
+            statement('print_output', { LEVEL: 'WARN' }, { TEXT: text('w') }),
+            statement('print_output', { LEVEL: 'ERROR' }, { TEXT: text('e') })
+        ],
+        code: '__console.log("i");\n__console.warn("w");\n__console.error("e");',
+        output: ['i', 'w', 'e']
+    },
+    {
+        name: 'add_numbers',
+        statements: [examplePrint(exampleValue('add_numbers', num(2), num(3)))],
+        code: '__console.log(2 + 3);',
+        output: ['5']
+    },
+    {
+        name: 'add_numbers with empty sockets adds zeros',
+        statements: [examplePrint(value('add_numbers'))],
+        code: '__console.log(0 + 0);',
+        output: ['0']
+    },
+    {
+        name: 'multiply_numbers and subtract_numbers keep precedence',
+        statements: [examplePrint(exampleValue('multiply_numbers',
+            exampleValue('add_numbers', num(1), num(2)),
+            exampleValue('subtract_numbers', num(5), exampleValue('subtract_numbers', num(3), num(1)))))],
+        code: '__console.log((1 + 2) * (5 - (3 - 1)));',
+        output: ['9']
+    },
+    {
+        name: 'divide_numbers',
+        statements: [examplePrint(exampleValue('divide_numbers', num(7), num(2)))],
+        code: '__console.log(workflowDivide(7, 2));',
+        output: ['3.5']
+    },
+    {
+        name: 'modulo_numbers',
+        statements: [examplePrint(exampleValue('modulo_numbers', num(7), num(3)))],
+        code: '__console.log(workflowModulo(7, 3));',
+        output: ['1']
+    },
+    {
+        name: 'power_numbers with a negative base',
+        statements: [examplePrint(exampleValue('power_numbers', num(-2), num(2)))],
+        code: '__console.log(Math.pow(-2, 2));',
+        output: ['4']
+    },
+    {
+        name: 'min_max_numbers',
+        statements: [
+            examplePrint(value('min_max_numbers', { MODE: 'MIN' }, { NUM1: num(4), NUM2: num(9) })),
+            examplePrint(value('min_max_numbers', { MODE: 'MAX' }, { NUM1: num(4), NUM2: num(9) }))
+        ],
+        code: '__console.log(Math.min(4, 9));\n__console.log(Math.max(4, 9));',
+        output: ['4', '9']
+    },
+    {
+        name: 'round_number in each mode',
+        statements: ['ROUND', 'FLOOR', 'CEIL'].map(mode =>
+            examplePrint(value('round_number', { MODE: mode }, { NUM: num(2.5) }))),
+        code: '__console.log(Math.round(2.5));\n__console.log(Math.floor(2.5));\n__console.log(Math.ceil(2.5));',
+        output: ['3', '2', '3']
+    },
+    {
+        name: 'compare_values',
+        statements: [examplePrint(value('compare_values', { OPERATOR: 'EQUAL' }, { LEFT: num(2), RIGHT: num(2) }))],
+        code: '__console.log(2 === 2);',
+        output: ['true']
+    },
+    {
+        name: 'boolean_and_or and boolean_not',
+        statements: [
+            examplePrint(value('boolean_and_or', { OPERATOR: 'OR' }, {
+                LEFT: value('boolean_not', {}, {
+                    VALUE: value('compare_values', { OPERATOR: 'LESS' }, { LEFT: num(1), RIGHT: num(2) })
+                }),
+                RIGHT: value('compare_values', { OPERATOR: 'NOT_EQUAL' }, { LEFT: num(1), RIGHT: num(1) })
+            })),
+            examplePrint(value('boolean_and_or', { OPERATOR: 'AND' }))
+        ],
+        code: '__console.log(!(1 < 2) || 1 !== 1);\n__console.log(false && false);',
+        output: ['false', 'false']
+    },
+    {
+        name: 'repeat_times',
+        statements: [statement('repeat_times', {}, { TIMES: num(2), DO: branch(examplePrint(text('hi'))) })],
+        code: 'for (let count = 0; count < 2; count++) {\n' +
+            '  __checkTimeout();\n' +
+            '  __console.log("hi");\n' +
+            '}',
+        output: ['hi', 'hi']
+    },
+    {
+        name: 'repeat_times evaluates its count once, before the loop',
+        statements: [
+            exampleSet('xs', exampleList(text('a'))),
+            statement('repeat_times', {}, {
+                TIMES: value('list_length', {}, { LIST: exampleGet('xs') }),
+                DO: branch(statement('list_append', {}, { LIST: exampleGet('xs'), ITEM: text('b') }))
+            }),
+            examplePrint(exampleGet('xs'))
+        ],
+        code: '__variables["xs"] = ["a"];\n' +
+            '__console.log("✓ Variable \\"xs\\" set to:", __variables["xs"]);\n' +
+            'const repeatEnd = workflowList(__variables["xs"]).length;\n' +
+            'for (let count = 0; count < repeatEnd; count++) {\n' +
+            '  __checkTimeout();\n' +
+            '  workflowList(__variables["xs"]).push("b");\n' +
+            '}\n' +
+            '__console.log(__variables["xs"]);',
+        output: ['✓ Variable "xs" set to: ["a"]', '["a", "b"]']
+    },
+    {
+        name: 'while_condition',
+        statements: [
+            exampleSet('i', num(0)),
+            statement('while_condition', { OPERATOR: 'LESS' }, {
+                CONDITION_LEFT: exampleGet('i'),
+                CONDITION_RIGHT: num(2),
+                DO: branch(exampleSet('i', exampleValue('add_numbers', exampleGet('i'), num(1))))
+            })
+        ],
+        code: '__variables["i"] = 0;\n' +
+            '__console.log("✓ Variable \\"i\\" set to:", __variables["i"]);\n' +
+            'while (__variables["i"] < 2) {\n' +
+            '  __checkTimeout();\n' +
+            '  __variables["i"] = __variables["i"] + 1;\n' +
+            '  __console.log("✓ Variable \\"i\\" set to:", __variables["i"]);\n' +
+            '}',
+        output: ['✓ Variable "i" set to: 0', '✓ Variable "i" set to: 1', '✓ Variable "i" set to: 2']
+    },
+    {
+        name: 'for_each over the characters of a string',
+        statements: [statement('for_each', { VAR: { name: 'letter' } }, {
+            LIST: text('ab'),
+            DO: branch(examplePrint(exampleGet('letter')))
+        })],
+        code: 'for (const eachItem of workflowToList("ab")) {\n' +
+            '  __checkTimeout();\n' +
+            '  __variables["letter"] = eachItem;\n' +
+            '  __console.log(__variables["letter"]);\n' +
+            '}',
+        output: ['a', 'b']
+    },
+    {
+        name: 'define_subworkflow, call_subworkflow and call_subworkflow_value',
+        statements: [
+            {
+                type: 'call_subworkflow',
+                extraState: { name: 'greet', params: ['who'] },
+                fields: { NAME: 'greet' },
+                inputs: { ARG0: text('Ada') }
+            },
+            examplePrint({
+                block: {
+                    type: 'call_subworkflow_value',
+                    extraState: { name: 'double', params: ['n'] },
+                    fields: { NAME: 'double' },
+                    inputs: { ARG0: num(4) }
+                }
+            })
+        ],
+        extraBlocks: [
+            {
+                type: 'define_subworkflow',
+                x: 400,
+                y: 40,
+                fields: { NAME: 'greet', PARAMS: 'who' },
+                inputs: { STACK: branch(examplePrint(exampleGet('who'))) }
+            },
+            {
+                type: 'define_subworkflow',
+                x: 400,
+                y: 200,
+                fields: { NAME: 'double', PARAMS: 'n' },
+                inputs: { RETURN: exampleValue('multiply_numbers', exampleGet('n'), num(2)) }
+            }
+        ],
+        code: 'greet("Ada");\n__console.log(double(4));',
+        output: ['Ada', '8']
+    },
+    {
+        name: 'text_concat with a label and a number',
+        statements: [examplePrint(exampleJoin(text('Result: '), exampleValue('add_numbers', num(2), num(3))))],
+        code: '__console.log(["Result: ", 2 + 3].join(\'\'));',
+        output: ['Result: 5']
+    },
+    {
+        name: 'text_concat with no items and with an empty item',
+        statements: [examplePrint(exampleJoin()), examplePrint({ block: { type: 'text_concat', extraState: { itemCount: 2 }, inputs: { ADD0: text('a') } } })],
+        code: '__console.log("");\n__console.log(["a", ""].join(\'\'));',
+        output: ['', 'a']
+    },
+    {
+        name: 'text_char_count',
+        statements: [examplePrint(value('text_char_count', {}, { TEXT: text('hello') }))],
+        code: '__console.log(String("hello").length);',
+        output: ['5']
+    },
+    {
+        name: 'text_case in each mode',
+        statements: [
+            examplePrint(value('text_case', { CASE: 'UPPER' }, { TEXT: text('MiXed') })),
+            examplePrint(value('text_case', { CASE: 'LOWER' }, { TEXT: text('MiXed') }))
+        ],
+        code: '__console.log(String("MiXed").toUpperCase());\n__console.log(String("MiXed").toLowerCase());',
+        output: ['MIXED', 'mixed']
+    },
+    {
+        name: 'text_contains',
+        statements: [
+            examplePrint(value('text_contains', {}, { TEXT: text('workflow'), SEARCH: text('flow') })),
+            examplePrint(value('text_contains', {}, { TEXT: text('workflow'), SEARCH: text('Flow') }))
+        ],
+        code: '__console.log(String("workflow").includes(String("flow")));\n' +
+            '__console.log(String("workflow").includes(String("Flow")));',
+        output: ['true', 'false']
+    },
+    {
+        name: 'text_substring counts from 1 and includes both ends',
+        statements: [examplePrint(value('text_substring', {}, { TEXT: text('workflow'), FROM: num(5), TO: num(8) }))],
+        code: '__console.log(workflowSubstring("workflow", 5, 8));',
+        output: ['flow']
+    },
+    {
+        name: 'text_replace_all replaces every occurrence and keeps $ literal',
+        statements: [examplePrint(value('text_replace_all', {}, { TEXT: text('a-b-c'), FIND: text('-'), REPLACEMENT: text('$&') }))],
+        code: '__console.log(String("a-b-c").split(String("-")).join(String("\\$&")));',
+        output: ['a$&b$&c']
+    },
+    {
+        name: 'number_to_text with fixed decimals',
+        statements: [
+            examplePrint(value('number_to_text', { DECIMALS: 2 }, { NUM: num(3.5) })),
+            examplePrint(value('number_to_text', { DECIMALS: 0 }, { NUM: num(2.6) }))
+        ],
+        code: '__console.log(Number(3.5).toFixed(2));\n__console.log(Number(2.6).toFixed(0));',
+        output: ['3.50', '3']
+    },
+    {
+        name: 'list_create, list_append and list_length',
+        statements: [
+            exampleSet('xs', exampleList(num(1), text('a'))),
+            statement('list_append', {}, { LIST: exampleGet('xs'), ITEM: num(2) }),
+            examplePrint(value('list_length', {}, { LIST: exampleGet('xs') })),
+            examplePrint(exampleGet('xs'))
+        ],
+        code: '__variables["xs"] = [1, "a"];\n' +
+            '__console.log("✓ Variable \\"xs\\" set to:", __variables["xs"]);\n' +
+            'workflowList(__variables["xs"]).push(2);\n' +
+            '__console.log(workflowList(__variables["xs"]).length);\n' +
+            '__console.log(__variables["xs"]);',
+        output: ['✓ Variable "xs" set to: [1, "a"]', '3', '[1, "a", 2]']
+    },
+    {
+        name: 'list_create with no items and with an empty item',
+        statements: [examplePrint(exampleList()), examplePrint({ block: { type: 'list_create', extraState: { itemCount: 2 }, inputs: { ADD1: num(1) } } })],
+        code: '__console.log([]);\n__console.log([null, 1]);',
+        output: ['[]', '[null, 1]']
+    },
+    {
+        name: 'list_get and list_remove count from 1',
+        statements: [
+            exampleSet('xs', exampleList(text('a'), text('b'), text('c'))),
+            statement('list_remove', {}, { LIST: exampleGet('xs'), INDEX: num(1) }),
+            examplePrint(value('list_get', {}, { LIST: exampleGet('xs'), INDEX: num(2) }))
+        ],
+        code: '__variables["xs"] = ["a", "b", "c"];\n' +
+            '__console.log("✓ Variable \\"xs\\" set to:", __variables["xs"]);\n' +
+            'workflowListRemove(__variables["xs"], 1);\n' +
+            '__console.log(workflowListGet(__variables["xs"], 2));',
+        output: ['✓ Variable "xs" set to: ["a", "b", "c"]', 'c']
+    },
+    {
+        name: 'record_create, record_set and record_get',
+        statements: [
+            exampleSet('r', value('record_create')),
+            statement('record_set', { KEY: 'name' }, { RECORD: exampleGet('r'), VALUE: text('Ada') }),
+            statement('record_set', { KEY: 'tags' }, { RECORD: exampleGet('r'), VALUE: exampleList(num(1), exampleList()) }),
+            examplePrint(value('record_get', { KEY: 'name' }, { RECORD: exampleGet('r') })),
+            examplePrint(value('record_get', { KEY: 'missing' }, { RECORD: exampleGet('r') })),
+            examplePrint(exampleGet('r'))
+        ],
+        code: '__variables["r"] = Object.create(null);\n' +
+            '__console.log("✓ Variable \\"r\\" set to:", __variables["r"]);\n' +
+            'workflowRecord(__variables["r"])["name"] = "Ada";\n' +
+            'workflowRecord(__variables["r"])["tags"] = [1, []];\n' +
+            '__console.log(workflowRecord(__variables["r"])["name"]);\n' +
+            '__console.log(workflowRecord(__variables["r"])["missing"]);\n' +
+            '__console.log(__variables["r"]);',
+        output: ['✓ Variable "r" set to: {}', 'Ada', 'undefined', '{"name": "Ada", "tags": [1, []]}']
+    },
+    {
+        name: 'workflow_input reads the input variable (its default when no value is given)',
+        statements: [examplePrint(exampleInput('n', 'NUMBER', '5'))],
+        code: '__console.log(__variables["n"]);',
+        output: ['5']
+    },
+    {
+        name: 'wait_seconds pauses between statements',
+        statements: [
+            examplePrint(text('before')),
+            statement('wait_seconds', {}, { SECONDS: num(0.05) }),
+            examplePrint(text('after'))
+        ],
+        code: '__console.log("before");\n' +
+            'await __wait(0.05);\n' +
+            '__console.log("after");',
+        output: ['before', 'after']
+    },
+    {
+        name: 'ask_user waits for the answer',
+        statements: [examplePrint(value('ask_user', {}, { QUESTION: text('Name?') }))],
+        runOptions: { onAsk: question => (question === 'Name?' ? 'Ada' : '') },
+        code: '__console.log(await __ask("Name?"));',
+        output: ['Ada']
+    }
+];
+
+BLOCK_SAMPLES.forEach(sample => {
+    test(sample.name, async () => {
+        const ws = createWorkspace(sample.statements, sample.extraBlocks);
+        try {
+            assert.equal(generateStatements(ws), sample.code);
+            assert.deepEqual(await runWorkspace(ws, sample.runOptions), sample.output);
+        } finally {
+            ws.dispose();
+        }
+    });
+});
+
+test('every block type is defined with a JavaScript generator', () => {
+    WORKFLOW_BLOCK_TYPES.forEach(type => {
+        assert.ok(Blockly.Blocks[type], `${type} is not defined`);
+        assert.equal(typeof Blockly.JavaScript.forBlock[type], 'function', `${type} has no generator`);
+    });
+});
+
+test('every block type has a sample', () => {
+    const covered = new Set(['start_workflow', 'if_condition']);  // Tested on their own below
+    BLOCK_SAMPLES.forEach(sample => {
+        [...sample.statements, ...(sample.extraBlocks || [])].forEach(state => collectBlockTypes(state, covered));
+    });
+    assert.deepEqual(WORKFLOW_BLOCK_TYPES.filter(type => !covered.has(type)), []);
+});
+
+// ================================
+// START WORKFLOW
+// ================================
+
+test('an empty start_workflow generates the scaffolding and prints nothing', async () => {
+    const ws = createWorkspace();
+    try {
+        const code = generateCode(ws);
+        assert.ok(code.startsWith('function workflowFormatValue(value) {\n'));
+        assert.equal(code.slice(code.indexOf('// ===== WORKFLOW START =====')), [
+            '// ===== WORKFLOW START =====',
+            '(function() {',
+            '    const __variables = Object.create(null);',
+            '    const __output = [];',
+            '    const __print = function(method, args) { const line = args.map(workflowFormatValue).join(\' \'); __output.push(line); console[method](line); };',
+            '    const __console = {',
+            '        log: function(...args) { __print(\'log\', args); },',
+            '        warn: function(...args) { __print(\'warn\', args); },',
+            '        error: function(...args) { __print(\'error\', args); }',
+            '    };',
+            '    let __deadline = Date.now() + (typeof __timeBudget === \'number\' ? __timeBudget : 5000);',
+            '    const __checkTimeout = function() {',
+            '        if (Date.now() > __deadline) throw new Error(\'Code execution timeout - possible infinite loop\');',
+            '    };',
+            '',
+            '    // empty workflow',
+            '',
+            '    return __output.join(\'\\n\');',
+            '})();'
+        ].join('\n'));
+        assert.deepEqual(await runWorkspace(ws), []);
+    } finally {
+        ws.dispose();
+    }
+});
+
+test('start_workflow declares sub-workflows inside the workflow function', () => {
+    const sample = BLOCK_SAMPLES.find(s => s.name.startsWith('define_subworkflow'));
+    const ws = createWorkspace(sample.statements, sample.extraBlocks);
+    try {
+        const code = generateCode(ws);
+        assert.ok(code.includes([
+            '  const __localScope = function(locals) { return Object.assign(Object.create(__variables), locals); };',
+            '  function greet(who) {',
+            '    const __variables = __localScope({ ["who"]: who });',
+            '    __console.log(__variables["who"]);',
+            '  }',
+            '  function double(n) {',
+            '    const __variables = __localScope({ ["n"]: n });',
+            '    return __variables["n"] * 2;',
+            '  }'
+        ].join('\n')), code);
+    } finally {
+        ws.dispose();
+    }
+});
+
+// ================================
+// IF CONDITION Operators
+// ================================
+
+// [OPERATOR, JavaScript operator, branch taken for 3 OP 2]
+const IF_OPERATORS = [
+    ['GREATER', '>', 'yes'],
+    ['LESS', '<', 'no'],
+    ['EQUAL', '===', 'no'],
+    ['GREATER_EQUAL', '>=', 'yes'],
+    ['LESS_EQUAL', '<=', 'no'],
+    ['NOT_EQUAL', '!==', 'yes']
+];
+
+function ifWorkspace(operator, left, right) {
+    return createWorkspace([statement('if_condition', { OPERATOR: operator }, {
+        CONDITION_LEFT: left,
+        CONDITION_RIGHT: right,
+        DO_TRUE: branch(examplePrint(text('yes'))),
+        DO_FALSE: branch(examplePrint(text('no')))
+    })]);
+}
+
+IF_OPERATORS.forEach(([operator, jsOperator, expected]) => {
+    test(`if_condition with ${operator}`, async () => {
+        const ws = ifWorkspace(operator, num(3), num(2));
+        try {
+            assert.equal(generateStatements(ws), [
+                `if (3 ${jsOperator} 2) {`,
+                '  __console.log("yes");',
+                '} else {',
+                '  __console.log("no");',
+                '}'
+            ].join('\n'));
+            assert.deepEqual(await runWorkspace(ws), [expected]);
+        } finally {
+            ws.dispose();
+        }
+    });
+});
+
+test('if_condition with IS_TRUE ignores the right-hand socket', async () => {
+    const ws = ifWorkspace('IS_TRUE',
+        value('compare_values', { OPERATOR: 'EQUAL' }, { LEFT: num(1), RIGHT: num(1) }), num(0));
+    try {
+        assert.equal(generateStatements(ws), [
+            'if (1 === 1) {',
+            '  __console.log("yes");',
+            '} else {',
+            '  __console.log("no");',
+            '}'
+        ].join('\n'));
+        assert.deepEqual(await runWorkspace(ws), ['yes']);
+    } finally {
+        ws.dispose();
+    }
+});
+
+test('if_condition with empty sockets and branches', async () => {
+    const ws = createWorkspace([statement('if_condition', { OPERATOR: 'GREATER' })]);
+    try {
+        assert.equal(generateStatements(ws), [
+            'if (0 > 0) {',
+            '    // empty',
+            '} else {',
+            '    // empty',
+            '}'
+        ].join('\n'));
+        assert.deepEqual(await runWorkspace(ws), []);
+    } finally {
+        ws.dispose();
+    }
+});
+
+test('a sub-workflow starts from the workflow value of a variable it assigns, in Run and the export', async () => {
+    const bump = { type: 'call_subworkflow', extraState: { name: 'bump', params: [] }, fields: { NAME: 'bump' } };
+    const ws = createWorkspace([exampleSet('total', num(5)), bump, examplePrint(exampleGet('total'))], [{
+        type: 'define_subworkflow',
+        x: 400,
+        y: 40,
+        fields: { NAME: 'bump', PARAMS: '' },
+        inputs: {
+            STACK: branch(
+                exampleSet('total', exampleValue('add_numbers', exampleGet('total'), num(1))),
+                examplePrint(exampleGet('total')))
+        }
+    }]);
+    try {
+        assert.ok(Blockly.JavaScript.workspaceToExportCode(ws).includes('  function bump() {\n' +
+            '    let total_local = total;\n' +
+            '    total_local = total_local + 1;\n'));
+        assert.deepEqual((await runWorkspace(ws)).slice(-2), ['6', '5']);
+        assert.deepEqual(await runExportedWorkspace(ws), ['6', '5']);
+    } finally {
+        ws.dispose();
+    }
+});
+
+// ================================
+// Adversarial Names
+// ================================
+
+// Names and text that break naive string quoting: quotes, a backtick, a
+// template placeholder, a backslash and line terminators
+const ADVERSARIAL_NAMES = ["it's", 'say "hi"', 'back`tick', '${process}', 'C:\\temp', 'line\rbreak', 'para\u2028graph',
+    // Identifiers of Run's own code
+    '__variables', '__output', '__print', '__console', '__deadline', '__checkTimeout', '__localScope', '__ask',
+    '__wait', '__inputValues', '__inputs', '__timeBudget', '__step', '__askUser', '__waitSeconds', '__enterBlock', '__exitBlock',
+    // Names an ordinary object already has
+    '__proto__', 'constructor'];
+
+ADVERSARIAL_NAMES.forEach(name => {
+    test(`the name ${JSON.stringify(name)} is printed unchanged by Run and the export`, async () => {
+        // A variable, a text, and a sub-workflow and its input, all called `name`
+        const call = {
+            type: 'call_subworkflow',
+            extraState: { name: name, params: [name] },
+            fields: { NAME: name },
+            inputs: { ARG0: exampleGet(name) }
+        };
+        const ws = createWorkspace([exampleSet(name, text(name)), examplePrint(exampleGet(name)), examplePrint(text(name)), call], [{
+            type: 'define_subworkflow',
+            x: 400,
+            y: 40,
+            fields: { NAME: name, PARAMS: name },
+            inputs: { STACK: branch(examplePrint(exampleGet(name))) }
+        }]);
+        try {
+            assert.deepEqual(await runWorkspace(ws), [`✓ Variable "${name}" set to: ${name}`, name, name, name]);
+            assert.deepEqual(await runExportedWorkspace(ws), [name, name, name]);
+        } finally {
+            ws.dispose();
+        }
+    });
+});
+
+// ================================
+// Lists and Records
+// ================================
+
+test('a record field can have any name, and a missing field is nothing', async () => {
+    const ws = createWorkspace([
+        exampleSet('r', value('record_create')),
+        statement('record_set', { KEY: '__proto__' }, { RECORD: exampleGet('r'), VALUE: num(5) }),
+        examplePrint(value('record_get', { KEY: '__proto__' }, { RECORD: exampleGet('r') })),
+        examplePrint(value('record_get', { KEY: 'toString' }, { RECORD: exampleGet('r') })),
+        examplePrint(exampleGet('r'))
+    ]);
+    try {
+        assert.deepEqual((await runWorkspace(ws)).slice(1), ['5', 'undefined', '{"__proto__": 5}']);
+        // The export prints with console.log, which shows records its own way
+        assert.deepEqual((await runExportedWorkspace(ws)).slice(0, 2), ['5', 'undefined']);
+    } finally {
+        ws.dispose();
+    }
+});
+
+test('list and record blocks fail with a readable error on a wrong value', async () => {
+    const cases = [
+        [value('list_get', {}, { LIST: exampleList(text('a')), INDEX: num(2) }), 'There is no item #2 in a list of 1 item(s)'],
+        [value('list_get', {}, { LIST: exampleList(text('a')), INDEX: num(1.5) }), 'There is no item #1.5 in a list of 1 item(s)'],
+        [value('list_length', {}, { LIST: exampleGet('v') }), 'Expected a list but got string'],
+        [value('record_get', { KEY: 'k' }, { RECORD: exampleGet('l') }), 'Expected a record but got a list']
+    ];
+    for (const [block, message] of cases) {
+        // Typed sockets refuse a wrong value, but not a variable holding one
+        const ws = createWorkspace([exampleSet('v', text('abc')), exampleSet('l', exampleList()), examplePrint(block)]);
+        try {
+            await assert.rejects(runWorkspace(ws), { message: message });
+        } finally {
+            ws.dispose();
+        }
+    }
+});
+
+// ================================
+// Workflow Inputs
+// ================================
+
+test('workflow inputs take the values passed to the run, or their defaults', async () => {
+    const ws = createWorkspace([
+        examplePrint(exampleJoin(text('Hello, '), exampleInput('who', 'TEXT', 'world'))),
+        examplePrint(exampleInput('count', 'NUMBER', '2')),
+        examplePrint(exampleInput('loud', 'BOOLEAN', 'no'))
+    ]);
+    try {
+        assert.deepEqual(await runWorkspace(ws), ['Hello, world', '2', 'false']);
+        assert.deepEqual(await runWorkspace(ws, { inputs: { who: 'Ada', loud: true } }), ['Hello, Ada', '2', 'true']);
+    } finally {
+        ws.dispose();
+    }
+});
+
+test('an input can be called __proto__', async () => {
+    const ws = createWorkspace([examplePrint(exampleInput('__proto__', 'NUMBER', '1'))]);
+    try {
+        const inputs = resolveWorkflowInputs(getWorkflowInputs(ws), JSON.parse('{"__proto__": "7"}'));
+        assert.deepEqual(Object.keys(inputs), ['__proto__']);
+        assert.deepEqual(await runWorkspace(ws, { inputs: inputs }), ['7']);
+    } finally {
+        ws.dispose();
+    }
+});
+
+test('resolveWorkflowInputs converts text to each input type', () => {
+    const declarations = [
+        { name: 'n', type: 'NUMBER', defaultValue: '5' },
+        { name: 'name', type: 'TEXT', defaultValue: '' },
+        { name: 'flag', type: 'BOOLEAN', defaultValue: 'false' }
+    ];
+    assert.deepEqual({ ...resolveWorkflowInputs(declarations) }, { n: 5, name: '', flag: false });
+    assert.deepEqual({ ...resolveWorkflowInputs(declarations, { n: ' 2.5 ', name: ' Ada ', flag: 'yes' }) },
+        { n: 2.5, name: ' Ada ', flag: true });
+
+    assert.throws(() => resolveWorkflowInputs(declarations, { n: 'many' }), { message: 'Input "n": "many" is not a number' });
+    assert.throws(() => resolveWorkflowInputs(declarations, { flag: 'maybe' }),
+        { message: 'Input "flag": "maybe" is not true or false' });
+    assert.throws(() => resolveWorkflowInputs([{ name: 'n', type: 'NUMBER', defaultValue: 'x' }]),
+        { message: 'Input "n": "x" is not a number (default value)' });
+});
+
+test('exported code takes the workflow inputs as an object parameter', () => {
+    const ws = createWorkspace([examplePrint(exampleInput('n', 'NUMBER', '5'))]);
+    try {
+        const code = Blockly.JavaScript.workspaceToExportCode(ws);
+        assert.ok(code.includes('export function runWorkflow(inputs = {}) {\n' +
+            '  let n;\n' +
+            '  n = Object.hasOwn(inputs, "n") ? inputs["n"] : 5;\n'), code);
+    } finally {
+        ws.dispose();
+    }
+});
+
+// ================================
+// Waiting and Asking
+// ================================
+
+test('a workflow with WAIT or ASK blocks is generated as an async function', () => {
+    const ws = createWorkspace([
+        statement('wait_seconds', {}, { SECONDS: num(1) }),
+        { type: 'call_subworkflow', extraState: { name: 'greet', params: [] }, fields: { NAME: 'greet' } }
+    ], [{
+        type: 'define_subworkflow',
+        x: 400,
+        y: 40,
+        fields: { NAME: 'greet', PARAMS: '' },
+        inputs: { STACK: branch(examplePrint(value('ask_user', {}, { QUESTION: text('Name?') }))) }
+    }]);
+    try {
+        const code = generateCode(ws);
+        assert.ok(code.includes('return (async function() {\n'), code);
+        assert.ok(code.includes('    const __ask = async function(question) {'), code);
+        assert.ok(code.includes('  async function greet() {\n'), code);
+        assert.ok(code.includes('  (await greet());\n'), code);
+
+        const exported = Blockly.JavaScript.workspaceToExportCode(ws);
+        assert.ok(exported.includes('export async function runWorkflow() {\n'), exported);
+        assert.ok(exported.includes('console.log(await workflowAsk("Name?"));'), exported);
+    } finally {
+        ws.dispose();
+    }
+});
@@ -0,0 +1,101 @@
+/**
+ * harness.js
+ * Shared Setup for the Test Suite
+ *
+ * Loads the page's scripts into this process on headless Blockly (see
+ * cli.js), plus examples.js for its block-state builders (exampleNumber,
+ * exampleSet, exampleWorkflow, ...) and share.js, and wraps the common steps: building a
+ * workspace, generating its code and running it through `executeCode`, or
+ * running its exported module.
+ */
+
+const util = require('util');
+const { WORKFLOW_SCRIPTS, loadWorkflowScripts, generateMarkedCode } = require('../cli.js');
+
+loadWorkflowScripts([...WORKFLOW_SCRIPTS, 'examples.js', 'share.js']);
+
+const jsGen = Blockly.JavaScript;
+
+// ================================
+// Workspaces
+// ================================
+
+// Headless workspace holding START WORKFLOW with `statements`, plus any
+// extra top-level block states (e.g. sub-workflow definitions)
+function createWorkspace(statements = [], extraBlocks = []) {
+    const state = exampleWorkflow(...statements);
+    state.blocks.blocks.push(...extraBlocks);
+
+    // Round-trip through JSON like a saved file (drops `DO: undefined` when empty)
+    const ws = new Blockly.Workspace();
+    loadWorkflowDocument(ws, JSON.parse(JSON.stringify(state)));
+    return ws;
+}
+
+function getStartBlock(ws) {
+    return ws.getBlocksByType('start_workflow', false)[0];
+}
+
+// ================================
+// Code Generation
+// ================================
+
+// The complete code Run executes (markers removed, as shown in the page)
+function generateCode(ws) {
+    jsGen.init(ws);
+    return formatCode(jsGen.finish(jsGen.workspaceToCode(ws)));
+}
+
+// Just the code of the statements inside START WORKFLOW, without its indent
+function generateStatements(ws) {
+    jsGen.init(ws);
+    const code = jsGen.statementToCode(getStartBlock(ws), 'DO');
+    jsGen.finish('');
+    return code.replace(new RegExp('^' + jsGen.INDENT, 'gm'), '').trimEnd();
+}
+
+// ================================
+// Execution
+// ================================
+
+// Runs the workspace like the Run button; resolves to the printed lines
+function runWorkspace(ws, options = {}) {
+    const lines = [];
+    const onLog = (line, details) => {
+        lines.push(line);
+        if (options.onLog) {
+            options.onLog(line, details);
+        }
+    };
+    return executeCode(toRunnableCode(generateMarkedCode(ws)), Object.assign({}, options, { onLog: onLog }))
+        .then(() => lines);
+}
+
+// Imports the exported ES module and calls its runWorkflow(inputs); resolves
+// to the lines it logs (rejects when the module does not parse)
+function runExportedWorkspace(ws, inputs) {
+    const source = jsGen.workspaceToExportCode(ws);
+    return import('data:text/javascript,' + encodeURIComponent(source)).then(module => {
+        const lines = [];
+        const methods = ['log', 'warn', 'error'];
+        const saved = methods.map(method => console[method]);
+        methods.forEach(method => {
+            console[method] = (...args) => lines.push(util.format(...args));
+        });
+        return Promise.resolve()
+            .then(() => module.runWorkflow(inputs))
+            .finally(() => methods.forEach((method, i) => {
+                console[method] = saved[i];
+            }))
+            .then(() => lines);
+    });
+}
+
+module.exports = {
+    createWorkspace,
+    getStartBlock,
+    generateCode,
+    generateStatements,
+    runWorkspace,
+    runExportedWorkspace
+};
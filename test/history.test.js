@@ -0,0 +1,57 @@
+/**
+ * history.test.js
+ * Snapshot history: comparing saved versions of the workflow
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadWorkflowScripts } = require('../cli.js');
+const { createWorkspace } = require('./harness.js');
+
+loadWorkflowScripts(['history.js']);
+
+const STAMP_BLOCK = {
+    type: 'custom_stamp',
+    label: 'STAMP',
+    shape: 'statement',
+    colour: 'io',
+    inputs: [],
+    template: 'console.log("stamped");'
+};
+
+test('a snapshot using a custom block deleted since then can still be compared', () => {
+    registerCustomBlock(STAMP_BLOCK);
+    const old = createWorkspace([{ type: 'custom_stamp' }]);
+    const snapshot = serializeWorkspace(old);
+    old.dispose();
+    unregisterCustomBlock('custom_stamp');
+
+    const current = createWorkspace([examplePrint(exampleText('hi'))]);
+    try {
+        const diff = diffWorkflowDocuments(snapshot, serializeWorkspace(current));
+        assert.deepEqual(diff.code.filter(line => line.op !== ' ').map(line => line.op + line.text.trim()),
+            ['-console.log("stamped");', '+console.log("hi");']);
+        assert.equal(isCustomBlockType('custom_stamp'), false);
+    } finally {
+        current.dispose();
+    }
+});
+
+test('comparing leaves the custom blocks as they are registered now', () => {
+    registerCustomBlock(STAMP_BLOCK);
+    const old = createWorkspace([{ type: 'custom_stamp' }]);
+    const snapshot = serializeWorkspace(old);
+    old.dispose();
+    registerCustomBlock(Object.assign({}, STAMP_BLOCK, { template: 'console.log("stamped twice");' }));
+
+    const current = createWorkspace([{ type: 'custom_stamp' }]);
+    try {
+        const diff = diffWorkflowDocuments(snapshot, serializeWorkspace(current));
+        assert.deepEqual(diff.code.filter(line => line.op !== ' ').map(line => line.op + line.text.trim()),
+            ['-console.log("stamped");', '+console.log("stamped twice");']);
+        assert.equal(getCustomBlockDefinitions()[0].template, 'console.log("stamped twice");');
+    } finally {
+        current.dispose();
+        unregisterCustomBlock('custom_stamp');
+    }
+});
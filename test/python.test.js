@@ -0,0 +1,66 @@
+/**
+ * python.test.js
+ * Python generation: the generated run_workflow() prints what Run prints (needs python3)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const { loadWorkflowScripts } = require('../cli.js');
+const { createWorkspace, runWorkspace } = require('./harness.js');
+
+Blockly.Python = require('blockly/python').pythonGenerator;
+loadWorkflowScripts(['python.js']);
+
+const HAS_PYTHON = spawnSync('python3', ['--version']).status === 0;
+
+// Runs the workspace's Python code; returns the printed lines
+function runPython(ws) {
+    const result = spawnSync('python3', ['-c', Blockly.Python.workspaceToCode(ws)], { encoding: 'utf8', timeout: 10000 });
+    assert.equal(result.status, 0, result.stderr);
+    return result.stdout.split('\n').filter(Boolean);
+}
+
+test('a sub-workflow reads the workflow variable it assigns, then keeps its own value', { skip: !HAS_PYTHON && 'python3 not found' }, async () => {
+    const bump = { type: 'call_subworkflow', extraState: { name: 'bump', params: [] }, fields: { NAME: 'bump' } };
+    const ws = createWorkspace([exampleSet('total', exampleNumber(5)), bump, examplePrint(exampleGet('total'))], [{
+        type: 'define_subworkflow',
+        x: 400,
+        y: 40,
+        fields: { NAME: 'bump', PARAMS: '' },
+        inputs: {
+            STACK: exampleStack(
+                exampleSet('total', exampleValue('add_numbers', exampleGet('total'), exampleNumber(1))),
+                examplePrint(exampleGet('total')))
+        }
+    }]);
+    try {
+        const code = Blockly.Python.workspaceToCode(ws);
+        assert.ok(code.includes('  total = None\n\n  def bump():\n    total_local = total\n    total_local = total_local + 1\n'), code);
+        assert.deepEqual(runPython(ws), ['6', '5']);
+        assert.deepEqual((await runWorkspace(ws)).slice(-2), ['6', '5']);
+    } finally {
+        ws.dispose();
+    }
+});
+
+test('rounding, remainders and printed values match Run', { skip: !HAS_PYTHON && 'python3 not found' }, async () => {
+    const round = n => ({ block: { type: 'round_number', fields: { MODE: 'ROUND' }, inputs: { NUM: exampleNumber(n) } } });
+    const compare = { block: { type: 'compare_values', fields: { OPERATOR: 'LESS' }, inputs: { LEFT: exampleNumber(1), RIGHT: exampleNumber(2) } } };
+    const ws = createWorkspace([
+        examplePrint(round(2.5)),
+        examplePrint(round(-2.5)),
+        examplePrint(exampleValue('modulo_numbers', exampleNumber(-7), exampleNumber(3))),
+        examplePrint(exampleValue('modulo_numbers', exampleNumber(7.5), exampleNumber(2))),
+        examplePrint(exampleValue('divide_numbers', exampleNumber(6), exampleNumber(3))),
+        examplePrint(compare),
+        examplePrint(exampleList(exampleText('a'), exampleNumber(1), compare))
+    ]);
+    try {
+        const expected = ['3', '-2', '-1', '1.5', '2', 'true', '["a", 1, true]'];
+        assert.deepEqual(runPython(ws), expected);
+        assert.deepEqual(await runWorkspace(ws), expected);
+    } finally {
+        ws.dispose();
+    }
+});
@@ -0,0 +1,141 @@
+/**
+ * registry.test.js
+ * Block registry: the generated toolbox, refused block types and block packs
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadBlockPacks } = require('../cli.js');
+const { createWorkspace, generateStatements, runWorkspace } = require('./harness.js');
+
+const SHOUT_PACK = `
+registerBlock({
+    type: 'acme_shout',
+    category: 'text',
+    definition: {
+        message0: 'SHOUT %1',
+        args0: [{ type: 'input_value', name: 'TEXT' }],
+        output: 'String',
+        colour: BLOCK_COLORS.text
+    },
+    generator: block => [
+        \`String(\${Blockly.JavaScript.valueToCode(block, 'TEXT', Blockly.JavaScript.ORDER_MEMBER) || '""'}).toUpperCase()\`,
+        Blockly.JavaScript.ORDER_FUNCTION_CALL
+    ]
+});
+`;
+
+function toolboxTypes(category) {
+    return category.contents.map(item => item.type);
+}
+
+test('the toolbox lists every built-in block once, in its category', () => {
+    const toolbox = buildToolbox();
+    assert.deepEqual(toolbox.contents.map(category => category.name),
+        ['Workflow', 'Math', 'Logic', 'Loops', 'Sub-workflows', 'Text', 'Lists & Records']);
+    assert.deepEqual(toolbox.contents.flatMap(toolboxTypes).sort(), [...WORKFLOW_BLOCK_TYPES].sort());
+
+    const loops = toolbox.contents.find(category => category.name === 'Loops');
+    assert.equal(loops.colour, String(BLOCK_COLORS.loops));
+    assert.deepEqual(loops.contents[0], {
+        kind: 'block',
+        type: 'repeat_times',
+        inputs: { TIMES: { block: { type: 'math_number', fields: { NUM: 3 } } } }
+    });
+});
+
+test('registerBlock refuses taken types and unknown categories', () => {
+    const definition = { message0: 'X', colour: BLOCK_COLORS.io };
+    assert.throws(() => registerBlock({ type: 'print_output', definition: definition }),
+        { message: 'Block type "print_output" is already registered' });
+    assert.throws(() => registerBlock({ type: 'controls_if', definition: definition }),
+        { message: 'Block type "controls_if" is already defined by Blockly; set overridesBuiltin to replace it' });
+    assert.throws(() => registerBlock({ type: 'acme_x', category: 'nowhere', definition: definition }),
+        { message: 'Block type "acme_x" is in an unknown toolbox category "nowhere"' });
+    assert.throws(() => registerBlock({ type: 'acme-x', definition: definition }), /must be letters, digits or _/);
+    assert.equal(isRegisteredBlockType('acme_x'), false);
+});
+
+test('a block overriding a Blockly block generates its own code until it is unregistered', () => {
+    const builtin = Blockly.Blocks['logic_boolean'];
+    registerBlock({
+        type: 'logic_boolean',
+        overridesBuiltin: true,
+        definition: { init: builtin.init },
+        generator: () => ['PACK', Blockly.JavaScript.ORDER_ATOMIC]
+    });
+    let ws = null;
+    try {
+        ws = createWorkspace([examplePrint({ block: { type: 'logic_boolean', fields: { BOOL: 'FALSE' } } })]);
+        assert.equal(generateStatements(ws), '__console.log(PACK);');
+
+        assert.equal(unregisterBlock('logic_boolean'), true);
+        assert.equal(isRegisteredBlockType('logic_boolean'), false);
+        assert.equal(Blockly.Blocks['logic_boolean'], builtin);
+        assert.equal(generateStatements(ws), '__console.log(false);');
+    } finally {
+        unregisterBlock('logic_boolean');
+        if (ws) {
+            ws.dispose();
+        }
+    }
+});
+
+test('a block registered without a generator uses the one a generator script installs, before or after', () => {
+    const answer = () => ['42', Blockly.JavaScript.ORDER_ATOMIC];
+    const definition = { message0: 'ANSWER', output: 'Number', colour: BLOCK_COLORS.math };
+    const orders = [
+        // The generator script runs first, then the block is registered
+        () => {
+            Blockly.JavaScript.forBlock['acme_answer'] = answer;
+            registerBlock({ type: 'acme_answer', definition: definition });
+        },
+        // The block is registered first, as blocks.js is before generator.js
+        () => {
+            registerBlock({ type: 'acme_answer', definition: definition });
+            Blockly.JavaScript.forBlock['acme_answer'] = answer;
+        }
+    ];
+    orders.forEach(load => {
+        load();
+        const ws = createWorkspace([examplePrint({ block: { type: 'acme_answer' } })]);
+        try {
+            assert.equal(generateStatements(ws), '__console.log(42);');
+        } finally {
+            ws.dispose();
+            unregisterBlock('acme_answer');
+        }
+        assert.equal(Blockly.JavaScript.forBlock['acme_answer'], undefined);
+    });
+});
+
+test('a block pack script adds blocks that workflows can use', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'workflow-pack-'));
+    const pack = path.join(dir, 'shout.js');
+    fs.writeFileSync(pack, SHOUT_PACK);
+
+    try {
+        loadBlockPacks([pack]);
+        assert.equal(isRegisteredBlockType('acme_shout'), true);
+        const text = buildToolbox().contents.find(category => category.name === 'Text');
+        assert.equal(toolboxTypes(text).pop(), 'acme_shout');
+
+        const ws = createWorkspace([examplePrint({ block: { type: 'acme_shout', inputs: { TEXT: exampleText('hi') } } })]);
+        try {
+            assert.deepEqual(await runWorkspace(ws), ['HI']);
+        } finally {
+            ws.dispose();
+        }
+
+        assert.throws(() => loadBlockPacks([pack]), {
+            message: `Could not load block pack ${pack}: Block type "acme_shout" is already registered`
+        });
+    } finally {
+        unregisterBlock('acme_shout');
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+    assert.throws(() => loadBlockPacks([pack]), /Could not load block pack .*ENOENT/);
+});
@@ -0,0 +1,48 @@
+/**
+ * share.test.js
+ * Share links: encoding a workspace into a URL hash and opening it again
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createWorkspace, runWorkspace } = require('./harness.js');
+
+// The `#workflow=...` hash of a link made by createShareLink
+function linkHash(link) {
+    return link.slice(link.indexOf('#'));
+}
+
+test('a share link opens the same workflow', async () => {
+    const ws = createWorkspace([exampleSet('x', exampleNumber(4)), examplePrint(exampleJoin(exampleText('x is '), exampleGet('x')))]);
+    const opened = new Blockly.Workspace();
+    try {
+        const link = await createShareLink(ws, 'https://example.com/builder/?n=1#old');
+        assert.match(link, /^https:\/\/example\.com\/builder\/\?n=1#workflow=1\.[A-Za-z0-9_-]+$/);
+        assert.equal(isShareLinkTooLong(link), false);
+
+        loadWorkflowDocument(opened, await decodeShareLink(linkHash(link)));
+        assert.deepEqual(Blockly.serialization.workspaces.save(opened), Blockly.serialization.workspaces.save(ws));
+        assert.deepEqual(await runWorkspace(opened), ['✓ Variable "x" set to: 4', 'x is 4']);
+    } finally {
+        ws.dispose();
+        opened.dispose();
+    }
+});
+
+test('links of every supported version still decode', async () => {
+    const doc = { format: 'blockly-workflow', version: 1, workspace: exampleWorkflow(examplePrint(exampleText('hi'))) };
+    const json = new TextEncoder().encode(JSON.stringify(doc));
+
+    assert.deepEqual(await decodeShareLink(`#workflow=0.${bytesToBase64Url(json)}`), doc);
+    const compressed = await SHARE_LINK_ENCODINGS[1].encode(json);
+    assert.deepEqual(await decodeShareLink(`#workflow=1.${bytesToBase64Url(compressed)}`), doc);
+});
+
+test('damaged, unknown and newer links are refused with a reason', async () => {
+    assert.equal(isShareLinkHash('#section-2'), false);
+    await assert.rejects(decodeShareLink('#workflow=nonsense'), { message: 'The link does not contain a workflow' });
+    await assert.rejects(decodeShareLink('#workflow=99.abc'),
+        { message: 'The link was made by a newer version of the builder (link version 99)' });
+    await assert.rejects(decodeShareLink('#workflow=1.abcdef'), /^Error: The link is damaged or incomplete/);
+    await assert.rejects(decodeShareLink('#workflow=0.abc'), /^Error: The link is damaged or incomplete/);
+});
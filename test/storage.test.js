@@ -0,0 +1,54 @@
+/**
+ * storage.test.js
+ * Workspace persistence: restoring the auto-saved workspace from localStorage
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createWorkspace } = require('./harness.js');
+
+// The part of the browser's localStorage that storage.js uses
+function createMemoryStorage(items = {}) {
+    return {
+        items: items,
+        getItem: key => (Object.prototype.hasOwnProperty.call(items, key) ? items[key] : null),
+        setItem: (key, value) => {
+            items[key] = String(value);
+        },
+        removeItem: key => {
+            delete items[key];
+        }
+    };
+}
+
+test('the auto-saved workspace is restored', () => {
+    const saved = createWorkspace([examplePrint(exampleText('hi'))]);
+    global.localStorage = createMemoryStorage();
+    const ws = new Blockly.Workspace();
+    try {
+        assert.equal(restoreWorkspaceFromStorage(ws), false);
+        assert.equal(saveWorkspaceToStorage(saved), true);
+        assert.equal(restoreWorkspaceFromStorage(ws), true);
+        assert.deepEqual(Blockly.serialization.workspaces.save(ws), Blockly.serialization.workspaces.save(saved));
+    } finally {
+        saved.dispose();
+        ws.dispose();
+        delete global.localStorage;
+    }
+});
+
+test('a save that cannot be restored is backed up before anything overwrites it', () => {
+    const unknown = JSON.stringify(exampleWorkflow({ type: 'acme_missing' }));
+    [unknown, '{"format": "blockly-workflow", '].forEach(saved => {
+        global.localStorage = createMemoryStorage({ [STORAGE_KEY]: saved });
+        const ws = new Blockly.Workspace();
+        try {
+            assert.throws(() => restoreWorkspaceFromStorage(ws), error => error.backedUp === true);
+            assert.equal(localStorage.getItem(STORAGE_BACKUP_KEY), saved);
+            assert.equal(ws.getAllBlocks(false).length, 0);
+        } finally {
+            ws.dispose();
+            delete global.localStorage;
+        }
+    });
+});
@@ -0,0 +1,37 @@
+/**
+ * validator.test.js
+ * Static validation: problems reported before a workflow is generated or run
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createWorkspace } = require('./harness.js');
+
+function subworkflow(name, message, y) {
+    return {
+        type: 'define_subworkflow',
+        x: 400,
+        y: y,
+        fields: { NAME: name, PARAMS: '' },
+        inputs: { STACK: exampleStack(examplePrint(exampleText(message))) }
+    };
+}
+
+test('sub-workflows sharing a name are an error on every definition after the first', () => {
+    const call = { type: 'call_subworkflow', extraState: { name: 'do something', params: [] }, fields: { NAME: 'do something' } };
+    const ws = createWorkspace([call], [subworkflow('do something', 'first', 40), subworkflow('do something', 'second', 200)]);
+    try {
+        const second = ws.getBlocksByType('define_subworkflow', false)[1];
+        const result = validateWorkspace(ws);
+        assert.deepEqual(result.problems, [{
+            severity: 'error',
+            blockId: second.id,
+            message: 'Another sub-workflow is already named "do something" - rename one of them'
+        }]);
+
+        second.setFieldValue('do more', 'NAME');
+        assert.deepEqual(validateWorkspace(ws).problems, []);
+    } finally {
+        ws.dispose();
+    }
+});
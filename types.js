@@ -0,0 +1,157 @@
+/**
+ * types.js
+ * Value Type Checking for Workflow Builder
+ *
+ * Handles:
+ * - Inferring the type of each variable from the last SET VARIABLE that
+ *   assigns it, and applying it to the outputs of its variable blocks
+ * - A connection checker that remembers why a connection was refused, so the
+ *   UI can explain it instead of the block silently not snapping
+ */
+
+console.log('🔄 Loading type checker...');
+
+// ================================
+// Helpers
+// ================================
+
+function formatTypes(check) {
+    return check && check.length > 0 ? check.join(' or ') : 'any value';
+}
+
+function describeInputBlock(block) {
+    return block.type.replace(/_/g, ' ').toUpperCase();
+}
+
+// Name of the input `connection` belongs to on its block
+function getInputName(connection) {
+    const input = connection.getSourceBlock().inputList.find(input => input.connection === connection);
+    return input ? input.name : '';
+}
+
+// The single type a value block produces, or null when unknown / mixed
+function getOutputType(block) {
+    const check = block && block.outputConnection ? block.outputConnection.getCheck() : null;
+    return check && check.length === 1 ? check[0] : null;
+}
+
+function isCompatible(outputCheck, inputCheck) {
+    if (!outputCheck || !inputCheck) {
+        return true;
+    }
+    return outputCheck.some(type => inputCheck.includes(type));
+}
+
+// ================================
+// Variable Type Inference
+// ================================
+
+/**
+ * Maps each variable name to the type of the value its last SET VARIABLE
+ * assigns (in workspace order), or null when that value's type is unknown.
+ */
+function inferVariableTypes(ws) {
+    const types = {};
+
+    // A workflow input has its declared type until a SET VARIABLE changes it
+    getWorkflowInputs(ws).forEach(input => {
+        types[input.name] = (WORKFLOW_INPUT_TYPES[input.type] || WORKFLOW_INPUT_TYPES.NUMBER).check;
+    });
+
+    ws.getAllBlocks(true).forEach(block => {
+        if (block.type !== 'set_variable' || !block.isEnabled()) {
+            return;
+        }
+        const name = block.getField('VAR_NAME').getText();
+        types[name] = getOutputType(block.getInputTargetBlock('VALUE'));
+    });
+    return types;
+}
+
+/**
+ * Applies inferred types to every variable block's output check.
+ * Blockly unplugs variable blocks whose new type no longer fits their socket;
+ * a human-readable explanation is returned for each one.
+ */
+function updateVariableTypes(ws) {
+    const types = inferVariableTypes(ws);
+    const explanations = [];
+
+    // Resolve repeatedly: a variable's type can depend on another variable
+    for (let pass = 0; pass < 3; pass++) {
+        let changed = false;
+        Object.assign(types, inferVariableTypes(ws));
+
+        ws.getBlocksByType('variables_get', false).forEach(block => {
+            const name = block.getField('VAR').getText();
+            const type = types[name] || null;
+            const current = getOutputType(block);
+            if (current === type && (type !== null || block.outputConnection.getCheck() === null)) {
+                return;
+            }
+
+            const target = block.outputConnection.targetConnection;
+            if (target && type && !isCompatible([type], target.getCheck())) {
+                explanations.push(`🚫 Variable "${name}" now holds ${type}, so it was unplugged from ` +
+                    `${describeInputBlock(target.getSourceBlock())} "${getInputName(target)}", ` +
+                    `which expects ${formatTypes(target.getCheck())}`);
+            }
+            block.setOutput(true, type);
+            changed = true;
+        });
+
+        if (!changed) {
+            break;
+        }
+    }
+    return explanations;
+}
+
+// ================================
+// Connection Checker
+// ================================
+
+let connectionRejections = [];
+
+class WorkflowConnectionChecker extends Blockly.ConnectionChecker {
+    doTypeChecks(a, b) {
+        const ok = super.doTypeChecks(a, b);
+        if (!ok) {
+            const output = a.type === Blockly.ConnectionType.OUTPUT_VALUE ? a : b;
+            const input = output === a ? b : a;
+            connectionRejections.push({
+                blockIds: [a.getSourceBlock().id, b.getSourceBlock().id],
+                message: `🚫 ${describeInputBlock(output.getSourceBlock())} gives ${formatTypes(output.getCheck())}, ` +
+                    `but ${describeInputBlock(input.getSourceBlock())} "${getInputName(input)}" ` +
+                    `expects ${formatTypes(input.getCheck())}`
+            });
+        }
+        return ok;
+    }
+}
+
+Blockly.registry.register(
+    Blockly.registry.Type.CONNECTION_CHECKER,
+    'workflowConnectionChecker',
+    WorkflowConnectionChecker,
+    true
+);
+
+function clearConnectionRejections() {
+    connectionRejections = [];
+}
+
+/**
+ * Unique explanations for connections refused while `block` (and the blocks
+ * attached to it) was being dragged. Clears the recorded rejections.
+ */
+function takeConnectionRejections(block) {
+    const ids = new Set(block.getDescendants(false).map(descendant => descendant.id));
+    const messages = connectionRejections
+        .filter(rejection => rejection.blockIds.some(id => ids.has(id)))
+        .map(rejection => rejection.message);
+    clearConnectionRejections();
+    return [...new Set(messages)];
+}
+
+console.log('✅ Type checker loaded');
@@ -0,0 +1,263 @@
+/**
+ * validator.js
+ * Static Validation for Workflows
+ *
+ * Walks the workspace before code is generated or run and reports:
+ * - Missing or multiple START WORKFLOW blocks (error)
+ * - Statement stacks outside START WORKFLOW (error - they break the generated code)
+ * - Loose value blocks outside START WORKFLOW (warning)
+ * - Calls to sub-workflows that do not exist, and sub-workflows sharing a
+ *   name (error)
+ * - Empty value sockets that silently fall back to a default (warning)
+ * - Variables read before any SET VARIABLE assigns them (warning)
+ * - Workflow inputs with an invalid default (error) or declared again with
+ *   a different type or default (warning)
+ *
+ * Errors block Run; warnings do not.
+ */
+
+console.log('🔄 Loading workflow validator...');
+
+// ================================
+// Configuration
+// ================================
+
+const VALIDATION_WARNING_ID = 'workflow-validator';
+
+// Value sockets that are allowed to stay empty
+const OPTIONAL_INPUTS = {
+    define_subworkflow: ['RETURN']
+};
+
+// ================================
+// Helpers
+// ================================
+
+function createProblem(severity, block, message) {
+    return { severity: severity, blockId: block ? block.id : null, message: message };
+}
+
+function describeBlock(block) {
+    return block.type.replace(/_/g, ' ').toUpperCase();
+}
+
+function getVariableFieldName(block, fieldName) {
+    const field = block.getField(fieldName);
+    return field ? field.getText() : '';
+}
+
+function isOptionalInput(block, input) {
+    if ((OPTIONAL_INPUTS[block.type] || []).includes(input.name)) {
+        return true;
+    }
+    // "is true" conditions ignore their right-hand socket
+    return input.name === 'CONDITION_RIGHT' && block.getFieldValue('OPERATOR') === 'IS_TRUE';
+}
+
+// Names assigned by a statement block, visible to the blocks that follow it
+function getAssignedVariables(block) {
+    if (block.type === 'set_variable') {
+        return [getVariableFieldName(block, 'VAR_NAME')];
+    }
+    if (block.type === 'for_each') {
+        return [getVariableFieldName(block, 'VAR')];
+    }
+    return [];
+}
+
+// ================================
+// Checks
+// ================================
+
+function checkEmptySockets(block, problems) {
+    block.inputList.forEach(input => {
+        if (input.type !== Blockly.inputs.inputTypes.VALUE || input.connection.targetBlock()) {
+            return;
+        }
+        if (isOptionalInput(block, input)) {
+            return;
+        }
+        problems.push(createProblem('warning', block,
+            `${describeBlock(block)}: input "${input.name}" is empty and will fall back to a default value`));
+    });
+}
+
+// Reports reads of variables that are not in `assigned`, in evaluation order
+function checkVariableReads(block, assigned, problems) {
+    if (block.type === 'variables_get') {
+        const name = getVariableFieldName(block, 'VAR');
+        if (!assigned.has(name)) {
+            problems.push(createProblem('warning', block,
+                `Variable "${name}" is read before any SET VARIABLE assigns it`));
+        }
+    }
+    block.inputList.forEach(input => {
+        const child = input.connection && input.type === Blockly.inputs.inputTypes.VALUE
+            ? input.connection.targetBlock()
+            : null;
+        if (child) {
+            checkVariableReads(child, assigned, problems);
+        }
+    });
+}
+
+// Walks a statement stack in execution order, tracking assigned variables
+function walkStatements(block, assigned, problems) {
+    for (let current = block; current; current = current.getNextBlock()) {
+        if (!current.isEnabled()) {
+            continue;
+        }
+        checkVariableReads(current, assigned, problems);
+        getAssignedVariables(current).forEach(name => assigned.add(name));
+
+        current.inputList.forEach(input => {
+            if (input.type === Blockly.inputs.inputTypes.STATEMENT && input.connection.targetBlock()) {
+                walkStatements(input.connection.targetBlock(), assigned, problems);
+            }
+        });
+    }
+}
+
+// Calls take their inputs from the first definition of a name, so later ones
+// with the same name would never run as shown
+function checkSubworkflowNames(ws, problems) {
+    const seen = new Set();
+    getSubworkflowDefinitions(ws).forEach(def => {
+        const name = def.getFieldValue('NAME');
+        if (seen.has(name)) {
+            problems.push(createProblem('error', def,
+                `Another sub-workflow is already named "${name}" - rename one of them`));
+        }
+        seen.add(name);
+    });
+}
+
+function checkSubworkflowCalls(ws, problems) {
+    ['call_subworkflow', 'call_subworkflow_value'].forEach(type => {
+        ws.getBlocksByType(type, false).forEach(call => {
+            const name = call.getFieldValue('NAME');
+            if (!findSubworkflowDefinition(ws, name)) {
+                problems.push(createProblem('error', call,
+                    name ? `No sub-workflow named "${name}" exists` : 'RUN block does not call any sub-workflow'));
+            }
+        });
+    });
+}
+
+function checkWorkflowInputs(ws, problems) {
+    const declarations = getWorkflowInputs(ws);
+    declarations.forEach(input => {
+        try {
+            parseWorkflowInputValue(input.type, input.defaultValue);
+        } catch (error) {
+            problems.push(createProblem('error', ws.getBlockById(input.blockId),
+                `Input "${input.name}": the default value ${error.message}`));
+        }
+    });
+
+    // Later INPUT blocks for the same name only read it; settings that differ are ignored
+    ws.getBlocksByType('workflow_input', false).forEach(block => {
+        const input = declarations.find(declared => declared.name === block.getField('NAME').getText());
+        if (input && input.blockId !== block.id && block.isEnabled() &&
+                (block.getFieldValue('TYPE') !== input.type || block.getFieldValue('DEFAULT') !== input.defaultValue)) {
+            problems.push(createProblem('warning', block,
+                `Input "${input.name}" is declared again with a different type or default; the first INPUT block's are used`));
+        }
+    });
+}
+
+// ================================
+// Validate Workspace
+// ================================
+
+/**
+ * Runs every check against `ws` without modifying it.
+ * @returns {{problems: Array<{severity: string, blockId: ?string, message: string}>,
+ *            errors: number, warnings: number}}
+ */
+function validateWorkspace(ws) {
+    const problems = [];
+    const topBlocks = ws.getTopBlocks(true).filter(block => block.isEnabled());
+    const startBlocks = topBlocks.filter(block => block.type === 'start_workflow');
+
+    if (startBlocks.length === 0) {
+        problems.push(createProblem('error', null, 'Add a "START WORKFLOW" block to begin'));
+    }
+    startBlocks.slice(1).forEach(block => {
+        problems.push(createProblem('error', block, 'Only one START WORKFLOW block is allowed'));
+    });
+
+    topBlocks.forEach(block => {
+        if (block.type === 'start_workflow' || block.type === 'define_subworkflow') {
+            return;
+        }
+        if (block.outputConnection) {
+            problems.push(createProblem('warning', block,
+                `${describeBlock(block)} is not connected to the workflow and will be ignored`));
+        } else {
+            problems.push(createProblem('error', block,
+                `${describeBlock(block)} is outside START WORKFLOW - connect it or delete it`));
+        }
+    });
+
+    ws.getAllBlocks(true).forEach(block => {
+        if (block.isEnabled()) {
+            checkEmptySockets(block, problems);
+        }
+    });
+
+    checkSubworkflowNames(ws, problems);
+    checkSubworkflowCalls(ws, problems);
+    checkWorkflowInputs(ws, problems);
+
+    // Workflow inputs are assigned before the first block runs
+    const inputNames = getWorkflowInputs(ws).map(input => input.name);
+
+    // Sub-workflows can be called from anywhere, so their bodies may read any
+    // variable the workflow assigns, plus their own inputs
+    const allAssigned = new Set(inputNames);
+    ws.getAllBlocks(false).forEach(block => getAssignedVariables(block).forEach(name => allAssigned.add(name)));
+
+    startBlocks.forEach(start => {
+        walkStatements(start.getInputTargetBlock('DO'), new Set(inputNames), problems);
+    });
+    getSubworkflowDefinitions(ws).forEach(def => {
+        const assigned = new Set([...allAssigned, ...parseSubworkflowParams(def.getFieldValue('PARAMS'))]);
+        walkStatements(def.getInputTargetBlock('STACK'), assigned, problems);
+        const ret = def.getInputTargetBlock('RETURN');
+        if (ret) {
+            checkVariableReads(ret, assigned, problems);
+        }
+    });
+
+    return {
+        problems: problems,
+        errors: problems.filter(problem => problem.severity === 'error').length,
+        warnings: problems.filter(problem => problem.severity === 'warning').length
+    };
+}
+
+// ================================
+// Block Warning Icons
+// ================================
+
+// Replaces the validator's warning icons with the given problems
+function applyValidationWarnings(ws, problems) {
+    ws.getAllBlocks(false).forEach(block => block.setWarningText(null, VALIDATION_WARNING_ID));
+
+    const messagesByBlock = {};
+    problems.forEach(problem => {
+        if (problem.blockId) {
+            (messagesByBlock[problem.blockId] = messagesByBlock[problem.blockId] || []).push(problem.message);
+        }
+    });
+
+    Object.keys(messagesByBlock).forEach(blockId => {
+        const block = ws.getBlockById(blockId);
+        if (block) {
+            block.setWarningText(messagesByBlock[blockId].join('\n'), VALIDATION_WARNING_ID);
+        }
+    });
+}
+
+console.log('✅ Workflow validator loaded');